@@ -6,10 +6,12 @@
  * - The list of all saved bowling evenings
  * - The configuration (penalties, fees, etc.)
  * - Auto-save functionality
- * - JSON import/export
+ * - JSON import/export (restore or merge), CSV import/export, XLSX export and PDF export of an evening
+ * - Print layout (current evening or empty templates)
+ * - Evaluations (Kassenstand, Vereinskasse, Statistics, Trends)
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 
 // Material-UI components for layout and design
 import {
@@ -22,7 +24,9 @@ import {
   Divider,
   Snackbar,
   Alert,
+  AlertTitle,
   IconButton,
+  Tooltip,
   Menu,
   MenuItem,
   ListItemIcon,
@@ -38,7 +42,9 @@ import {
   InputAdornment,
   Checkbox,
   FormControlLabel,
+  Switch,
   Box,
+  Chip,
 } from '@mui/material';
 
 // Icons for buttons
@@ -48,21 +54,117 @@ import AddIcon from '@mui/icons-material/Add';
 import SettingsIcon from '@mui/icons-material/Settings';
 import GroupIcon from '@mui/icons-material/Group';
 import EuroIcon from '@mui/icons-material/Euro';
+import SportsScoreIcon from '@mui/icons-material/SportsScore';
+import HistoryIcon from '@mui/icons-material/History';
 import DeleteIcon from '@mui/icons-material/Delete';
+import AssessmentIcon from '@mui/icons-material/Assessment';
+import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
+import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
+import BarChartIcon from '@mui/icons-material/BarChart';
+import ShowChartIcon from '@mui/icons-material/ShowChart';
+import EmojiEventsIcon from '@mui/icons-material/EmojiEvents';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import TouchAppIcon from '@mui/icons-material/TouchApp';
+import ScoreboardIcon from '@mui/icons-material/Scoreboard';
+import PrintIcon from '@mui/icons-material/Print';
+import NoteAddIcon from '@mui/icons-material/NoteAdd';
+import DataObjectIcon from '@mui/icons-material/DataObject';
+import TableChartIcon from '@mui/icons-material/TableChart';
+import DescriptionIcon from '@mui/icons-material/Description';
+import CallMergeIcon from '@mui/icons-material/CallMerge';
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
+import LockIcon from '@mui/icons-material/Lock';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
+import MoreVertIcon from '@mui/icons-material/MoreVert';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import DateRangeIcon from '@mui/icons-material/DateRange';
 
 // Custom components and services
 import KegelabendTable from './components/KegelabendTable';
-import { defaultConfig, createEmptyKegelabend } from './config/defaultConfig';
+import KassenstandDialog from './components/KassenstandDialog';
+import VereinskasseDialog from './components/VereinskasseDialog';
+import StatistikDialog from './components/StatistikDialog';
+import TrendDialog from './components/TrendDialog';
+import MeisterschaftDialog from './components/MeisterschaftDialog';
+import Druckansicht from './components/Druckansicht';
+import DruckvorlageDialog from './components/DruckvorlageDialog';
+import CsvImportDialog from './components/CsvImportDialog';
+import ImportMergeDialog from './components/ImportMergeDialog';
+import SpielartenDialog from './components/SpielartenDialog';
+import PreisHistorieDialog from './components/PreisHistorieDialog';
+import UpdatePrompt from './components/UpdatePrompt';
+import AbschlussDialog from './components/AbschlussDialog';
+import HistorieDialog from './components/HistorieDialog';
+import SaisonDialog from './components/SaisonDialog';
+import MitgliederDialog from './components/MitgliederDialog';
+import LiveDialog from './components/LiveDialog';
+import KegelbildDialog from './components/KegelbildDialog';
+import {
+  defaultConfig,
+  createEmptyKegelabend,
+  createEmptyPlayer,
+  createPreisSnapshot,
+  withPreisSnapshot,
+  createHistorieEintrag,
+  createMitglied,
+} from './config/defaultConfig';
+import { getAbendConfig } from './services/calculationService';
 import {
   loadKegelabende,
+  saveKegelabend,
   saveKegelabende,
+  deleteKegelabend,
   loadConfig,
   saveConfig,
   loadSpieler,
   saveSpieler,
+  loadBuchungen,
+  saveBuchungen,
+  loadSaisons,
+  saveSaisons,
   exportToJSON,
   importFromJSON,
+  readBackup,
+  setStorageErrorHandler,
 } from './services/storageService';
+import { mergeBuchungen, mergeSaisons, mergeMitglieder } from './services/mergeService';
+import {
+  getSaisons,
+  findSaison,
+  getSaisonAbende,
+} from './services/saisonService';
+import {
+  sortMitglieder,
+  findMitgliedByName,
+  addMitglieder,
+  linkMitglieder,
+  renameMitgliedInAbenden,
+} from './services/mitgliederService';
+import {
+  createUndoHistory,
+  recordChange,
+  getUndoStatus,
+  undoChange,
+  redoChange,
+} from './services/undoService';
+import {
+  addHistorieEintrag,
+  createPreisEintrag,
+  logChanges,
+  logUndo,
+} from './services/historieService';
+import { exportAbendToPDF } from './services/pdfService';
+import { isLive } from './services/liveService';
+import {
+  exportToXLSX,
+  exportAbendeToCSV,
+  exportSpielerToCSV,
+  exportVerlaufToCSV,
+} from './services/spreadsheetService';
 
 /**
  * Main App Component
@@ -82,20 +184,72 @@ function App() {
   // The currently displayed/edited bowling evening
   const [currentAbend, setCurrentAbend] = useState(null);
 
+  // Closing the current evening: settlement dialog and reopen confirmation
+  const [abschlussOpen, setAbschlussOpen] = useState(false);
+  const [wiederOeffnenOpen, setWiederOeffnenOpen] = useState(false);
+  const [historieOpen, setHistorieOpen] = useState(false);
+  const [liveOpen, setLiveOpen] = useState(false);
+  const [kegelbildOpen, setKegelbildOpen] = useState(false);
+
+  // Evening menu (duplicate, archive, delete) and the evenings list
+  const [abendMenuAnchor, setAbendMenuAnchor] = useState(null);
+  const [loeschenOpen, setLoeschenOpen] = useState(false);
+  const [archivAnzeigen, setArchivAnzeigen] = useState(false);
+
+  // Undo/redo history of the current evening (see undoService)
+  const [undoHistory, setUndoHistory] = useState(createUndoHistory);
+
   // For notifications (toast messages)
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
 
-  // Saved player names for quick-add feature
-  const [savedPlayers, setSavedPlayers] = useState([]);
+  // Last storage failure (null = everything saved), stays visible until dismissed
+  const [storageError, setStorageError] = useState(null);
+
+  // Player master data (member records) for quick-add and rename propagation
+  const [mitglieder, setMitglieder] = useState([]);
+
+  // Manual treasury bookings (Vereinskasse)
+  const [buchungen, setBuchungen] = useState([]);
+
+  // Stored seasons (calendar years without a stored season are added by the saisonService)
+  const [saisons, setSaisons] = useState([]);
+  // Season shown in the evenings list (null = season of the current evening)
+  const [listenSaisonId, setListenSaisonId] = useState(null);
 
   // Settings menu and dialogs
   const [settingsAnchor, setSettingsAnchor] = useState(null);
   const [playerDialogOpen, setPlayerDialogOpen] = useState(false);
   const [priceDialogOpen, setPriceDialogOpen] = useState(false);
-  const [newPlayerName, setNewPlayerName] = useState('');
+  const [spielartenDialogOpen, setSpielartenDialogOpen] = useState(false);
+  const [preisHistorieOpen, setPreisHistorieOpen] = useState(false);
+
+  // Evaluations menu and dialogs
+  const [evaluationAnchor, setEvaluationAnchor] = useState(null);
+  const [kassenstandOpen, setKassenstandOpen] = useState(false);
+  const [vereinskasseOpen, setVereinskasseOpen] = useState(false);
+  const [statistikOpen, setStatistikOpen] = useState(false);
+  const [trendOpen, setTrendOpen] = useState(false);
+  const [meisterschaftOpen, setMeisterschaftOpen] = useState(false);
+  const [saisonOpen, setSaisonOpen] = useState(false);
+
+  // Export menu (JSON, XLSX, CSV)
+  const [exportAnchor, setExportAnchor] = useState(null);
+
+  // Import menu, CSV import wizard and merge import
+  const [importAnchor, setImportAnchor] = useState(null);
+  const [csvImportOpen, setCsvImportOpen] = useState(false);
+  // Backup that is being merged (null = merge dialog closed)
+  const [mergeBackup, setMergeBackup] = useState(null);
+
+  // Print menu, template dialog and the template currently being printed
+  const [printAnchor, setPrintAnchor] = useState(null);
+  const [vorlageDialogOpen, setVorlageDialogOpen] = useState(false);
+  const [printVorlage, setPrintVorlage] = useState(null);
   
   // New penalty form
   const [newPenalty, setNewPenalty] = useState({ label: '', description: '', preis: 0.5, inverted: false });
+  // Money game payout shares while they are being edited (null = not editing)
+  const [auszahlungText, setAuszahlungText] = useState(null);
 
   // ============================================
   // EFFECTS (Side Effects)
@@ -103,33 +257,39 @@ function App() {
 
   /**
    * On app startup:
-   * - Load saved configuration from LocalStorage
-   * - Merge with defaultConfig to include new penalties
+   * - Show storage failures in the UI from now on
+   * - Load saved configuration from IndexedDB
+   *   (data of older versions is moved out of LocalStorage and migrated
+   *   by the storageService, see migrationService)
    * - Load all saved bowling evenings
    * - Display the most recent evening (if exists)
    */
   useEffect(() => {
-    const savedConfig = loadConfig(defaultConfig);
-    
-    // Always use the latest penalties/game types from defaultConfig
-    // This ensures new penalties (like Kranz, Volle) are shown
-    const mergedConfig = {
-      ...savedConfig,
-      strafen: defaultConfig.strafen,
-      spielarten: defaultConfig.spielarten,
+    setStorageErrorHandler(setStorageError);
+
+    const loadData = async () => {
+      try {
+        const savedConfig = await loadConfig(defaultConfig);
+        const savedAbende = await loadKegelabende();
+
+        setConfig(savedConfig);
+        setKegelabende(savedAbende);
+        setMitglieder(await loadSpieler());
+        setBuchungen(await loadBuchungen());
+        setSaisons(await loadSaisons());
+
+        // Automatically load the most recent evening
+        if (savedAbende.length > 0) {
+          setCurrentAbend(savedAbende[savedAbende.length - 1]);
+        }
+      } catch (error) {
+        console.error('Error loading data:', error);
+        setStorageError(`Laden fehlgeschlagen: ${error.message}`);
+      }
     };
-    
-    const savedAbende = loadKegelabende();
-    const savedPlayersList = loadSpieler();
-    
-    setConfig(mergedConfig);
-    setKegelabende(savedAbende);
-    setSavedPlayers(savedPlayersList);
+    loadData();
 
-    // Automatically load the most recent evening
-    if (savedAbende.length > 0) {
-      setCurrentAbend(savedAbende[savedAbende.length - 1]);
-    }
+    return () => setStorageErrorHandler(null);
   }, []);
 
   /**
@@ -139,6 +299,9 @@ function App() {
   useEffect(() => {
     if (!currentAbend) return;
 
+    // Only this evening's record is written, failures are shown by the storage error banner
+    saveKegelabend(currentAbend);
+
     // Use functional update to avoid stale closure
     setKegelabende(prevAbende => {
       const existingIndex = prevAbende.findIndex(a => a.id === currentAbend.id);
@@ -151,38 +314,279 @@ function App() {
         updatedAbende = [...prevAbende, currentAbend];
       }
 
-      // Save to LocalStorage
-      saveKegelabende(updatedAbende);
       return updatedAbende;
     });
   }, [currentAbend]);
 
+  /**
+   * SEASON LIST: Switching to another evening shows that evening's season again
+   */
+  useEffect(() => {
+    setListenSaisonId(null);
+  }, [currentAbend?.id]);
+
+  /**
+   * PRINT TEMPLATE: Once the empty template is rendered, open the
+   * browser print dialog and switch back to the evening afterwards
+   */
+  useEffect(() => {
+    if (!printVorlage) return;
+    window.print();
+    setPrintVorlage(null);
+  }, [printVorlage]);
+
+  // ============================================
+  // CALCULATIONS
+  // ============================================
+
+  // The current evening is shown and calculated with its own prices
+  const abendConfig = useMemo(() => getAbendConfig(currentAbend, config), [currentAbend, config]);
+
+  // Whether the prices changed since the current evening was started
+  const abendPreiseVeraltet = useMemo(
+    () =>
+      Boolean(currentAbend) &&
+      !currentAbend.abgeschlossen &&
+      JSON.stringify(currentAbend.preise) !== JSON.stringify(createPreisSnapshot(config)),
+    [currentAbend, config]
+  );
+
+  // Seasons with evenings, the list shows the chosen season (default: the current evening's)
+  const saisonListe = useMemo(() => getSaisons(saisons, kegelabende), [saisons, kegelabende]);
+  const listenSaison =
+    saisonListe.find(saison => saison.id === listenSaisonId) ||
+    (currentAbend && findSaison(saisonListe, currentAbend.datum)) ||
+    saisonListe[saisonListe.length - 1] ||
+    null;
+  const saisonAbende = useMemo(
+    () => (listenSaison ? getSaisonAbende(saisonListe, listenSaison, kegelabende) : []),
+    [saisonListe, listenSaison, kegelabende]
+  );
+
+  // Only active members are offered when adding players
+  const aktiveMitglieder = useMemo(() => mitglieder.filter(m => m.aktiv), [mitglieder]);
+
+  // Evenings in the quick-switch list (the shown evening is always listed)
+  const archivAnzahl = saisonAbende.filter(abend => abend.archiviert).length;
+  const sichtbareAbende = useMemo(
+    () =>
+      saisonAbende.filter(
+        abend => archivAnzeigen || !abend.archiviert || abend.id === currentAbend?.id
+      ),
+    [saisonAbende, archivAnzeigen, currentAbend]
+  );
+
   // ============================================
   // EVENT HANDLERS
   // ============================================
 
   /**
-   * Creates a new, empty bowling evening with today's date
+   * Creates a new, empty bowling evening with today's date and current prices
    */
   const handleNewAbend = () => {
-    const newAbend = createEmptyKegelabend();
+    const newAbend = withPreisSnapshot(createEmptyKegelabend(), config);
     setCurrentAbend(newAbend);
   };
 
+  /**
+   * Applies the current prices to the current evening
+   * (e.g. when the prices were changed right after starting the evening)
+   */
+  const handleApplyPreiseToAbend = () => {
+    const preise = createPreisSnapshot(config);
+    setCurrentAbend(
+      addHistorieEintrag(
+        { ...currentAbend, preise },
+        createPreisEintrag(currentAbend.preise, preise, config.waehrung)
+      )
+    );
+    setSnackbar({ open: true, message: 'Preise für diesen Abend übernommen', severity: 'success' });
+  };
+
+  /**
+   * Displays a saved bowling evening by its id
+   */
+  const handleSelectAbend = abendId => {
+    const abend = kegelabende.find(a => a.id === abendId);
+    if (abend) setCurrentAbend(abend);
+  };
+
   /**
    * Called when data in the bowling evening changes
    * (e.g., new player, penalty entered, etc.)
-   * Automatically triggers the auto-save effect
+   * Automatically triggers the auto-save effect, records an undo step
+   * and logs the change in the evening's history
+   * Closed evenings are locked and ignore all edits
    */
   const handleUpdateAbend = updatedAbend => {
-    setCurrentAbend(updatedAbend);
+    if (currentAbend.abgeschlossen) return;
+    const loggedAbend = logChanges(currentAbend, updatedAbend, config);
+    setUndoHistory(prev => recordChange(prev, currentAbend, loggedAbend, Date.now()));
+    setCurrentAbend(loggedAbend);
+  };
+
+  // Whether the toolbar buttons and shortcuts have something to do
+  const { canUndo, canRedo } = getUndoStatus(undoHistory, currentAbend);
+
+  /**
+   * Reverts the last edit of the current evening (Ctrl+Z)
+   */
+  const handleUndo = useCallback(() => {
+    if (!getUndoStatus(undoHistory, currentAbend).canUndo) return;
+    const result = undoChange(undoHistory, currentAbend);
+    setUndoHistory(result.history);
+    setCurrentAbend(logUndo(currentAbend, result.kegelabend, config, false));
+  }, [undoHistory, currentAbend, config]);
+
+  /**
+   * Restores the last undone edit (Ctrl+Y or Ctrl+Shift+Z)
+   */
+  const handleRedo = useCallback(() => {
+    if (!getUndoStatus(undoHistory, currentAbend).canRedo) return;
+    const result = redoChange(undoHistory, currentAbend);
+    setUndoHistory(result.history);
+    setCurrentAbend(logUndo(currentAbend, result.kegelabend, config, true));
+  }, [undoHistory, currentAbend, config]);
+
+  /**
+   * KEYBOARD SHORTCUTS for undo/redo
+   * Not inside dialogs, their text fields keep the browser's own undo
+   */
+  useEffect(() => {
+    const handleKeyDown = event => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (event.target.closest?.('[role="dialog"]')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  /**
+   * Closes the current evening after the settlement was confirmed
+   * The undo history starts over, so closing can not be undone by Ctrl+Z
+   */
+  const handleCloseAbend = () => {
+    const eintrag = createHistorieEintrag('abschluss', 'Abend abgeschlossen');
+    setCurrentAbend({
+      ...currentAbend,
+      abgeschlossen: true,
+      abgeschlossenAm: eintrag.zeitpunkt,
+      historie: [...currentAbend.historie, eintrag],
+    });
+    setUndoHistory(createUndoHistory());
+    setAbschlussOpen(false);
+    setSnackbar({ open: true, message: 'Abend abgeschlossen', severity: 'success' });
   };
 
   /**
-   * Updates the saved players list and persists to storage
+   * Reopens the current evening after confirmation (recorded in the log)
    */
-  const updateSavedPlayers = useCallback((updateFn) => {
-    setSavedPlayers(prev => {
+  const handleReopenAbend = () => {
+    setCurrentAbend({
+      ...currentAbend,
+      abgeschlossen: false,
+      historie: [
+        ...currentAbend.historie,
+        createHistorieEintrag('wiedereroeffnung', 'Abend wieder geöffnet'),
+      ],
+    });
+    setUndoHistory(createUndoHistory());
+    setWiederOeffnenOpen(false);
+    setSnackbar({ open: true, message: 'Abend wieder geöffnet', severity: 'info' });
+  };
+
+  /**
+   * Starts a new evening (today, current prices) with the players of the current one
+   * Only the names are copied, penalties, results and payments start empty
+   */
+  const handleDuplicateAbend = () => {
+    setAbendMenuAnchor(null);
+    const spieler = currentAbend.spieler.filter(player => player.name.trim());
+    const namen = spieler.map(player => player.name);
+    const datum = new Date(currentAbend.datum).toLocaleDateString('de-DE');
+    const newAbend = withPreisSnapshot(createEmptyKegelabend(), config);
+    setCurrentAbend({
+      ...newAbend,
+      spieler: spieler.map(player => createEmptyPlayer(player.name, player.mitgliedId)),
+      historie: [
+        createHistorieEintrag('spieler', `Spieler vom ${datum} übernommen: ${namen.join(', ')}`),
+      ],
+    });
+    setSnackbar({ open: true, message: 'Neuer Abend mit gleichen Spielern', severity: 'success' });
+  };
+
+  /**
+   * Archives the current evening or takes it out of the archive
+   * Archived evenings are hidden from the evenings list but stay in all evaluations
+   * Works on closed evenings too, so it bypasses the lock (and starts a new undo history)
+   */
+  const handleToggleArchiv = () => {
+    setAbendMenuAnchor(null);
+    const archiviert = !currentAbend.archiviert;
+    const text = archiviert ? 'Abend archiviert' : 'Abend aus dem Archiv geholt';
+    setCurrentAbend({
+      ...currentAbend,
+      archiviert,
+      historie: [...currentAbend.historie, createHistorieEintrag('archiv', text)],
+    });
+    setUndoHistory(createUndoHistory());
+    setSnackbar({ open: true, message: text, severity: 'success' });
+  };
+
+  /**
+   * Deletes the current evening after confirmation
+   * Shows the most recent remaining evening that is not archived afterwards
+   */
+  const handleDeleteAbend = async () => {
+    const geloescht = currentAbend;
+    setLoeschenOpen(false);
+    if (!(await deleteKegelabend(geloescht.id))) return;
+
+    const remaining = kegelabende.filter(a => a.id !== geloescht.id);
+    setKegelabende(remaining);
+    setCurrentAbend(remaining.filter(a => !a.archiviert).pop() || remaining.pop() || null);
+    setUndoHistory(createUndoHistory());
+    setSnackbar({
+      open: true,
+      message: `Kegelabend vom ${new Date(geloescht.datum).toLocaleDateString('de-DE')} gelöscht`,
+      severity: 'success',
+    });
+  };
+
+  /**
+   * Offers to undo a player removal (a mis-tap wipes the player's whole evening)
+   * The snackbar keeps the undo step of the removal (the evening before it),
+   * so "Rückgängig" never reverts an edit made after the removal
+   */
+  const handlePlayerRemoved = player => {
+    setSnackbar({
+      open: true,
+      message: `${player.name || 'Spieler'} entfernt`,
+      severity: 'info',
+      undoSchritt: currentAbend,
+    });
+  };
+
+  // Whether the undo step of the snackbar is still the latest one
+  const snackbarUndo =
+    Boolean(snackbar.undoSchritt) &&
+    getUndoStatus(undoHistory, currentAbend).canUndo &&
+    undoHistory.past[undoHistory.past.length - 1] === snackbar.undoSchritt;
+
+  /**
+   * Updates the player master data and persists to storage
+   */
+  const updateMitglieder = useCallback((updateFn) => {
+    setMitglieder(prev => {
       const updated = updateFn(prev);
       saveSpieler(updated);
       return updated;
@@ -190,25 +594,87 @@ function App() {
   }, []);
 
   /**
-   * Adds a new player to the saved players list
+   * Returns the member with this name, a new member is added to the master data
+   * (used by "Neuer Spieler..." in the table)
    */
-  const addSavedPlayer = useCallback((name = newPlayerName) => {
-    const trimmed = typeof name === 'string' ? name.trim() : '';
-    if (!trimmed) return;
-    
-    updateSavedPlayers(prev => {
-      if (prev.includes(trimmed)) return prev;
-      return [...prev, trimmed].sort();
+  const addMitglied = useCallback((name) => {
+    const vorhanden = findMitgliedByName(mitglieder, name);
+    if (vorhanden) return vorhanden;
+    const mitglied = createMitglied(name.trim());
+    updateMitglieder(prev => sortMitglieder([...prev, mitglied]));
+    return mitglied;
+  }, [mitglieder, updateMitglieder]);
+
+  /**
+   * Stores a new or changed member
+   * A rename is written to all linked evening rows and to the frozen
+   * balances of closed seasons, so the member's history stays in one piece
+   */
+  const handleSaveMitglied = mitglied => {
+    const vorher = mitglieder.find(m => m.id === mitglied.id);
+    updateMitglieder(prev => sortMitglieder([...prev.filter(m => m.id !== mitglied.id), mitglied]));
+    if (!vorher || vorher.name === mitglied.name) return;
+
+    const umbenannt = renameMitgliedInAbenden(kegelabende, mitglied.id, mitglied.name);
+    if (umbenannt.length > 0) {
+      saveKegelabende(umbenannt);
+      const byId = new Map(umbenannt.map(abend => [abend.id, abend]));
+      setKegelabende(prev => prev.map(abend => byId.get(abend.id) || abend));
+      // The undo steps still contain the old name
+      if (currentAbend && byId.has(currentAbend.id)) {
+        setUndoHistory(createUndoHistory());
+        setCurrentAbend(byId.get(currentAbend.id));
+      }
+    }
+    setSnackbar({
+      open: true,
+      message: `${vorher.name} heißt jetzt ${mitglied.name} (${umbenannt.length} Kegelabende angepasst)`,
+      severity: 'success',
+    });
+  };
+
+  /**
+   * Removes a member without evenings from the master data
+   */
+  const handleDeleteMitglied = useCallback((mitgliedId) => {
+    updateMitglieder(prev => prev.filter(m => m.id !== mitgliedId));
+  }, [updateMitglieder]);
+
+  /**
+   * Updates the treasury bookings and persists to storage
+   */
+  const updateBuchungen = useCallback((updateFn) => {
+    setBuchungen(prev => {
+      const updated = updateFn(prev);
+      saveBuchungen(updated);
+      return updated;
+    });
+  }, []);
+
+  /**
+   * Updates the stored seasons and persists to storage
+   */
+  const updateSaisons = useCallback((updateFn) => {
+    setSaisons(prev => {
+      const updated = updateFn(prev);
+      saveSaisons(updated);
+      return updated;
     });
-    setNewPlayerName('');
-  }, [newPlayerName, updateSavedPlayers]);
+  }, []);
+
+  /**
+   * Adds a manual booking to the Vereinskasse
+   */
+  const addBuchung = useCallback((buchung) => {
+    updateBuchungen(prev => [...prev, buchung]);
+  }, [updateBuchungen]);
 
   /**
-   * Removes a player from the saved players list
+   * Removes a manual booking from the Vereinskasse
    */
-  const removeSavedPlayer = useCallback((name) => {
-    updateSavedPlayers(prev => prev.filter(p => p !== name));
-  }, [updateSavedPlayers]);
+  const removeBuchung = useCallback((buchungId) => {
+    updateBuchungen(prev => prev.filter(b => b.id !== buchungId));
+  }, [updateBuchungen]);
 
   /**
    * Updates a penalty price in the config
@@ -236,6 +702,44 @@ function App() {
     saveConfig(updatedConfig);
   };
 
+  /**
+   * Updates the absence fee (Fehlgeld), paid by absent members instead of the entry fee
+   */
+  const handleFehlgeldChange = (newValue) => {
+    const updatedConfig = {
+      ...config,
+      fehlgeld: parseFloat(newValue) || 0,
+    };
+    setConfig(updatedConfig);
+    saveConfig(updatedConfig);
+  };
+
+  /**
+   * Updates one money game setting (game type, stake or payout shares)
+   */
+  const handleGeldspielChange = (field, value) => {
+    const updatedConfig = {
+      ...config,
+      geldspiel: { ...config.geldspiel, [field]: value },
+    };
+    setConfig(updatedConfig);
+    saveConfig(updatedConfig);
+  };
+
+  /**
+   * Stores the payout shares entered as text, e.g. "70, 30"
+   */
+  const handleAuszahlungBlur = () => {
+    if (auszahlungText !== null) {
+      const auszahlung = auszahlungText
+        .split(/[\s,;]+/)
+        .map(value => parseFloat(value))
+        .filter(value => !Number.isNaN(value) && value >= 0);
+      handleGeldspielChange('auszahlung', auszahlung);
+    }
+    setAuszahlungText(null);
+  };
+
   /**
    * Adds a new penalty to the config
    */
@@ -271,371 +775,1165 @@ function App() {
     saveConfig(updatedConfig);
   };
 
+  /**
+   * Replaces the game types (added, edited, reordered or deleted)
+   */
+  const handleSpielartenChange = (spielarten) => {
+    const updatedConfig = { ...config, spielarten };
+    setConfig(updatedConfig);
+    saveConfig(updatedConfig);
+  };
+
+  /**
+   * Stores the championship settings (scoring, minimum attendance, tie-breakers)
+   */
+  const handleMeisterschaftChange = (meisterschaft) => {
+    const updatedConfig = { ...config, meisterschaft };
+    setConfig(updatedConfig);
+    saveConfig(updatedConfig);
+  };
+
   /**
    * Exports all data as JSON file for download
    * Useful for backups or transferring to another PC
    */
   const handleExport = () => {
-    exportToJSON();
+    setExportAnchor(null);
+    // Exported from memory, so this also rescues data when saving failed
+    exportToJSON({ kegelabende, config, spieler: mitglieder, buchungen, saisons });
     setSnackbar({ open: true, message: 'Export erfolgreich!', severity: 'success' });
   };
 
+  /**
+   * Exports the evenings as spreadsheet (XLSX or CSV)
+   * For the Kassenprüfer, who works in Excel
+   *
+   * @param {Function} exportFn - One of the spreadsheetService export functions
+   */
+  const handleSpreadsheetExport = exportFn => {
+    setExportAnchor(null);
+    try {
+      exportFn(kegelabende, config);
+      setSnackbar({ open: true, message: 'Export erfolgreich!', severity: 'success' });
+    } catch (error) {
+      console.error('Error exporting spreadsheet:', error);
+      setSnackbar({ open: true, message: 'Export fehlgeschlagen!', severity: 'error' });
+    }
+  };
+
+  /**
+   * Exports the current bowling evening as PDF file
+   * Generated in the browser, so it also works offline
+   */
+  const handleExportPDF = () => {
+    if (!currentAbend) return;
+    try {
+      exportAbendToPDF(currentAbend, abendConfig);
+      setSnackbar({ open: true, message: 'PDF erstellt!', severity: 'success' });
+    } catch (error) {
+      console.error('Error creating PDF:', error);
+      setSnackbar({ open: true, message: 'PDF-Export fehlgeschlagen!', severity: 'error' });
+    }
+  };
+
+  /**
+   * Prints the current bowling evening
+   * Only the print layout (Druckansicht) is visible on paper
+   */
+  const handlePrintAbend = () => {
+    setPrintAnchor(null);
+    window.print();
+  };
+
   /**
    * Imports data from a JSON file
    * WARNING: Overwrites current data!
    */
   const handleImport = async event => {
+    setImportAnchor(null);
     const file = event.target.files[0];
     if (!file) return;
 
     try {
+      // Older backups are migrated to the current schema by the import
       const data = await importFromJSON(file);
-      setKegelabende(data.kegelabende || []);
+      setUndoHistory(createUndoHistory());
+      setKegelabende(data.kegelabende);
       if (data.config) setConfig(data.config);
-      // Display the most recently imported evening
-      if (data.kegelabende?.length > 0) {
-        setCurrentAbend(data.kegelabende[data.kegelabende.length - 1]);
-      }
+      setMitglieder(data.spieler);
+      setBuchungen(data.buchungen);
+      setSaisons(data.saisons);
+      setListenSaisonId(null);
+      // Display the most recently imported evening; without evenings the old one
+      // must go, otherwise auto-save would write it back into the imported data
+      setCurrentAbend(
+        data.kegelabende.length > 0 ? data.kegelabende[data.kegelabende.length - 1] : null
+      );
       setSnackbar({ open: true, message: 'Import erfolgreich!', severity: 'success' });
     } catch (error) {
-      setSnackbar({ open: true, message: 'Import fehlgeschlagen!', severity: 'error' });
+      setSnackbar({
+        open: true,
+        message: `Import fehlgeschlagen: ${error.message}`,
+        severity: 'error',
+      });
+    }
+    // Reset input so the same file can be selected again
+    event.target.value = '';
+  };
+
+  /**
+   * Reads a JSON backup and opens the merge preview
+   * Nothing is changed until the user confirms the merge
+   */
+  const handleMergeFile = async event => {
+    setImportAnchor(null);
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      setMergeBackup(await readBackup(file));
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Import fehlgeschlagen: ${error.message}`,
+        severity: 'error',
+      });
     }
     // Reset input so the same file can be selected again
     event.target.value = '';
   };
 
+  /**
+   * Stores the merged evenings from the merge dialog
+   * Players, bookings and seasons only in the backup are added, settings stay local
+   * The evening rows are linked to the merged master data by name
+   */
+  const handleMergeImport = merged => {
+    const names = merged.flatMap(abend => abend.spieler.map(p => p.name));
+    const mergedMitglieder = addMitglieder(mergeMitglieder(mitglieder, mergeBackup.spieler), names);
+    const mergedAbende = linkMitglieder(merged, mergedMitglieder);
+    updateMitglieder(() => mergedMitglieder);
+
+    setUndoHistory(createUndoHistory());
+    saveKegelabende(mergedAbende);
+    setKegelabende(mergedAbende);
+    // Show the merged version, otherwise auto-save would write the old one back
+    if (currentAbend) {
+      setCurrentAbend(mergedAbende.find(a => a.id === currentAbend.id) || currentAbend);
+    } else if (mergedAbende.length > 0) {
+      setCurrentAbend(mergedAbende[mergedAbende.length - 1]);
+    }
+
+    updateBuchungen(prev => mergeBuchungen(prev, mergeBackup.buchungen));
+    updateSaisons(prev => mergeSaisons(prev, mergeBackup.saisons));
+
+    setSnackbar({ open: true, message: 'Backup zusammengeführt!', severity: 'success' });
+  };
+
+  /**
+   * Adds evenings from the CSV import wizard
+   * Existing evenings stay untouched, new players are added to the master data
+   * and every row is linked to its member
+   */
+  const handleCsvImport = importierteAbende => {
+    const names = importierteAbende.flatMap(abend => abend.spieler.map(p => p.name));
+    const updatedMitglieder = addMitglieder(mitglieder, names);
+    const newAbende = linkMitglieder(importierteAbende, updatedMitglieder);
+    updateMitglieder(() => updatedMitglieder);
+
+    setKegelabende(prevAbende => {
+      // Keep the list in date order, so history lands in the right place
+      return [...prevAbende, ...newAbende].sort((a, b) => a.datum.localeCompare(b.datum));
+    });
+    saveKegelabende(newAbende);
+
+    setSnackbar({
+      open: true,
+      message: `${newAbende.length} Kegelabende importiert!`,
+      severity: 'success',
+    });
+  };
+
   // ============================================
   // RENDER - What is displayed on screen
   // ============================================
 
   return (
-    <Container maxWidth="xl" sx={{ py: 3 }}>
-      {/* ==========================================
-          HEADER SECTION
-          - App title
-          - Action buttons (New Evening, Export, Import)
-          ========================================== */}
-      <Paper sx={{ p: 2, mb: 3 }}>
-        <Stack direction="row" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2}>
-          <Typography variant="h4" component="h1" fontWeight="bold">
-            🎳 Kegelbuch
-          </Typography>
-          <Stack direction="row" spacing={1} alignItems="center">
-            {/* Button: Create new empty bowling evening */}
-            <Button
-              variant="contained"
-              startIcon={<AddIcon />}
-              onClick={handleNewAbend}
-            >
-              Neuer Abend
-            </Button>
-            {/* Button: Export all data as JSON */}
-            <Button variant="outlined" startIcon={<FileDownloadIcon />} onClick={handleExport}>
-              Export
-            </Button>
-            {/* Button: Import JSON file (hidden file input) */}
-            <Button variant="outlined" component="label" startIcon={<FileUploadIcon />}>
-              Import
-              <input type="file" hidden accept=".json" onChange={handleImport} />
-            </Button>
+    <>
+      {/* Everything on screen is hidden when printing, see Druckansicht below */}
+      <Container maxWidth="xl" sx={{ py: 3, displayPrint: 'none' }}>
+        {/* ==========================================
+            HEADER SECTION
+            - App title
+            - Action buttons (New Evening, Export, Import)
+            ========================================== */}
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2}>
+            <Typography variant="h4" component="h1" fontWeight="bold">
+              🎳 Kegelbuch
+            </Typography>
+            <Stack direction="row" spacing={1} alignItems="center">
+              {/* Button: Create new empty bowling evening */}
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={handleNewAbend}
+              >
+                Neuer Abend
+              </Button>
+              {/* Button: Export menu (JSON backup or spreadsheets) */}
+              <Button
+                variant="outlined"
+                startIcon={<FileDownloadIcon />}
+                onClick={(e) => setExportAnchor(e.currentTarget)}
+              >
+                Export
+              </Button>
+              <Menu
+                anchorEl={exportAnchor}
+                open={Boolean(exportAnchor)}
+                onClose={() => setExportAnchor(null)}
+              >
+                <MenuItem onClick={handleExport}>
+                  <ListItemIcon><DataObjectIcon /></ListItemIcon>
+                  <ListItemText primary="JSON" secondary="Datensicherung (kann importiert werden)" />
+                </MenuItem>
+                <Divider />
+                <MenuItem onClick={() => handleSpreadsheetExport(exportToXLSX)}>
+                  <ListItemIcon><TableChartIcon /></ListItemIcon>
+                  <ListItemText primary="Excel (XLSX)" secondary="Abende und Spielersummen" />
+                </MenuItem>
+                <MenuItem onClick={() => handleSpreadsheetExport(exportAbendeToCSV)}>
+                  <ListItemIcon><DescriptionIcon /></ListItemIcon>
+                  <ListItemText primary="CSV: Abende" secondary="Eine Zeile pro Spieler und Abend" />
+                </MenuItem>
+                <MenuItem onClick={() => handleSpreadsheetExport(exportSpielerToCSV)}>
+                  <ListItemIcon><DescriptionIcon /></ListItemIcon>
+                  <ListItemText primary="CSV: Spielersummen" secondary="Eine Zeile pro Spieler" />
+                </MenuItem>
+                <MenuItem onClick={() => handleSpreadsheetExport(exportVerlaufToCSV)}>
+                  <ListItemIcon><DescriptionIcon /></ListItemIcon>
+                  <ListItemText primary="CSV: Verlauf" secondary="Alle Änderungen aller Abende" />
+                </MenuItem>
+              </Menu>
+              {/* Button: Import menu (JSON backup, merge or CSV wizard) */}
+              <Button
+                variant="outlined"
+                startIcon={<FileUploadIcon />}
+                onClick={(e) => setImportAnchor(e.currentTarget)}
+              >
+                Import
+              </Button>
+              <Menu
+                anchorEl={importAnchor}
+                open={Boolean(importAnchor)}
+                onClose={() => setImportAnchor(null)}
+              >
+                {/* Hidden file input inside the menu item */}
+                <MenuItem component="label">
+                  <ListItemIcon><DataObjectIcon /></ListItemIcon>
+                  <ListItemText primary="JSON" secondary="Datensicherung wiederherstellen" />
+                  <input type="file" hidden accept=".json" onChange={handleImport} />
+                </MenuItem>
+                <MenuItem component="label">
+                  <ListItemIcon><CallMergeIcon /></ListItemIcon>
+                  <ListItemText primary="JSON zusammenführen" secondary="Backup eines anderen Geräts ergänzen" />
+                  <input type="file" hidden accept=".json" onChange={handleMergeFile} />
+                </MenuItem>
+                <MenuItem onClick={() => { setCsvImportOpen(true); setImportAnchor(null); }}>
+                  <ListItemIcon><DescriptionIcon /></ListItemIcon>
+                  <ListItemText primary="CSV" secondary="Alte Kegelbuch-Tabellen übernehmen" />
+                </MenuItem>
+              </Menu>
 
-            {/* Settings Menu */}
-            <IconButton
-              onClick={(e) => setSettingsAnchor(e.currentTarget)}
-              color="primary"
-            >
-              <SettingsIcon />
-            </IconButton>
-            <Menu
-              anchorEl={settingsAnchor}
-              open={Boolean(settingsAnchor)}
-              onClose={() => setSettingsAnchor(null)}
-            >
-              <MenuItem onClick={() => { setPlayerDialogOpen(true); setSettingsAnchor(null); }}>
-                <ListItemIcon><GroupIcon /></ListItemIcon>
-                <ListItemText>Spieler-Stammdaten</ListItemText>
-              </MenuItem>
-              <MenuItem onClick={() => { setPriceDialogOpen(true); setSettingsAnchor(null); }}>
-                <ListItemIcon><EuroIcon /></ListItemIcon>
-                <ListItemText>Preise konfigurieren</ListItemText>
-              </MenuItem>
-            </Menu>
-          </Stack>
-        </Stack>
-      </Paper>
+              {/* Print Menu */}
+              <IconButton
+                onClick={(e) => setPrintAnchor(e.currentTarget)}
+                color="primary"
+              >
+                <PrintIcon />
+              </IconButton>
+              <Menu
+                anchorEl={printAnchor}
+                open={Boolean(printAnchor)}
+                onClose={() => setPrintAnchor(null)}
+              >
+                <MenuItem onClick={handlePrintAbend} disabled={!currentAbend}>
+                  <ListItemIcon><PrintIcon /></ListItemIcon>
+                  <ListItemText>Kegelabend drucken</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setVorlageDialogOpen(true); setPrintAnchor(null); }}>
+                  <ListItemIcon><NoteAddIcon /></ListItemIcon>
+                  <ListItemText>Leere Vorlage drucken</ListItemText>
+                </MenuItem>
+              </Menu>
 
-      {/* ==========================================
-          MAIN CONTENT AREA
-          - Shows current bowling evening as table
-          - Or welcome message if no evening selected
-          ========================================== */}
-      {currentAbend ? (
-        <Paper sx={{ p: 2 }}>
-          {/* Date picker for the bowling evening */}
-          <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
-            <Typography variant="h6">Kegelabend vom</Typography>
-            <TextField
-              type="date"
-              value={currentAbend.datum}
-              onChange={e =>
-                handleUpdateAbend({ ...currentAbend, datum: e.target.value })
-              }
-              size="small"
-            />
+              {/* Settings Menu */}
+              <IconButton
+                onClick={(e) => setSettingsAnchor(e.currentTarget)}
+                color="primary"
+              >
+                <SettingsIcon />
+              </IconButton>
+              <Menu
+                anchorEl={settingsAnchor}
+                open={Boolean(settingsAnchor)}
+                onClose={() => setSettingsAnchor(null)}
+              >
+                <MenuItem onClick={() => { setPlayerDialogOpen(true); setSettingsAnchor(null); }}>
+                  <ListItemIcon><GroupIcon /></ListItemIcon>
+                  <ListItemText>Spieler-Stammdaten</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setPriceDialogOpen(true); setSettingsAnchor(null); }}>
+                  <ListItemIcon><EuroIcon /></ListItemIcon>
+                  <ListItemText>Preise konfigurieren</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setSpielartenDialogOpen(true); setSettingsAnchor(null); }}>
+                  <ListItemIcon><SportsScoreIcon /></ListItemIcon>
+                  <ListItemText>Spielarten konfigurieren</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setPreisHistorieOpen(true); setSettingsAnchor(null); }}>
+                  <ListItemIcon><HistoryIcon /></ListItemIcon>
+                  <ListItemText>Preishistorie</ListItemText>
+                </MenuItem>
+              </Menu>
+
+              {/* Evaluations Menu */}
+              <IconButton
+                onClick={(e) => setEvaluationAnchor(e.currentTarget)}
+                color="primary"
+              >
+                <AssessmentIcon />
+              </IconButton>
+              <Menu
+                anchorEl={evaluationAnchor}
+                open={Boolean(evaluationAnchor)}
+                onClose={() => setEvaluationAnchor(null)}
+              >
+                <MenuItem onClick={() => { setKassenstandOpen(true); setEvaluationAnchor(null); }}>
+                  <ListItemIcon><AccountBalanceWalletIcon /></ListItemIcon>
+                  <ListItemText>Kassenstand</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setVereinskasseOpen(true); setEvaluationAnchor(null); }}>
+                  <ListItemIcon><AccountBalanceIcon /></ListItemIcon>
+                  <ListItemText>Vereinskasse</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setStatistikOpen(true); setEvaluationAnchor(null); }}>
+                  <ListItemIcon><BarChartIcon /></ListItemIcon>
+                  <ListItemText>Statistiken</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setTrendOpen(true); setEvaluationAnchor(null); }}>
+                  <ListItemIcon><ShowChartIcon /></ListItemIcon>
+                  <ListItemText>Trends</ListItemText>
+                </MenuItem>
+                <MenuItem onClick={() => { setMeisterschaftOpen(true); setEvaluationAnchor(null); }}>
+                  <ListItemIcon><EmojiEventsIcon /></ListItemIcon>
+                  <ListItemText>Meisterschaft</ListItemText>
+                </MenuItem>
+              </Menu>
+            </Stack>
           </Stack>
-          <Divider sx={{ mb: 2 }} />
-          {/* The actual table with players, penalties, etc. */}
-          <KegelabendTable
-            kegelabend={currentAbend}
-            config={config}
-            onUpdate={handleUpdateAbend}
-            savedPlayers={savedPlayers}
-            onAddSavedPlayer={addSavedPlayer}
-          />
         </Paper>
-      ) : (
-        // Welcome view when no evening is selected
-        <Paper sx={{ p: 4, textAlign: 'center' }}>
-          <Typography variant="h6" color="text.secondary" gutterBottom>
-            Kein Kegelabend ausgewählt
-          </Typography>
-          <Button
-            variant="contained"
-            startIcon={<AddIcon />}
-            onClick={handleNewAbend}
-            sx={{ mt: 2 }}
+
+        {/* ==========================================
+            STORAGE ERROR
+            - Stays until dismissed, so a failed save is never missed
+            ========================================== */}
+        {storageError && (
+          <Alert
+            severity="error"
+            sx={{ mb: 3 }}
+            action={
+              <Stack direction="row" spacing={1}>
+                <Button color="inherit" size="small" onClick={handleExport}>
+                  Backup exportieren
+                </Button>
+                <Button color="inherit" size="small" onClick={() => setStorageError(null)}>
+                  Ausblenden
+                </Button>
+              </Stack>
+            }
           >
-            Neuen Kegelabend starten
-          </Button>
-        </Paper>
-      )}
+            <AlertTitle>{storageError}</AlertTitle>
+            Die letzten Änderungen sind eventuell nicht gespeichert. Bitte sofort ein
+            JSON-Backup exportieren, damit nichts verloren geht.
+          </Alert>
+        )}
 
-      {/* ==========================================
-          PREVIOUS EVENINGS LIST
-          - Buttons for quickly switching between evenings
-          - Only visible if at least one evening exists
-          ========================================== */}
-      {kegelabende.length > 0 && (
-        <Paper sx={{ p: 2, mt: 3 }}>
-          <Typography variant="h6" gutterBottom>
-            Bisherige Kegelabende
-          </Typography>
-          <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
-            {kegelabende.map(abend => (
-              <Button
-                key={abend.id}
-                // Currently selected evening is highlighted (contained)
-                variant={currentAbend?.id === abend.id ? 'contained' : 'outlined'}
+        {/* ==========================================
+            MAIN CONTENT AREA
+            - Shows current bowling evening as table
+            - Or welcome message if no evening selected
+            ========================================== */}
+        {currentAbend ? (
+          <Paper sx={{ p: 2 }}>
+            {/* Date picker for the bowling evening */}
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+              <Typography variant="h6">Kegelabend vom</Typography>
+              <TextField
+                type="date"
+                value={currentAbend.datum}
+                onChange={e =>
+                  handleUpdateAbend({ ...currentAbend, datum: e.target.value })
+                }
                 size="small"
-                onClick={() => setCurrentAbend(abend)}
+                InputProps={{ readOnly: currentAbend.abgeschlossen }}
+              />
+              {currentAbend.abgeschlossen && (
+                <Chip icon={<LockIcon />} label="Abgeschlossen" color="success" size="small" />
+              )}
+              <Box sx={{ flexGrow: 1 }} />
+              {/* Undo/redo of the evening's edits (also Ctrl+Z / Ctrl+Y) */}
+              <Tooltip title="Rückgängig (Strg+Z)">
+                <span>
+                  <IconButton onClick={handleUndo} disabled={!canUndo}>
+                    <UndoIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Wiederholen (Strg+Y)">
+                <span>
+                  <IconButton onClick={handleRedo} disabled={!canRedo}>
+                    <RedoIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Verlauf">
+                <IconButton onClick={() => setHistorieOpen(true)}>
+                  <HistoryIcon />
+                </IconButton>
+              </Tooltip>
+              {/* Close the evening, or settlement and reopen when it is closed */}
+              {currentAbend.abgeschlossen ? (
+                <>
+                  <Button
+                    variant="outlined"
+                    startIcon={<ReceiptLongIcon />}
+                    onClick={() => setAbschlussOpen(true)}
+                  >
+                    Abrechnung
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    color="warning"
+                    startIcon={<LockOpenIcon />}
+                    onClick={() => setWiederOeffnenOpen(true)}
+                  >
+                    Wieder öffnen
+                  </Button>
+                </>
+              ) : (
+                <Button
+                  variant="outlined"
+                  startIcon={<LockIcon />}
+                  onClick={() => setAbschlussOpen(true)}
+                >
+                  Abschließen
+                </Button>
+              )}
+              {/* Button: Live mode with big buttons for the lane */}
+              <Button
+                variant={isLive(currentAbend) ? 'contained' : 'outlined'}
+                startIcon={<TouchAppIcon />}
+                disabled={currentAbend.abgeschlossen}
+                onClick={() => setLiveOpen(true)}
               >
-                {/* Display date in German format (DD.MM.YYYY) */}
-                {new Date(abend.datum).toLocaleDateString('de-DE')}
+                Live
               </Button>
-            ))}
-          </Stack>
-        </Paper>
-      )}
-
-      {/* ==========================================
-          NOTIFICATIONS (Snackbar/Toast)
-          - Shows success or error messages
-          - Auto-hides after 3 seconds
-          ========================================== */}
-      <Snackbar
-        open={snackbar.open}
-        autoHideDuration={3000}
-        onClose={() => setSnackbar({ ...snackbar, open: false })}
-      >
-        <Alert severity={snackbar.severity} onClose={() => setSnackbar({ ...snackbar, open: false })}>
-          {snackbar.message}
-        </Alert>
-      </Snackbar>
-
-      {/* ==========================================
-          PLAYER MANAGEMENT DIALOG
-          ========================================== */}
-      <Dialog open={playerDialogOpen} onClose={() => setPlayerDialogOpen(false)} maxWidth="sm" fullWidth>
-        <DialogTitle>Spieler-Stammdaten verwalten</DialogTitle>
-        <DialogContent>
-          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-            Gespeicherte Spieler können schnell zu jedem Kegelabend hinzugefügt werden.
-          </Typography>
-          
-          {/* Add new player */}
-          <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+              {/* Button: Pin board, scores throw by throw */}
+              <Button
+                variant="outlined"
+                startIcon={<ScoreboardIcon />}
+                disabled={currentAbend.abgeschlossen}
+                onClick={() => setKegelbildOpen(true)}
+              >
+                Kegelbild
+              </Button>
+              {/* Button: Export this evening as PDF */}
+              <Button variant="outlined" startIcon={<PictureAsPdfIcon />} onClick={handleExportPDF}>
+                PDF
+              </Button>
+              {/* Evening menu: duplicate, archive, delete */}
+              <IconButton onClick={e => setAbendMenuAnchor(e.currentTarget)}>
+                <MoreVertIcon />
+              </IconButton>
+              <Menu
+                anchorEl={abendMenuAnchor}
+                open={Boolean(abendMenuAnchor)}
+                onClose={() => setAbendMenuAnchor(null)}
+              >
+                <MenuItem onClick={handleDuplicateAbend}>
+                  <ListItemIcon><ContentCopyIcon /></ListItemIcon>
+                  <ListItemText
+                    primary="Duplizieren"
+                    secondary="Neuer Abend mit gleichen Spielern"
+                  />
+                </MenuItem>
+                <MenuItem onClick={handleToggleArchiv}>
+                  <ListItemIcon>
+                    {currentAbend.archiviert ? <UnarchiveIcon /> : <ArchiveIcon />}
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={currentAbend.archiviert ? 'Aus dem Archiv holen' : 'Archivieren'}
+                    secondary="Archivierte Abende zählen weiter in den Auswertungen"
+                  />
+                </MenuItem>
+                <Divider />
+                <MenuItem
+                  onClick={() => {
+                    setAbendMenuAnchor(null);
+                    setLoeschenOpen(true);
+                  }}
+                  sx={{ color: 'error.main' }}
+                >
+                  <ListItemIcon><DeleteIcon color="error" /></ListItemIcon>
+                  <ListItemText>Löschen</ListItemText>
+                </MenuItem>
+              </Menu>
+            </Stack>
+            <Divider sx={{ mb: 2 }} />
+            {/* The actual table with players, penalties, etc. */}
+            <KegelabendTable
+              kegelabend={currentAbend}
+              config={abendConfig}
+              onUpdate={handleUpdateAbend}
+              onPlayerRemoved={handlePlayerRemoved}
+              gesperrt={currentAbend.abgeschlossen}
+              mitglieder={aktiveMitglieder}
+              onCreateMitglied={addMitglied}
+            />
+            {/* Notes for the evening (also printed in the PDF) */}
             <TextField
-              label="Neuer Spieler"
-              value={newPlayerName}
-              onChange={(e) => setNewPlayerName(e.target.value)}
-              size="small"
+              label="Notizen"
+              value={currentAbend.notizen || ''}
+              onChange={e => handleUpdateAbend({ ...currentAbend, notizen: e.target.value })}
+              InputProps={{ readOnly: currentAbend.abgeschlossen }}
+              multiline
+              minRows={2}
               fullWidth
-              onKeyPress={(e) => e.key === 'Enter' && addSavedPlayer()}
+              size="small"
+              sx={{ mt: 2 }}
             />
-            <Button variant="contained" onClick={addSavedPlayer} disabled={!newPlayerName.trim()}>
-              Hinzufügen
+          </Paper>
+        ) : (
+          // Welcome view when no evening is selected
+          <Paper sx={{ p: 4, textAlign: 'center' }}>
+            <Typography variant="h6" color="text.secondary" gutterBottom>
+              Kein Kegelabend ausgewählt
+            </Typography>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleNewAbend}
+              sx={{ mt: 2 }}
+            >
+              Neuen Kegelabend starten
             </Button>
-          </Stack>
+          </Paper>
+        )}
 
-          <Divider sx={{ my: 2 }} />
-
-          {/* List of saved players */}
-          {savedPlayers.length > 0 ? (
-            <Stack spacing={1}>
-              {savedPlayers.map(name => (
-                <Stack key={name} direction="row" justifyContent="space-between" alignItems="center">
-                  <Typography>{name}</Typography>
-                  <IconButton size="small" onClick={() => removeSavedPlayer(name)} color="error">
-                    <DeleteIcon fontSize="small" />
-                  </IconButton>
-                </Stack>
+        {/* ==========================================
+            PREVIOUS EVENINGS LIST
+            - Buttons for quickly switching between the evenings of one season
+            - Season selection (default: season of the current evening)
+              and the season summary
+            - Archived evenings are hidden unless "Archiv anzeigen" is on
+            - Only visible if at least one evening exists
+            ========================================== */}
+        {kegelabende.length > 0 && (
+          <Paper sx={{ p: 2, mt: 3 }}>
+            <Stack
+              direction="row"
+              alignItems="center"
+              spacing={2}
+              sx={{ mb: 1 }}
+              flexWrap="wrap"
+              useFlexGap
+            >
+              <Typography variant="h6">Bisherige Kegelabende</Typography>
+              <TextField
+                select
+                size="small"
+                label="Saison"
+                value={listenSaison?.id || ''}
+                onChange={e => setListenSaisonId(e.target.value)}
+                sx={{ minWidth: 180 }}
+              >
+                {[...saisonListe].reverse().map(saison => (
+                  <MenuItem key={saison.id} value={saison.id}>
+                    {saison.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <Button size="small" startIcon={<DateRangeIcon />} onClick={() => setSaisonOpen(true)}>
+                Saison-Übersicht
+              </Button>
+              <Box sx={{ flexGrow: 1 }} />
+              {archivAnzahl > 0 && (
+                <FormControlLabel
+                  control={
+                    <Switch
+                      size="small"
+                      checked={archivAnzeigen}
+                      onChange={e => setArchivAnzeigen(e.target.checked)}
+                    />
+                  }
+                  label={`Archiv anzeigen (${archivAnzahl})`}
+                />
+              )}
+            </Stack>
+            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+              {sichtbareAbende.map(abend => (
+                <Button
+                  key={abend.id}
+                  // Currently selected evening is highlighted (contained)
+                  variant={currentAbend?.id === abend.id ? 'contained' : 'outlined'}
+                  size="small"
+                  onClick={() => setCurrentAbend(abend)}
+                  // Archived evenings are marked with a box, closed evenings with a lock
+                  startIcon={
+                    abend.archiviert
+                      ? <ArchiveIcon />
+                      : abend.abgeschlossen ? <LockIcon /> : undefined
+                  }
+                >
+                  {/* Display date in German format (DD.MM.YYYY) */}
+                  {new Date(abend.datum).toLocaleDateString('de-DE')}
+                </Button>
               ))}
+              {sichtbareAbende.length === 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  Alle Kegelabende dieser Saison sind archiviert.
+                </Typography>
+              )}
             </Stack>
-          ) : (
-            <Typography color="text.secondary" textAlign="center">
-              Noch keine Spieler gespeichert
+          </Paper>
+        )}
+
+        {/* ==========================================
+            NOTIFICATIONS (Snackbar/Toast)
+            - Shows success or error messages
+            - Auto-hides after 3 seconds (6 seconds with an undo button)
+            ========================================== */}
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={snackbar.undoSchritt ? 6000 : 3000}
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+        >
+          <Alert
+            severity={snackbar.severity}
+            onClose={() => setSnackbar({ ...snackbar, open: false })}
+            action={
+              snackbar.undoSchritt ? (
+                <Button
+                  color="inherit"
+                  size="small"
+                  disabled={!snackbarUndo}
+                  onClick={() => {
+                    handleUndo();
+                    setSnackbar({ ...snackbar, open: false });
+                  }}
+                >
+                  Rückgängig
+                </Button>
+              ) : undefined
+            }
+          >
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+
+        {/* Offline ready / new version available (service worker) */}
+        <UpdatePrompt />
+
+        {/* ==========================================
+            PLAYER MANAGEMENT DIALOG
+            ========================================== */}
+        <MitgliederDialog
+          open={playerDialogOpen}
+          onClose={() => setPlayerDialogOpen(false)}
+          mitglieder={mitglieder}
+          kegelabende={kegelabende}
+          onSave={handleSaveMitglied}
+          onDelete={handleDeleteMitglied}
+        />
+
+        {/* ==========================================
+            PRICE CONFIGURATION DIALOG
+            ========================================== */}
+        <Dialog open={priceDialogOpen} onClose={() => setPriceDialogOpen(false)} maxWidth="sm" fullWidth>
+          <DialogTitle>Preise konfigurieren</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Hier können die Startgebühr, das Geldspiel und die Strafpreise angepasst werden.
+              Änderungen gelten für neue Kegelabende, bisherige Abende behalten ihre Preise.
             </Typography>
-          )}
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setPlayerDialogOpen(false)}>Schließen</Button>
-        </DialogActions>
-      </Dialog>
+            {abendPreiseVeraltet && (
+              <Alert
+                severity="info"
+                sx={{ mb: 2 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleApplyPreiseToAbend}>
+                    Übernehmen
+                  </Button>
+                }
+              >
+                Der aktuelle Abend ({new Date(currentAbend.datum).toLocaleDateString('de-DE')}) nutzt
+                andere Preise.
+              </Alert>
+            )}
 
-      {/* ==========================================
-          PRICE CONFIGURATION DIALOG
-          ========================================== */}
-      <Dialog open={priceDialogOpen} onClose={() => setPriceDialogOpen(false)} maxWidth="sm" fullWidth>
-        <DialogTitle>Preise konfigurieren</DialogTitle>
-        <DialogContent>
-          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-            Hier können die Startgebühr und Strafpreise angepasst werden.
-          </Typography>
-
-          <Table size="small">
-            <TableBody>
-              {/* Entry fee */}
-              <TableRow>
-                <TableCell><strong>Startgebühr</strong></TableCell>
-                <TableCell align="right">
-                  <TextField
-                    type="number"
-                    value={config.startgebuehr}
-                    onChange={(e) => handleStartgebuehrChange(e.target.value)}
-                    size="small"
-                    sx={{ width: 100 }}
-                    InputProps={{
-                      endAdornment: <InputAdornment position="end">€</InputAdornment>,
-                    }}
-                    inputProps={{ min: 0, step: 0.5 }}
-                  />
-                </TableCell>
-              </TableRow>
-
-              {/* Separator */}
-              <TableRow>
-                <TableCell colSpan={2}>
-                  <Divider />
-                  <Typography variant="subtitle2" sx={{ mt: 1 }}>Strafen</Typography>
-                </TableCell>
-              </TableRow>
-
-              {/* Penalties */}
-              {config.strafen.map(strafe => (
-                <TableRow key={strafe.id}>
+            <Table size="small">
+              <TableBody>
+                {/* Entry fee */}
+                <TableRow>
+                  <TableCell><strong>Startgebühr</strong></TableCell>
+                  <TableCell align="right">
+                    <TextField
+                      type="number"
+                      value={config.startgebuehr}
+                      onChange={(e) => handleStartgebuehrChange(e.target.value)}
+                      size="small"
+                      sx={{ width: 100 }}
+                      InputProps={{
+                        endAdornment: <InputAdornment position="end">€</InputAdornment>,
+                      }}
+                      inputProps={{ min: 0, step: 0.5 }}
+                    />
+                  </TableCell>
+                </TableRow>
+
+                {/* Absence fee, paid instead of the entry fee */}
+                <TableRow>
+                  <TableCell>
+                    <strong>Fehlgeld</strong>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Statt Startgebühr für abwesende Mitglieder
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <TextField
+                      type="number"
+                      value={config.fehlgeld}
+                      onChange={(e) => handleFehlgeldChange(e.target.value)}
+                      size="small"
+                      sx={{ width: 100 }}
+                      InputProps={{
+                        endAdornment: <InputAdornment position="end">€</InputAdornment>,
+                      }}
+                      inputProps={{ min: 0, step: 0.5 }}
+                    />
+                  </TableCell>
+                </TableRow>
+
+                {/* Money game */}
+                <TableRow>
+                  <TableCell colSpan={2}>
+                    <Divider />
+                    <Typography variant="subtitle2" sx={{ mt: 1 }}>Geldspiel</Typography>
+                  </TableCell>
+                </TableRow>
+                <TableRow>
                   <TableCell>
-                    <strong>{strafe.label}</strong>
+                    <strong>Spielart</strong>
                     <Typography variant="caption" display="block" color="text.secondary">
-                      {strafe.description}
-                      {strafe.inverted && ' (andere zahlen)'}
+                      Wer ein Ergebnis hat, zahlt den Einsatz in den Topf
                     </Typography>
                   </TableCell>
                   <TableCell align="right">
-                    <Stack direction="row" spacing={1} alignItems="center" justifyContent="flex-end">
-                      <TextField
-                        type="number"
-                        value={strafe.preis}
-                        onChange={(e) => handlePriceChange(strafe.id, e.target.value)}
-                        size="small"
-                        sx={{ width: 100 }}
-                        InputProps={{
-                          endAdornment: <InputAdornment position="end">€</InputAdornment>,
-                        }}
-                        inputProps={{ min: 0, step: 0.1 }}
-                      />
-                      <IconButton 
-                        size="small" 
-                        color="error" 
-                        onClick={() => handleRemovePenalty(strafe.id)}
-                      >
-                        <DeleteIcon fontSize="small" />
-                      </IconButton>
-                    </Stack>
+                    <TextField
+                      select
+                      value={config.spielarten.some(s => s.id === config.geldspiel.spielId) ? config.geldspiel.spielId : ''}
+                      onChange={(e) => handleGeldspielChange('spielId', e.target.value)}
+                      size="small"
+                      sx={{ width: 180 }}
+                    >
+                      <MenuItem value=""><em>Kein Geldspiel</em></MenuItem>
+                      {config.spielarten.map(spiel => (
+                        <MenuItem key={spiel.id} value={spiel.id}>{spiel.label}</MenuItem>
+                      ))}
+                    </TextField>
                   </TableCell>
                 </TableRow>
-              ))}
-            </TableBody>
-          </Table>
-
-          {/* Add new penalty form */}
-          <Divider sx={{ my: 2 }} />
-          <Typography variant="subtitle2" sx={{ mb: 1 }}>Neue Strafe hinzufügen</Typography>
-          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-            <Stack direction="row" spacing={1}>
-              <TextField
-                label="Name"
-                value={newPenalty.label}
-                onChange={(e) => setNewPenalty({ ...newPenalty, label: e.target.value })}
-                size="small"
-                sx={{ flex: 1 }}
-              />
+                <TableRow>
+                  <TableCell><strong>Einsatz</strong></TableCell>
+                  <TableCell align="right">
+                    <TextField
+                      type="number"
+                      value={config.geldspiel.einsatz}
+                      onChange={(e) => handleGeldspielChange('einsatz', Math.max(0, parseFloat(e.target.value) || 0))}
+                      size="small"
+                      sx={{ width: 100 }}
+                      InputProps={{
+                        endAdornment: <InputAdornment position="end">€</InputAdornment>,
+                      }}
+                      inputProps={{ min: 0, step: 0.5 }}
+                    />
+                  </TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>
+                    <strong>Auszahlung</strong>
+                    <Typography variant="caption" display="block" color="text.secondary">
+                      Anteil am Topf in % für Platz 1, 2, ... (Rest bleibt in der Kasse)
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <TextField
+                      value={auszahlungText ?? config.geldspiel.auszahlung.join(', ')}
+                      onChange={(e) => setAuszahlungText(e.target.value)}
+                      onBlur={handleAuszahlungBlur}
+                      size="small"
+                      sx={{ width: 180 }}
+                      error={config.geldspiel.auszahlung.reduce((sum, p) => sum + p, 0) > 100}
+                      helperText={
+                        config.geldspiel.auszahlung.reduce((sum, p) => sum + p, 0) > 100
+                          ? 'Mehr als 100%'
+                          : undefined
+                      }
+                    />
+                  </TableCell>
+                </TableRow>
+
+                {/* Separator */}
+                <TableRow>
+                  <TableCell colSpan={2}>
+                    <Divider />
+                    <Typography variant="subtitle2" sx={{ mt: 1 }}>Strafen</Typography>
+                  </TableCell>
+                </TableRow>
+
+                {/* Penalties */}
+                {config.strafen.map(strafe => (
+                  <TableRow key={strafe.id}>
+                    <TableCell>
+                      <strong>{strafe.label}</strong>
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {strafe.description}
+                        {strafe.inverted && ' (andere zahlen)'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Stack direction="row" spacing={1} alignItems="center" justifyContent="flex-end">
+                        <TextField
+                          type="number"
+                          value={strafe.preis}
+                          onChange={(e) => handlePriceChange(strafe.id, e.target.value)}
+                          size="small"
+                          sx={{ width: 100 }}
+                          InputProps={{
+                            endAdornment: <InputAdornment position="end">€</InputAdornment>,
+                          }}
+                          inputProps={{ min: 0, step: 0.1 }}
+                        />
+                        <IconButton 
+                          size="small" 
+                          color="error" 
+                          onClick={() => handleRemovePenalty(strafe.id)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Stack>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {/* Add new penalty form */}
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Neue Strafe hinzufügen</Typography>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+              <Stack direction="row" spacing={1}>
+                <TextField
+                  label="Name"
+                  value={newPenalty.label}
+                  onChange={(e) => setNewPenalty({ ...newPenalty, label: e.target.value })}
+                  size="small"
+                  sx={{ flex: 1 }}
+                />
+                <TextField
+                  label="Preis"
+                  type="number"
+                  value={newPenalty.preis}
+                  onChange={(e) => setNewPenalty({ ...newPenalty, preis: parseFloat(e.target.value) || 0 })}
+                  size="small"
+                  sx={{ width: 100 }}
+                  InputProps={{
+                    endAdornment: <InputAdornment position="end">€</InputAdornment>,
+                  }}
+                  inputProps={{ min: 0, step: 0.1 }}
+                />
+              </Stack>
               <TextField
-                label="Preis"
-                type="number"
-                value={newPenalty.preis}
-                onChange={(e) => setNewPenalty({ ...newPenalty, preis: parseFloat(e.target.value) || 0 })}
+                label="Beschreibung"
+                value={newPenalty.description}
+                onChange={(e) => setNewPenalty({ ...newPenalty, description: e.target.value })}
                 size="small"
-                sx={{ width: 100 }}
-                InputProps={{
-                  endAdornment: <InputAdornment position="end">€</InputAdornment>,
-                }}
-                inputProps={{ min: 0, step: 0.1 }}
-              />
-            </Stack>
-            <TextField
-              label="Beschreibung"
-              value={newPenalty.description}
-              onChange={(e) => setNewPenalty({ ...newPenalty, description: e.target.value })}
-              size="small"
-              fullWidth
-            />
-            <Stack direction="row" justifyContent="space-between" alignItems="center">
-              <FormControlLabel
-                control={
-                  <Checkbox
-                    checked={newPenalty.inverted}
-                    onChange={(e) => setNewPenalty({ ...newPenalty, inverted: e.target.checked })}
-                    size="small"
-                  />
-                }
-                label={<Typography variant="body2">Andere zahlen (wie Kranz/Volle)</Typography>}
+                fullWidth
               />
-              <Button 
-                variant="contained" 
-                size="small"
-                onClick={handleAddPenalty}
-                disabled={!newPenalty.label.trim()}
+              <Stack direction="row" justifyContent="space-between" alignItems="center">
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={newPenalty.inverted}
+                      onChange={(e) => setNewPenalty({ ...newPenalty, inverted: e.target.checked })}
+                      size="small"
+                    />
+                  }
+                  label={<Typography variant="body2">Andere zahlen (wie Kranz/Volle)</Typography>}
+                />
+                <Button 
+                  variant="contained" 
+                  size="small"
+                  onClick={handleAddPenalty}
+                  disabled={!newPenalty.label.trim()}
+                >
+                  Hinzufügen
+                </Button>
+              </Stack>
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setPriceDialogOpen(false)}>Schließen</Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* ==========================================
+            GAME TYPES DIALOG
+            ========================================== */}
+        <SpielartenDialog
+          open={spielartenDialogOpen}
+          onClose={() => setSpielartenDialogOpen(false)}
+          spielarten={config.spielarten}
+          onChange={handleSpielartenChange}
+        />
+
+        {/* ==========================================
+            PRICE HISTORY DIALOG
+            ========================================== */}
+        <PreisHistorieDialog
+          open={preisHistorieOpen}
+          onClose={() => setPreisHistorieOpen(false)}
+          kegelabende={kegelabende}
+          config={config}
+        />
+
+        {/* ==========================================
+            KASSENSTAND DIALOG
+            ========================================== */}
+        <KassenstandDialog
+          open={kassenstandOpen}
+          onClose={() => setKassenstandOpen(false)}
+          kegelabende={kegelabende}
+          config={config}
+          onSelectAbend={handleSelectAbend}
+        />
+
+        {/* ==========================================
+            VEREINSKASSE DIALOG
+            ========================================== */}
+        <VereinskasseDialog
+          open={vereinskasseOpen}
+          onClose={() => setVereinskasseOpen(false)}
+          kegelabende={kegelabende}
+          buchungen={buchungen}
+          config={config}
+          onAddBuchung={addBuchung}
+          onRemoveBuchung={removeBuchung}
+        />
+
+        {/* ==========================================
+            STATISTICS DIALOG
+            ========================================== */}
+        <StatistikDialog
+          open={statistikOpen}
+          onClose={() => setStatistikOpen(false)}
+          kegelabende={kegelabende}
+          config={config}
+        />
+
+        {/* ==========================================
+            TREND DIALOG
+            ========================================== */}
+        <TrendDialog
+          open={trendOpen}
+          onClose={() => setTrendOpen(false)}
+          kegelabende={kegelabende}
+          config={config}
+        />
+
+        {/* ==========================================
+            CHAMPIONSHIP DIALOG
+            ========================================== */}
+        <MeisterschaftDialog
+          open={meisterschaftOpen}
+          onClose={() => setMeisterschaftOpen(false)}
+          kegelabende={kegelabende}
+          saisons={saisons}
+          config={config}
+          onSettingsChange={handleMeisterschaftChange}
+        />
+
+        {/* ==========================================
+            SEASON DIALOG
+            ========================================== */}
+        <SaisonDialog
+          open={saisonOpen}
+          onClose={() => setSaisonOpen(false)}
+          kegelabende={kegelabende}
+          saisons={saisons}
+          config={config}
+          saisonId={listenSaison?.id}
+          onSaisonsChange={updated => updateSaisons(() => updated)}
+          onSelectAbend={handleSelectAbend}
+        />
+
+        {/* ==========================================
+            EMPTY TEMPLATE DIALOG
+            ========================================== */}
+        <DruckvorlageDialog
+          open={vorlageDialogOpen}
+          onClose={() => setVorlageDialogOpen(false)}
+          savedPlayers={aktiveMitglieder.map(mitglied => mitglied.name)}
+          onPrint={setPrintVorlage}
+        />
+
+        {/* ==========================================
+            CSV IMPORT WIZARD
+            ========================================== */}
+        <CsvImportDialog
+          open={csvImportOpen}
+          onClose={() => setCsvImportOpen(false)}
+          config={config}
+          kegelabende={kegelabende}
+          onImport={handleCsvImport}
+        />
+
+        {/* ==========================================
+            CLOSE EVENING / SETTLEMENT
+            ========================================== */}
+        {currentAbend && (
+          <AbschlussDialog
+            open={abschlussOpen}
+            onClose={() => setAbschlussOpen(false)}
+            kegelabend={currentAbend}
+            config={config}
+            onAbschliessen={handleCloseAbend}
+          />
+        )}
+
+        {/* ==========================================
+            CHANGE LOG OF THE EVENING
+            ========================================== */}
+        {currentAbend && (
+          <HistorieDialog
+            open={historieOpen}
+            onClose={() => setHistorieOpen(false)}
+            kegelabend={currentAbend}
+          />
+        )}
+
+        {/* ==========================================
+            LIVE MODE (penalties tapped at the lane)
+            ========================================== */}
+        {currentAbend && (
+          <LiveDialog
+            open={liveOpen}
+            onClose={() => setLiveOpen(false)}
+            kegelabend={currentAbend}
+            config={abendConfig}
+            onUpdate={handleUpdateAbend}
+          />
+        )}
+
+        {/* ==========================================
+            PIN BOARD (throws, Volle/Kranz/Stina detection)
+            ========================================== */}
+        {currentAbend && (
+          <KegelbildDialog
+            open={kegelbildOpen}
+            onClose={() => setKegelbildOpen(false)}
+            kegelabend={currentAbend}
+            config={abendConfig}
+            onUpdate={handleUpdateAbend}
+          />
+        )}
+        {/* ==========================================
+            DELETE EVENING (with confirmation)
+            ========================================== */}
+        {currentAbend && (
+          <Dialog open={loeschenOpen} onClose={() => setLoeschenOpen(false)} maxWidth="xs">
+            <DialogTitle>
+              Kegelabend vom {new Date(currentAbend.datum).toLocaleDateString('de-DE')} löschen?
+            </DialogTitle>
+            <DialogContent>
+              <Typography variant="body2">
+                Der Abend mit {currentAbend.spieler.length} Spielern wird endgültig gelöscht
+                und fehlt danach auch in Kassenstand und Statistiken. Das kann nicht rückgängig
+                gemacht werden.
+              </Typography>
+              {currentAbend.abgeschlossen && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  Der Abend ist bereits abgeschlossen. Zum Ausblenden alter Abende besser
+                  „Archivieren“ verwenden.
+                </Alert>
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => setLoeschenOpen(false)}>Abbrechen</Button>
+              <Button
+                variant="contained"
+                color="error"
+                startIcon={<DeleteIcon />}
+                onClick={handleDeleteAbend}
               >
-                Hinzufügen
+                Löschen
               </Button>
-            </Stack>
-          </Box>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setPriceDialogOpen(false)}>Schließen</Button>
-        </DialogActions>
-      </Dialog>
-    </Container>
+            </DialogActions>
+          </Dialog>
+        )}
+        <Dialog open={wiederOeffnenOpen} onClose={() => setWiederOeffnenOpen(false)} maxWidth="xs">
+          <DialogTitle>Abend wieder öffnen?</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2">
+              Der Abend ist abgeschlossen. Nach dem Öffnen können Strafen, Ergebnisse und Zahlungen
+              wieder geändert werden, das verändert auch den Kassenstand. Das Öffnen wird im Verlauf
+              des Abends vermerkt.
+            </Typography>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setWiederOeffnenOpen(false)}>Abbrechen</Button>
+            <Button variant="contained" color="warning" onClick={handleReopenAbend}>
+              Wieder öffnen
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* ==========================================
+            MERGE IMPORT
+            ========================================== */}
+        <ImportMergeDialog
+          open={Boolean(mergeBackup)}
+          onClose={() => setMergeBackup(null)}
+          kegelabende={kegelabende}
+          backup={mergeBackup}
+          config={config}
+          onMerge={handleMergeImport}
+        />
+      </Container>
+
+      {/* ==========================================
+          PRINT LAYOUT
+          - Only visible on paper
+          - Empty template while printing one, otherwise the current evening
+          ========================================== */}
+      <Druckansicht
+        config={printVorlage ? config : abendConfig}
+        kegelabend={currentAbend}
+        vorlage={printVorlage}
+      />
+    </>
   );
 }
 
@@ -0,0 +1,170 @@
+/**
+ * AbschlussDialog.jsx - Close an evening with the final settlement
+ *
+ * Before closing, the evening is checked (see validateKegelabend):
+ * players without name, duplicate names, negative counts or invalid
+ * results prevent closing. The final settlement shows per player:
+ * - Total, paid and still open amount
+ * - The money game payouts
+ *
+ * A closed evening is locked against edits. For closed evenings the
+ * dialog only shows the settlement.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabend: The bowling evening
+ * - config: Current configuration (the evening's prices are applied)
+ * - onAbschliessen: Callback to close the evening
+ */
+
+import React, { useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Typography,
+  Alert,
+  AlertTitle,
+} from '@mui/material';
+
+// Icons
+import LockIcon from '@mui/icons-material/Lock';
+
+// Config and calculations
+import { ZAHLUNGSARTEN } from '../config/defaultConfig';
+import { validateKegelabend, calculateAbrechnung } from '../services/calculationService';
+
+/**
+ * Dialog component: Close evening / final settlement
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Current configuration
+ * @param {Function} onAbschliessen - Callback to close the evening
+ */
+const AbschlussDialog = ({ open, onClose, kegelabend, config, onAbschliessen }) => {
+  const fehler = useMemo(() => validateKegelabend(kegelabend, config), [kegelabend, config]);
+  const abrechnung = useMemo(() => calculateAbrechnung(kegelabend, config), [kegelabend, config]);
+
+  const formatBetrag = value => `${value.toFixed(2)}${config.waehrung}`;
+  const offeneSpieler = abrechnung.zeilen.filter(zeile => zeile.offen > 0.005);
+  const datum = new Date(kegelabend.datum).toLocaleDateString('de-DE');
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        {kegelabend.abgeschlossen ? 'Abrechnung' : 'Abend abschließen'} – {datum}
+      </DialogTitle>
+      <DialogContent>
+        {/* Problems that prevent closing */}
+        {!kegelabend.abgeschlossen && fehler.length > 0 && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            <AlertTitle>Der Abend kann noch nicht abgeschlossen werden</AlertTitle>
+            {fehler.map(text => (
+              <div key={text}>{text}</div>
+            ))}
+          </Alert>
+        )}
+        {kegelabend.abgeschlossen && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Abgeschlossen am {new Date(kegelabend.abgeschlossenAm).toLocaleString('de-DE')}
+          </Alert>
+        )}
+
+        {/* Final settlement */}
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell align="right">Summe</TableCell>
+                <TableCell align="right">Bezahlt</TableCell>
+                <TableCell align="right">Offen</TableCell>
+                <TableCell>Zahlungsart</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {abrechnung.zeilen.map(zeile => (
+                <TableRow key={zeile.player.id}>
+                  <TableCell>{zeile.player.name || '–'}</TableCell>
+                  <TableCell align="right">{formatBetrag(zeile.total)}</TableCell>
+                  <TableCell align="right">{formatBetrag(zeile.bezahlt)}</TableCell>
+                  <TableCell
+                    align="right"
+                    sx={{ color: zeile.offen > 0.005 ? 'error.main' : undefined }}
+                  >
+                    {Math.abs(zeile.offen) < 0.005 ? '–' : formatBetrag(zeile.offen)}
+                  </TableCell>
+                  <TableCell>
+                    {ZAHLUNGSARTEN.find(art => art.id === zeile.player.zahlungsart)?.label || ''}
+                  </TableCell>
+                </TableRow>
+              ))}
+              <TableRow sx={{ '& td': { fontWeight: 'bold' } }}>
+                <TableCell>Gesamt</TableCell>
+                <TableCell align="right">{formatBetrag(abrechnung.summe)}</TableCell>
+                <TableCell align="right">{formatBetrag(abrechnung.bezahlt)}</TableCell>
+                <TableCell align="right">{formatBetrag(abrechnung.offen)}</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {/* Money game payouts */}
+        {abrechnung.geldspiel && abrechnung.geldspiel.teilnehmer > 0 && (
+          <Typography variant="body2" sx={{ mt: 2 }}>
+            {abrechnung.geldspiel.spielart.label}: Topf {formatBetrag(abrechnung.geldspiel.topf)}
+            {', ausgezahlt an '}
+            {abrechnung.zeilen
+              .filter(zeile => abrechnung.geldspiel.auszahlungen[zeile.player.id])
+              .map(
+                zeile =>
+                  `${zeile.player.name} (${formatBetrag(
+                    abrechnung.geldspiel.auszahlungen[zeile.player.id]
+                  )})`
+              )
+              .join(', ') || 'niemanden'}
+          </Typography>
+        )}
+
+        {!kegelabend.abgeschlossen && fehler.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            {offeneSpieler.length > 0
+              ? `${offeneSpieler.length} Spieler haben noch nicht vollständig bezahlt, ` +
+                'der offene Betrag bleibt im Kassenstand. '
+              : ''}
+            Nach dem Abschließen ist der Abend gegen Änderungen gesperrt.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{kegelabend.abgeschlossen ? 'Schließen' : 'Abbrechen'}</Button>
+        {!kegelabend.abgeschlossen && (
+          <Button
+            variant="contained"
+            startIcon={<LockIcon />}
+            onClick={onAbschliessen}
+            disabled={fehler.length > 0}
+          >
+            Abschließen
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AbschlussDialog;
@@ -0,0 +1,321 @@
+/**
+ * CsvImportDialog.jsx - Wizard for importing historical evenings from CSV
+ *
+ * Three steps:
+ * 1. Datei: Choose a CSV file (separator is detected automatically)
+ * 2. Zuordnung: Map each spreadsheet column to date, name, a penalty,
+ *    a game type, attendance or payment (guessed from the headers)
+ * 3. Vorschau: Preview of the evenings that will be created, plus the rows
+ *    that could not be parsed and dates that already exist
+ *
+ * Existing evenings are never changed, the import only adds new ones.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - config: Configuration (penalties, game types)
+ * - kegelabende: Evenings already stored (to skip existing dates)
+ * - onImport: Callback with the new evenings
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Stepper,
+  Step,
+  StepLabel,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  MenuItem,
+  Typography,
+  Alert,
+  Stack,
+} from '@mui/material';
+
+// Icons
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+
+// CSV import
+import {
+  parseCSV,
+  getImportTargets,
+  guessColumnMapping,
+  buildKegelabendeFromCSV,
+} from '../services/spreadsheetService';
+
+const STEPS = ['Datei', 'Zuordnung', 'Vorschau'];
+
+/** Number of rows shown as example in the mapping step */
+const EXAMPLE_ROWS = 3;
+
+/**
+ * Dialog component: CSV import wizard
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Object} config - Configuration (penalties, game types)
+ * @param {Array} kegelabende - Evenings already stored
+ * @param {Function} onImport - Callback with the new evenings
+ */
+const CsvImportDialog = ({ open, onClose, config, kegelabende, onImport }) => {
+  // ============================================
+  // STATE
+  // ============================================
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState([]);
+  const [readError, setReadError] = useState('');
+
+  const targets = useMemo(() => getImportTargets(config), [config]);
+
+  // Preview is only calculated in the last step
+  const result = useMemo(
+    () => (step === 2 ? buildKegelabendeFromCSV(csv.rows, mapping, config, kegelabende) : null),
+    [step, csv.rows, mapping, config, kegelabende]
+  );
+
+  // Date and name are required, each other target may only be used once
+  const hasRequired = mapping.includes('datum') && mapping.includes('name');
+  const duplicateTargets = mapping.filter(
+    (target, index) => target !== 'ignorieren' && mapping.indexOf(target) !== index
+  );
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Resets the wizard and closes the dialog */
+  const handleClose = () => {
+    setStep(0);
+    setFileName('');
+    setCsv({ headers: [], rows: [] });
+    setMapping([]);
+    setReadError('');
+    onClose();
+  };
+
+  /** Reads the chosen file and guesses the column mapping */
+  const handleFileChange = event => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = e => {
+      const parsed = parseCSV(e.target.result);
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        setReadError('Die Datei enthält keine Daten.');
+        return;
+      }
+      setReadError('');
+      setFileName(file.name);
+      setCsv(parsed);
+      setMapping(guessColumnMapping(parsed.headers, config));
+      setStep(1);
+    };
+    reader.onerror = () => setReadError('Datei konnte nicht gelesen werden.');
+    reader.readAsText(file, 'UTF-8');
+
+    // Reset input so the same file can be selected again
+    event.target.value = '';
+  };
+
+  /** Changes the target of one column */
+  const handleMappingChange = (column, target) => {
+    setMapping(prev => prev.map((t, index) => (index === column ? target : t)));
+  };
+
+  /** Hands the new evenings to the app */
+  const handleImport = () => {
+    onImport(result.kegelabende);
+    handleClose();
+  };
+
+  // ============================================
+  // RENDER STEPS
+  // ============================================
+
+  const renderFileStep = () => (
+    <Stack spacing={2} alignItems="center" sx={{ py: 2 }}>
+      <Typography variant="body2" color="text.secondary" textAlign="center">
+        Eine Zeile pro Spieler und Abend. Benötigt werden mindestens die Spalten Datum und Name.
+        Eine Datei aus dem CSV-Export wird automatisch zugeordnet.
+      </Typography>
+      <Button variant="contained" component="label" startIcon={<FileUploadIcon />}>
+        CSV-Datei wählen
+        <input type="file" hidden accept=".csv,.txt" onChange={handleFileChange} />
+      </Button>
+      {readError && <Alert severity="error">{readError}</Alert>}
+    </Stack>
+  );
+
+  const renderMappingStep = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {fileName}: {csv.rows.length} Zeilen. Bitte jeder Spalte ein Feld zuordnen.
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Spalte</TableCell>
+              <TableCell>Zuordnung</TableCell>
+              <TableCell>Beispielwerte</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {csv.headers.map((header, column) => (
+              <TableRow key={`${header}_${column}`}>
+                <TableCell>
+                  <strong>{header || `Spalte ${column + 1}`}</strong>
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    select
+                    value={mapping[column]}
+                    onChange={e => handleMappingChange(column, e.target.value)}
+                    size="small"
+                    sx={{ minWidth: 200 }}
+                    error={duplicateTargets.includes(mapping[column])}
+                  >
+                    {targets.map(target => (
+                      <MenuItem key={target.id} value={target.id}>
+                        {target.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="caption" color="text.secondary">
+                    {csv.rows
+                      .slice(0, EXAMPLE_ROWS)
+                      .map(row => row[column] || '–')
+                      .join(' | ')}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      {!hasRequired && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          Bitte die Spalten für Datum und Name zuordnen.
+        </Alert>
+      )}
+      {duplicateTargets.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          Jedes Feld darf nur einer Spalte zugeordnet werden.
+        </Alert>
+      )}
+    </>
+  );
+
+  const renderPreviewStep = () => (
+    <>
+      <Alert severity={result.kegelabende.length > 0 ? 'success' : 'info'} sx={{ mb: 2 }}>
+        {result.kegelabende.length} Kegelabende mit{' '}
+        {result.kegelabende.reduce((sum, abend) => sum + abend.spieler.length, 0)} Einträgen werden
+        importiert.
+      </Alert>
+
+      {result.uebersprungen.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Bereits vorhanden und übersprungen:{' '}
+          {result.uebersprungen.map(d => new Date(d).toLocaleDateString('de-DE')).join(', ')}
+        </Alert>
+      )}
+
+      {result.fehler.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          <strong>{result.fehler.length} Zeilen konnten nicht gelesen werden:</strong>
+          {result.fehler.map(f => (
+            <Typography key={f.zeile} variant="body2">
+              Zeile {f.zeile}: {f.grund}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      {/* New evenings */}
+      {result.kegelabende.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Datum</TableCell>
+              <TableCell align="center">Spieler</TableCell>
+              <TableCell>Namen</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {result.kegelabende.map(abend => (
+              <TableRow key={abend.id}>
+                <TableCell>{new Date(abend.datum).toLocaleDateString('de-DE')}</TableCell>
+                <TableCell align="center">{abend.spieler.length}</TableCell>
+                <TableCell>
+                  <Typography variant="caption">
+                    {abend.spieler.map(p => p.name).join(', ')}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </>
+  );
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>CSV-Import</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={step} sx={{ mb: 3, mt: 1 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {step === 0 && renderFileStep()}
+        {step === 1 && renderMappingStep()}
+        {step === 2 && renderPreviewStep()}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Abbrechen</Button>
+        {step > 0 && <Button onClick={() => setStep(step - 1)}>Zurück</Button>}
+        {step === 1 && (
+          <Button
+            variant="contained"
+            onClick={() => setStep(2)}
+            disabled={!hasRequired || duplicateTargets.length > 0}
+          >
+            Weiter
+          </Button>
+        )}
+        {step === 2 && (
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={result.kegelabende.length === 0}
+          >
+            Importieren
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CsvImportDialog;
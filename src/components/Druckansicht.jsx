@@ -0,0 +1,211 @@
+/**
+ * Druckansicht.jsx - Print layout of a Kegelbuch sheet
+ *
+ * This component renders a clean black-and-white sheet for the printer:
+ * - Either a filled bowling evening (same columns as KegelabendTable)
+ * - Or an empty template with player names for a paper fallback
+ *
+ * It is hidden on screen and only appears when printing. The app itself
+ * hides everything else in print (see `displayPrint` in App.jsx), and open
+ * dialogs and menus are hidden here, so no buttons, icons or the evenings
+ * list end up on paper.
+ *
+ * Props:
+ * - config: Configuration (penalties, game types, fees)
+ * - kegelabend: The evening to print (optional for templates)
+ * - vorlage: Optional template { namen: [...], leerzeilen: number }
+ *            If set, an empty sheet is printed instead of the evening.
+ */
+
+import React from 'react';
+import { Box, GlobalStyles } from '@mui/material';
+
+// Calculations
+import {
+  calculatePlayerTotal,
+  calculateAbendTotal,
+  getGrundgebuehr,
+  getStrafen,
+  getSpiele,
+} from '../services/calculationService';
+
+/** Plain black borders, no colors (works on every printer) */
+const cellStyle = {
+  border: '1px solid #000',
+  padding: '4px 6px',
+  textAlign: 'center',
+  fontSize: '10pt',
+};
+
+const headCellStyle = { ...cellStyle, fontWeight: 'bold', backgroundColor: '#fff' };
+
+/**
+ * Page setup: landscape A4, because there is one column per penalty and game
+ * Dialogs and menus are rendered outside the app container and may still be
+ * closing when printing starts, so they are hidden on paper as well.
+ */
+const printPageStyles = {
+  '@media print': {
+    '@page': { size: 'A4 landscape', margin: '10mm' },
+    body: { backgroundColor: '#fff' },
+    '.MuiModal-root, .MuiPopover-root': { display: 'none !important' },
+  },
+};
+
+/**
+ * Print component: Kegelbuch sheet
+ *
+ * @param {Object} config - Configuration (penalties, game types, fees)
+ * @param {Object} kegelabend - The evening to print
+ * @param {Object} vorlage - Template with names and number of empty rows
+ */
+const Druckansicht = ({ config, kegelabend, vorlage }) => {
+  const isVorlage = Boolean(vorlage);
+
+  // Rows: real players, or template names plus empty rows
+  const rows = isVorlage
+    ? [...vorlage.namen, ...Array(vorlage.leerzeilen).fill('')].map(name => ({ name }))
+    : kegelabend?.spieler || [];
+
+  if (!isVorlage && !kegelabend) return null;
+
+  const datum = !isVorlage ? new Date(kegelabend.datum).toLocaleDateString('de-DE') : '';
+  const formatBetrag = value => `${value.toFixed(2)}${config.waehrung}`;
+
+  return (
+    <Box
+      sx={{
+        display: 'none',
+        displayPrint: 'block',
+        color: '#000',
+        fontFamily: 'Arial, sans-serif',
+      }}
+    >
+      <GlobalStyles styles={printPageStyles} />
+
+      <h2 style={{ margin: '0 0 8px' }}>
+        Kegelbuch — Kegelabend vom {datum || '____________________'}
+      </h2>
+
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={headCellStyle}>Nr.</th>
+            <th style={{ ...headCellStyle, textAlign: 'left', width: '22%' }}>Name</th>
+            <th style={headCellStyle}>Start ({formatBetrag(config.startgebuehr)})</th>
+            {config.strafen.map(strafe => (
+              <th key={strafe.id} style={headCellStyle}>
+                {strafe.label}
+                <div style={{ fontWeight: 'normal', fontSize: '8pt' }}>
+                  {formatBetrag(strafe.preis)}
+                  {strafe.inverted && ' (andere)'}
+                </div>
+              </th>
+            ))}
+            {config.spielarten.map((spiel, idx) => (
+              <th
+                key={spiel.id}
+                style={{ ...headCellStyle, borderLeftWidth: idx === 0 ? '3px' : '1px' }}
+              >
+                {spiel.label}
+              </th>
+            ))}
+            <th style={{ ...headCellStyle, borderLeftWidth: '3px' }}>Summe</th>
+            <th style={headCellStyle}>Bezahlt</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((player, index) => (
+            <tr key={player.id || `row_${index}`} style={{ height: isVorlage ? '9mm' : undefined }}>
+              <td style={cellStyle}>{index + 1}</td>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>
+                {player.name}
+                {!isVorlage && player.anwesend === false && ' (abwesend)'}
+              </td>
+              <td style={cellStyle}>
+                {isVorlage ? '' : formatBetrag(getGrundgebuehr(player, config))}
+              </td>
+              {config.strafen.map(strafe => (
+                <td key={strafe.id} style={cellStyle}>
+                  {isVorlage ? '' : getStrafen(player)[strafe.id] || ''}
+                </td>
+              ))}
+              {config.spielarten.map((spiel, idx) => (
+                <td
+                  key={spiel.id}
+                  style={{ ...cellStyle, borderLeftWidth: idx === 0 ? '3px' : '1px' }}
+                >
+                  {isVorlage ? '' : getSpiele(player)[spiel.id] || ''}
+                </td>
+              ))}
+              <td
+                style={{
+                  ...cellStyle,
+                  borderLeftWidth: '3px',
+                  textAlign: 'right',
+                  fontWeight: 'bold',
+                }}
+              >
+                {isVorlage
+                  ? ''
+                  : formatBetrag(calculatePlayerTotal(player, config, kegelabend.spieler))}
+              </td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>
+                {!isVorlage && player.bezahlt ? formatBetrag(player.bezahlt) : ''}
+              </td>
+            </tr>
+          ))}
+          {/* Grand total */}
+          <tr>
+            <td
+              style={{ ...cellStyle, textAlign: 'right', fontWeight: 'bold' }}
+              colSpan={3 + config.strafen.length + config.spielarten.length}
+            >
+              Gesamt
+            </td>
+            <td
+              style={{
+                ...cellStyle,
+                borderLeftWidth: '3px',
+                textAlign: 'right',
+                fontWeight: 'bold',
+              }}
+            >
+              {isVorlage ? '' : formatBetrag(calculateAbendTotal(kegelabend, config))}
+            </td>
+            <td style={cellStyle} />
+          </tr>
+        </tbody>
+      </table>
+
+      {/* Notes: printed text, or empty lines on a template */}
+      <div style={{ marginTop: '16px', fontSize: '10pt' }}>
+        <strong>Notizen:</strong>
+        {isVorlage || !kegelabend.notizen?.trim() ? (
+          <div style={{ borderBottom: '1px solid #000', height: '8mm' }} />
+        ) : (
+          <div style={{ whiteSpace: 'pre-wrap' }}>{kegelabend.notizen}</div>
+        )}
+      </div>
+
+      {/* Signature line for the treasurer */}
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          marginTop: '20mm',
+          fontSize: '9pt',
+        }}
+      >
+        <div style={{ borderTop: '1px solid #000', width: '35%', paddingTop: '2px' }}>
+          Ort, Datum
+        </div>
+        <div style={{ borderTop: '1px solid #000', width: '35%', paddingTop: '2px' }}>
+          Unterschrift Kassenwart
+        </div>
+      </div>
+    </Box>
+  );
+};
+
+export default Druckansicht;
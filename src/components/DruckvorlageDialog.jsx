@@ -0,0 +1,119 @@
+/**
+ * DruckvorlageDialog.jsx - Print empty Kegelbuch sheets
+ *
+ * Paper fallback when the tablet battery dies: choose the players that
+ * should be pre-filled and how many empty rows to add, then print.
+ * The columns follow the configured penalties and game types.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - savedPlayers: Saved player names (master data)
+ * - onPrint: Callback with the template { namen, leerzeilen }
+ */
+
+import React, { useState } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  Typography,
+  Stack,
+  Divider,
+} from '@mui/material';
+
+// Icons
+import PrintIcon from '@mui/icons-material/Print';
+
+/**
+ * Dialog component: Choose players for an empty template
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} savedPlayers - Saved player names
+ * @param {Function} onPrint - Callback with the template
+ */
+const DruckvorlageDialog = ({ open, onClose, savedPlayers = [], onPrint }) => {
+  // All saved players are selected by default
+  const [deselected, setDeselected] = useState([]);
+  const [leerzeilen, setLeerzeilen] = useState(3);
+
+  const selectedNames = savedPlayers.filter(name => !deselected.includes(name));
+
+  /** Selects or deselects a player */
+  const togglePlayer = name => {
+    setDeselected(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  };
+
+  /** Hands the template to the app and closes the dialog */
+  const handlePrint = () => {
+    onPrint({ namen: selectedNames, leerzeilen });
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Leere Kegelbuch-Seite drucken</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Die ausgewählten Spieler werden vorab eingetragen. Die Spalten entsprechen den
+          konfigurierten Strafen und Spielarten.
+        </Typography>
+
+        {savedPlayers.length > 0 ? (
+          <Stack>
+            {savedPlayers.map(name => (
+              <FormControlLabel
+                key={name}
+                control={
+                  <Checkbox
+                    checked={!deselected.includes(name)}
+                    onChange={() => togglePlayer(name)}
+                    size="small"
+                  />
+                }
+                label={name}
+              />
+            ))}
+          </Stack>
+        ) : (
+          <Typography color="text.secondary" textAlign="center">
+            Noch keine Spieler gespeichert
+          </Typography>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+
+        <TextField
+          label="Zusätzliche leere Zeilen"
+          type="number"
+          value={leerzeilen}
+          onChange={e => setLeerzeilen(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          size="small"
+          fullWidth
+          inputProps={{ min: 0, max: 30 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Abbrechen</Button>
+        <Button
+          variant="contained"
+          startIcon={<PrintIcon />}
+          onClick={handlePrint}
+          disabled={selectedNames.length === 0 && leerzeilen === 0}
+        >
+          Drucken
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DruckvorlageDialog;
@@ -0,0 +1,159 @@
+/**
+ * HistorieDialog.jsx - Change log of an evening
+ *
+ * Shows every logged change of the evening, newest first: penalties, game
+ * results, payments, players added or removed, prices, closing and undo.
+ * The list can be filtered by area and searched (e.g. for a player name),
+ * so disputes at the end of the evening can be settled quickly. Quick edits of
+ * the same field are shown as one entry (see collapseHistorie), a switch shows
+ * every stored entry.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabend: The bowling evening
+ */
+
+import React, { useMemo, useState } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  MenuItem,
+  Stack,
+  Typography,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+
+// Config
+import { HISTORIE_AKTIONEN } from '../config/defaultConfig';
+import { collapseHistorie } from '../services/historieService';
+
+/**
+ * Dialog component: Change log of an evening
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Object} kegelabend - The bowling evening
+ */
+const HistorieDialog = ({ open, onClose, kegelabend }) => {
+  const [bereich, setBereich] = useState('alle');
+  const [suche, setSuche] = useState('');
+  const [einzeln, setEinzeln] = useState(false);
+
+  const historie = kegelabend.historie || [];
+
+  // Only offer areas that occur in this log
+  const bereiche = useMemo(
+    () => HISTORIE_AKTIONEN.filter(aktion => historie.some(e => e.aktion === aktion.id)),
+    [historie]
+  );
+
+  const eintraege = useMemo(() => {
+    const text = suche.trim().toLowerCase();
+    return (einzeln ? [...historie] : collapseHistorie(historie))
+      .filter(eintrag => bereich === 'alle' || eintrag.aktion === bereich)
+      .filter(eintrag => !text || eintrag.text.toLowerCase().includes(text))
+      .sort((a, b) => b.zeitpunkt.localeCompare(a.zeitpunkt));
+  }, [historie, bereich, suche, einzeln]);
+
+  const datum = new Date(kegelabend.datum).toLocaleDateString('de-DE');
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Verlauf – {datum}</DialogTitle>
+      <DialogContent>
+        <Stack direction="row" spacing={2} sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Bereich"
+            value={bereich}
+            onChange={e => setBereich(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="alle">Alle</MenuItem>
+            {bereiche.map(aktion => (
+              <MenuItem key={aktion.id} value={aktion.id}>
+                {aktion.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Suchen (z.B. Spielername)"
+            value={suche}
+            onChange={e => setSuche(e.target.value)}
+            fullWidth
+          />
+          <FormControlLabel
+            control={<Switch checked={einzeln} onChange={e => setEinzeln(e.target.checked)} />}
+            label="Jede Eingabe"
+            sx={{ flexShrink: 0 }}
+          />
+        </Stack>
+
+        {historie.length === 0 ? (
+          <Typography color="text.secondary">
+            Für diesen Abend wurden noch keine Änderungen aufgezeichnet.
+          </Typography>
+        ) : (
+          <TableContainer sx={{ maxHeight: 480 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ width: 170 }}>Zeitpunkt</TableCell>
+                  <TableCell sx={{ width: 140 }}>Bereich</TableCell>
+                  <TableCell>Änderung</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {eintraege.map(eintrag => (
+                  <TableRow key={eintrag.id}>
+                    <TableCell>{new Date(eintrag.zeitpunkt).toLocaleString('de-DE')}</TableCell>
+                    <TableCell>
+                      {HISTORIE_AKTIONEN.find(aktion => aktion.id === eintrag.aktion)?.label}
+                    </TableCell>
+                    <TableCell>
+                      {eintrag.text}
+                      {eintrag.anzahl > 1 && (
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {' '}
+                          ({eintrag.anzahl} Eingaben)
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {eintraege.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={3} align="center" sx={{ color: 'text.secondary' }}>
+                      Keine passenden Einträge
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default HistorieDialog;
@@ -0,0 +1,291 @@
+/**
+ * ImportMergeDialog.jsx - Merge a backup into the local data
+ *
+ * Instead of overwriting everything, a backup from another tablet is
+ * compared with the local data first. The preview shows:
+ * - New evenings (only in the backup, will be added)
+ * - Changed evenings (players only in the backup are added)
+ * - Conflicts: the same player or evening field with different values.
+ *   For each conflict the user chooses which version wins.
+ *
+ * Settings stay unchanged. Players of the master data and treasury
+ * bookings that only exist in the backup are added by the app.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: Local evenings
+ * - backup: The read backup { kegelabende, spieler, buchungen, config }
+ * - config: Configuration (labels of penalties and game types)
+ * - onMerge: Callback with the merged evenings
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  Alert,
+  Stack,
+  Chip,
+  Paper,
+} from '@mui/material';
+
+// Merge
+import { diffKegelabende, mergeKegelabende } from '../services/mergeService';
+
+/** Labels of the compared evening fields */
+const FELD_LABELS = {
+  datum: 'Datum',
+  notizen: 'Notizen',
+  abgeschlossen: 'Status',
+  archiviert: 'Archiv',
+  preise: 'Preise',
+  ereignisse: 'Live-Erfassung',
+  wuerfe: 'Kegelbild-Würfe',
+};
+
+const formatDatum = datum => new Date(datum).toLocaleDateString('de-DE');
+
+/**
+ * Dialog component: Merge import with conflict resolution
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - Local evenings
+ * @param {Object} backup - The read backup
+ * @param {Object} config - Configuration (labels)
+ * @param {Function} onMerge - Callback with the merged evenings
+ */
+const ImportMergeDialog = ({ open, onClose, kegelabende, backup, config, onMerge }) => {
+  // Chosen version per conflict id ('lokal' | 'importiert'), default 'lokal'
+  const [auswahl, setAuswahl] = useState({});
+
+  const diff = useMemo(
+    () => (backup ? diffKegelabende(kegelabende, backup.kegelabende) : null),
+    [kegelabende, backup]
+  );
+
+  const konflikte = useMemo(() => (diff ? diff.geaendert.flatMap(e => e.konflikte) : []), [diff]);
+
+  // ============================================
+  // FORMATTING
+  // ============================================
+
+  const formatBetrag = value => `${(value || 0).toFixed(2)}${config.waehrung}`;
+
+  /** Short description of a player's entries, e.g. "Kalle 2 · WM 120 · bezahlt 8.50€" */
+  const describePlayer = player => {
+    const teile = [
+      ...Object.entries(player.strafen)
+        .filter(([, count]) => count > 0)
+        .map(([id, count]) => `${config.strafen.find(s => s.id === id)?.label || id} ${count}`),
+      ...Object.entries(player.spiele)
+        .filter(([, value]) => value !== '')
+        .map(([id, value]) => `${config.spielarten.find(s => s.id === id)?.label || id} ${value}`),
+      `bezahlt ${formatBetrag(player.bezahlt)}`,
+    ];
+    if (player.anwesend === false) teile.unshift('abwesend');
+    return teile.join(' · ');
+  };
+
+  /** Short description of a conflicting value */
+  const describeValue = (konflikt, value) => {
+    switch (konflikt.feld) {
+      case 'spieler':
+        return describePlayer(value);
+      case 'datum':
+        return formatDatum(value);
+      case 'abgeschlossen':
+        return value ? 'Abgeschlossen' : 'Offen';
+      case 'archiviert':
+        return value ? 'Archiviert' : 'Nicht archiviert';
+      case 'preise':
+        return value
+          ? [
+              `Start ${formatBetrag(value.startgebuehr)}`,
+              `Fehlgeld ${formatBetrag(value.fehlgeld)}`,
+              ...value.strafen.map(s => `${s.label} ${formatBetrag(s.preis)}`),
+            ].join(' · ')
+          : '–';
+      case 'ereignisse':
+        return value ? `${value.length} Strafen live erfasst` : 'Nicht live erfasst';
+      case 'wuerfe':
+        return `${(value || []).length} Würfe`;
+      default:
+        return value || '–';
+    }
+  };
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Resets the choices and closes the dialog */
+  const handleClose = () => {
+    setAuswahl({});
+    onClose();
+  };
+
+  /** Chooses the same version for all conflicts */
+  const handleAlle = version => {
+    setAuswahl(Object.fromEntries(konflikte.map(k => [k.id, version])));
+  };
+
+  /** Hands the merged evenings to the app */
+  const handleMerge = () => {
+    onMerge(mergeKegelabende(kegelabende, diff, auswahl));
+    handleClose();
+  };
+
+  if (!diff) return null;
+
+  const nothingToDo = diff.neu.length === 0 && diff.geaendert.length === 0;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Backup zusammenführen</DialogTitle>
+      <DialogContent>
+        {/* Summary */}
+        <Stack direction="row" spacing={1} sx={{ mb: 2, mt: 1 }} flexWrap="wrap" useFlexGap>
+          <Chip label={`${diff.neu.length} neue Abende`} color="success" variant="outlined" />
+          <Chip label={`${diff.geaendert.length} geänderte Abende`} variant="outlined" />
+          <Chip
+            label={`${konflikte.length} Konflikte`}
+            color={konflikte.length > 0 ? 'warning' : 'default'}
+            variant="outlined"
+          />
+          <Chip label={`${diff.unveraendert} unverändert`} variant="outlined" />
+        </Stack>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Die Einstellungen bleiben unverändert. Spieler und Buchungen, die nur im Backup stehen,
+          werden ergänzt.
+        </Typography>
+
+        {nothingToDo && <Alert severity="info">Das Backup enthält nichts Neues.</Alert>}
+
+        {/* New evenings */}
+        {diff.neu.length > 0 && (
+          <>
+            <Typography variant="subtitle2">Neue Abende</Typography>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {[...diff.neu]
+                .sort((a, b) => a.datum.localeCompare(b.datum))
+                .map(abend => `${formatDatum(abend.datum)} (${abend.spieler.length} Spieler)`)
+                .join(', ')}
+            </Typography>
+          </>
+        )}
+
+        {/* Changed evenings with conflicts */}
+        {diff.geaendert.length > 0 && (
+          <>
+            <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1 }}>
+              <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+                Geänderte Abende
+              </Typography>
+              {konflikte.length > 0 && (
+                <>
+                  <Button size="small" onClick={() => handleAlle('lokal')}>
+                    Alle lokal
+                  </Button>
+                  <Button size="small" onClick={() => handleAlle('importiert')}>
+                    Alle aus Backup
+                  </Button>
+                </>
+              )}
+            </Stack>
+            {diff.geaendert.map(entry => (
+              <Paper key={entry.lokal.id} variant="outlined" sx={{ p: 1.5, mb: 1.5 }}>
+                <Typography variant="body2" fontWeight="bold">
+                  Kegelabend vom {formatDatum(entry.lokal.datum)}
+                </Typography>
+                {entry.hinzugefuegt.length > 0 && (
+                  <Typography variant="body2" color="success.main">
+                    Werden ergänzt: {entry.hinzugefuegt.join(', ')}
+                  </Typography>
+                )}
+                {entry.historie.length > 0 && (
+                  <Typography variant="body2" color="text.secondary">
+                    {entry.historie.length} Verlaufseinträge werden ergänzt
+                  </Typography>
+                )}
+                {entry.konflikte.length > 0 && (
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Konflikt</TableCell>
+                        <TableCell>Lokal</TableCell>
+                        <TableCell>Backup</TableCell>
+                        <TableCell align="right">Übernehmen</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {entry.konflikte.map(konflikt => {
+                        const version = auswahl[konflikt.id] || 'lokal';
+                        return (
+                          <TableRow key={konflikt.id}>
+                            <TableCell>
+                              <strong>{konflikt.name || FELD_LABELS[konflikt.feld]}</strong>
+                            </TableCell>
+                            <TableCell
+                              sx={{ color: version === 'lokal' ? undefined : 'text.disabled' }}
+                            >
+                              <Typography variant="caption">
+                                {describeValue(konflikt, konflikt.lokal)}
+                              </Typography>
+                            </TableCell>
+                            <TableCell
+                              sx={{ color: version === 'importiert' ? undefined : 'text.disabled' }}
+                            >
+                              <Typography variant="caption">
+                                {describeValue(konflikt, konflikt.importiert)}
+                              </Typography>
+                            </TableCell>
+                            <TableCell align="right">
+                              <ToggleButtonGroup
+                                exclusive
+                                size="small"
+                                value={version}
+                                onChange={(e, value) =>
+                                  value && setAuswahl(prev => ({ ...prev, [konflikt.id]: value }))
+                                }
+                              >
+                                <ToggleButton value="lokal">Lokal</ToggleButton>
+                                <ToggleButton value="importiert">Backup</ToggleButton>
+                              </ToggleButtonGroup>
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                )}
+              </Paper>
+            ))}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Abbrechen</Button>
+        <Button variant="contained" onClick={handleMerge} disabled={nothingToDo}>
+          Zusammenführen
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportMergeDialog;
@@ -0,0 +1,160 @@
+/**
+ * KassenstandDialog.jsx - Running balance per member (Kassenstand)
+ *
+ * This dialog shows for every member across all bowling evenings:
+ * - What they should have paid (Soll)
+ * - What they actually paid (Bezahlt)
+ * - What they still owe (Offen)
+ * - The evenings with open amounts (click to jump to the evening)
+ * Evenings from before payment tracking are not counted, a note says how many.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings
+ * - config: Configuration (penalties, fees)
+ * - onSelectAbend: Callback with an evening id to display that evening
+ */
+
+import React, { useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Stack,
+  Chip,
+} from '@mui/material';
+
+// Calculations
+import { calculateBalances } from '../services/calculationService';
+
+/**
+ * Dialog component: Kassenstand of all members
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (penalties, fees)
+ * @param {Function} onSelectAbend - Callback to display an evening
+ */
+const KassenstandDialog = ({ open, onClose, kegelabende, config, onSelectAbend }) => {
+  // Only recalculate when evenings or prices change
+  const balances = useMemo(() => calculateBalances(kegelabende, config), [kegelabende, config]);
+
+  // Evenings migrated from before payment tracking (see calculateBalances)
+  const ohneZahlungen = useMemo(
+    () => kegelabende.filter(abend => abend.zahlungenErfasst === false).length,
+    [kegelabende]
+  );
+
+  const totalOpen = useMemo(
+    () => balances.reduce((sum, entry) => sum + Math.max(entry.saldo, 0), 0),
+    [balances]
+  );
+
+  /** Jumps to an evening and closes the dialog */
+  const handleSelectAbend = abendId => {
+    onSelectAbend?.(abendId);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Kassenstand</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Offene Beträge aller Mitglieder über alle Kegelabende.
+          {ohneZahlungen > 0 &&
+            ` ${ohneZahlungen} ältere Kegelabende ohne erfasste Zahlungen sind nicht enthalten.`}
+        </Typography>
+
+        {balances.length > 0 ? (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell align="center">Abende</TableCell>
+                <TableCell align="right">Soll</TableCell>
+                <TableCell align="right">Bezahlt</TableCell>
+                <TableCell align="right">Offen</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {balances.map(entry => (
+                <TableRow key={entry.key}>
+                  <TableCell>
+                    <strong>{entry.name}</strong>
+                    {/* Evenings with open amounts */}
+                    {entry.offeneAbende.length > 0 && (
+                      <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap sx={{ mt: 0.5 }}>
+                        {entry.offeneAbende.map(abend => (
+                          <Chip
+                            key={abend.id}
+                            size="small"
+                            variant="outlined"
+                            color="error"
+                            label={`${new Date(abend.datum).toLocaleDateString('de-DE')}: ${abend.offen.toFixed(2)}${config.waehrung}`}
+                            onClick={() => handleSelectAbend(abend.id)}
+                          />
+                        ))}
+                      </Stack>
+                    )}
+                  </TableCell>
+                  <TableCell align="center">{entry.abende}</TableCell>
+                  <TableCell align="right">
+                    {entry.soll.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                  <TableCell align="right">
+                    {entry.bezahlt.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                  <TableCell
+                    align="right"
+                    sx={{
+                      fontWeight: 'bold',
+                      color: entry.saldo > 0.005 ? 'error.main' : 'success.main',
+                    }}
+                  >
+                    {entry.saldo.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                </TableRow>
+              ))}
+
+              {/* Total of all open amounts */}
+              <TableRow>
+                <TableCell colSpan={4}>
+                  <strong>Insgesamt offen</strong>
+                </TableCell>
+                <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                  {totalOpen.toFixed(2)}
+                  {config.waehrung}
+                </TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        ) : (
+          <Typography color="text.secondary" textAlign="center">
+            Noch keine Kegelabende erfasst
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default KassenstandDialog;
@@ -2,16 +2,28 @@
  * KegelabendTable.jsx - Table component for a bowling evening
  *
  * This component displays the main table for a bowling evening:
- * - Columns: Name | Entry Fee | Penalties (Kalle, Stina, etc.) | Games (WM, GS) | Total
+ * - Columns: Name | Entry Fee | Penalties (Kalle, Stina, etc.) | Games (WM, GS) | Total | Paid
+ * - The money game (GS) shows each player's win or stake and the pot
  * - Each row represents a player
  * - All fields are directly editable
- * - New players can be added
+ * - New players can be added (members of the master data or new ones)
+ * - Names of members are renamed in the master data, only guests are typed in the row
+ * - Players can be marked absent: they pay the absence fee (Fehlgeld) instead of
+ *   the entry fee and no inverted penalties; all active members can be added
+ *   as absent at once
+ * - In the live mode (see LiveDialog) the penalty counts come from the tapped
+ *   events and are shown read-only
  * - Players can be removed
+ * - Closed evenings are shown read-only (locked)
  *
  * Props:
  * - kegelabend: The bowling evening object containing all players
  * - config: Configuration (penalties, game types, fees)
  * - onUpdate: Callback when something changes (for auto-save)
+ * - onPlayerRemoved: Callback after a player was removed (to offer undo)
+ * - gesperrt: Whether the evening is closed (no edits possible)
+ * - mitglieder: Active members of the master data for quick-add
+ * - onCreateMitglied: Callback with a new name, returns the member record
  */
 
 import React, { useState, useCallback, useMemo } from 'react';
@@ -40,6 +52,7 @@ import {
   DialogContent,
   DialogActions,
   Button,
+  Select,
 } from '@mui/material';
 
 // Icons
@@ -47,36 +60,82 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
 import PersonIcon from '@mui/icons-material/Person';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import PersonOffIcon from '@mui/icons-material/PersonOff';
+import GroupAddIcon from '@mui/icons-material/GroupAdd';
 
-// Config
-import { createEmptyPlayer } from '../config/defaultConfig';
+// Config and calculations
+import {
+  createEmptyPlayer,
+  ZAHLUNGSARTEN,
+  SIEG_WERTE,
+  isValidErgebnis,
+} from '../config/defaultConfig';
+import {
+  calculatePlayerTotal,
+  getGrundgebuehr,
+  calculateOpenAmount,
+  calculateGeldspiel,
+  calculateGeldspielSaldo,
+} from '../services/calculationService';
+import { isLive, removeSpielerEreignisse } from '../services/liveService';
 
 /**
- * Calculates the total amount for a single player
- *
- * Formula: Entry Fee + Normal Penalties + Inverted Penalties from others
+ * Input for a game result, depending on the result type of the game type:
+ * - punkte: Number field
+ * - platz: Number field starting at 1
+ * - sieg: Select with won/lost
  *
- * Normal penalties: Player pays for their own penalties
- * Inverted penalties (Kranz, Volle): Player pays when OTHERS throw them
+ * Invalid values (e.g. old free-text results) are marked red.
  *
- * @param {Object} player - The player with their penalties
- * @param {Object} config - The configuration with penalty prices
- * @param {Array} allPlayers - All players (needed for inverted penalties)
- * @returns {number} - Total amount in Euro
+ * @param {Object} spielart - The game type with `ergebnisTyp`
+ * @param {string} value - The stored result
+ * @param {Function} onChange - Callback with the new result
+ * @param {boolean} readOnly - Whether the result can not be changed
  */
-const calculatePlayerTotal = (player, config, allPlayers) => {
-  // Start with entry fee, then add all penalties
-  return config.strafen.reduce((total, strafe) => {
-    if (strafe.inverted) {
-      // INVERTED: Sum up penalties from OTHER players
-      const othersCount = allPlayers
-        .filter(p => p.id !== player.id)
-        .reduce((sum, p) => sum + (p.strafen[strafe.id] || 0), 0);
-      return total + othersCount * strafe.preis;
-    }
-    // NORMAL: Player pays for their own penalties
-    return total + (player.strafen[strafe.id] || 0) * strafe.preis;
-  }, config.startgebuehr);
+const ErgebnisInput = ({ spielart, value, onChange, readOnly }) => {
+  const error = !isValidErgebnis(spielart, value);
+
+  if (spielart.ergebnisTyp === 'sieg' && !error) {
+    return (
+      <Select
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        variant="standard"
+        size="small"
+        displayEmpty
+        readOnly={readOnly}
+        sx={{ fontSize: '0.8rem', minWidth: 60 }}
+      >
+        <MenuItem value="">
+          <em>–</em>
+        </MenuItem>
+        {SIEG_WERTE.map(wert => (
+          <MenuItem key={wert.id} value={wert.id}>
+            {wert.label}
+          </MenuItem>
+        ))}
+      </Select>
+    );
+  }
+
+  const isPlatz = spielart.ergebnisTyp === 'platz';
+  return (
+    <TextField
+      type={spielart.ergebnisTyp === 'sieg' ? 'text' : 'number'}
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      variant="standard"
+      size="small"
+      error={error}
+      placeholder={isPlatz ? 'Pl.' : undefined}
+      InputProps={{ readOnly }}
+      inputProps={{
+        min: isPlatz ? 1 : undefined,
+        step: isPlatz ? 1 : 'any',
+        style: { textAlign: 'center', width: 40 },
+      }}
+    />
+  );
 };
 
 /**
@@ -85,10 +144,20 @@ const calculatePlayerTotal = (player, config, allPlayers) => {
  * @param {Object} kegelabend - Current bowling evening data
  * @param {Object} config - Configuration (penalties, fees)
  * @param {Function} onUpdate - Callback when evening data changes
- * @param {Array} savedPlayers - List of saved player names for quick-add
- * @param {Function} onAddSavedPlayer - Callback to add a new player to master list
+ * @param {Function} onPlayerRemoved - Callback with the removed player
+ * @param {boolean} gesperrt - Whether the evening is closed (read-only)
+ * @param {Array} mitglieder - Active members of the master data for quick-add
+ * @param {Function} onCreateMitglied - Callback to add a new player to the master data
  */
-const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAddSavedPlayer }) => {
+const KegelabendTable = ({
+  kegelabend,
+  config,
+  onUpdate,
+  onPlayerRemoved,
+  gesperrt = false,
+  mitglieder = [],
+  onCreateMitglied,
+}) => {
   // ============================================
   // STATE
   // ============================================
@@ -121,6 +190,15 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
     updatePlayer(playerId, player => ({ ...player, [field]: value }));
   }, [updatePlayer]);
 
+  /**
+   * Marks a player absent or present again
+   * Penalties, live events and results stay on the row, they just do not count
+   * while the player is absent (see getStrafen), so a wrong tap loses nothing
+   */
+  const handleAnwesendToggle = useCallback((playerId) => {
+    updatePlayer(playerId, player => ({ ...player, anwesend: player.anwesend === false }));
+  }, [updatePlayer]);
+
   /** Updates a penalty count */
   const handleStrafeChange = useCallback((playerId, strafeId, value) => {
     const numValue = parseInt(value, 10) || 0;
@@ -138,6 +216,27 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
     }));
   }, [updatePlayer]);
 
+  /** Updates the amount a player has paid */
+  const handleBezahltChange = useCallback((playerId, value) => {
+    const numValue = parseFloat(value) || 0;
+    updatePlayer(playerId, player => ({ ...player, bezahlt: numValue }));
+  }, [updatePlayer]);
+
+  /**
+   * Updates the payment method
+   * Cash and transfer are usually the full amount, so an empty amount is pre-filled
+   */
+  const handleZahlungsartChange = useCallback((playerId, zahlungsart, playerTotal) => {
+    updatePlayer(playerId, player => ({
+      ...player,
+      zahlungsart,
+      bezahlt:
+        zahlungsart && zahlungsart !== 'teilweise' && !player.bezahlt
+          ? playerTotal
+          : player.bezahlt || 0,
+    }));
+  }, [updatePlayer]);
+
   /**
    * Opens the add player menu
    */
@@ -145,17 +244,32 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
     setAddMenuAnchor(event.currentTarget);
   };
 
-  /** Adds a saved player to the current evening */
-  const addSavedPlayer = useCallback((playerName) => {
+  /** Adds a member of the master data to the current evening */
+  const addMitglied = useCallback((mitglied) => {
     setAddMenuAnchor(null);
-    if (kegelabend.spieler.some(p => p.name === playerName)) return;
+    if (kegelabend.spieler.some(p => p.mitgliedId === mitglied.id)) return;
     
     onUpdate({ 
       ...kegelabend, 
-      spieler: [...kegelabend.spieler, createEmptyPlayer(playerName)] 
+      spieler: [...kegelabend.spieler, createEmptyPlayer(mitglied.name, mitglied.id)] 
     });
   }, [kegelabend, onUpdate]);
 
+  /** Adds all active members that are not on the list yet, marked absent */
+  const addAlleAbwesend = useCallback(() => {
+    setAddMenuAnchor(null);
+    const fehlend = mitglieder.filter(m => !kegelabend.spieler.some(p => p.mitgliedId === m.id));
+    if (fehlend.length === 0) return;
+
+    onUpdate({
+      ...kegelabend,
+      spieler: [
+        ...kegelabend.spieler,
+        ...fehlend.map(m => ({ ...createEmptyPlayer(m.name, m.id), anwesend: false })),
+      ],
+    });
+  }, [kegelabend, mitglieder, onUpdate]);
+
   /** Opens dialog to create a new player */
   const handleNewPlayerClick = useCallback(() => {
     setAddMenuAnchor(null);
@@ -167,37 +281,58 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
     const name = newPlayerName.trim();
     if (!name) return;
     
-    // Add to master list
-    onAddSavedPlayer?.(name);
+    // Add to master list (an existing member with this name is reused)
+    const mitglied = onCreateMitglied?.(name);
     
     // Add to current evening
-    onUpdate({ 
-      ...kegelabend, 
-      spieler: [...kegelabend.spieler, createEmptyPlayer(name)] 
-    });
+    if (!mitglied || !kegelabend.spieler.some(p => p.mitgliedId === mitglied.id)) {
+      onUpdate({ 
+        ...kegelabend, 
+        spieler: [
+          ...kegelabend.spieler,
+          createEmptyPlayer(mitglied?.name ?? name, mitglied?.id ?? null),
+        ],
+      });
+    }
     
     setNewPlayerName('');
     setNewPlayerDialogOpen(false);
-  }, [newPlayerName, kegelabend, onUpdate, onAddSavedPlayer]);
+  }, [newPlayerName, kegelabend, onUpdate, onCreateMitglied]);
 
-  /** Removes a player from the table */
+  /** Removes a player (and the player's live events) from the table */
   const removePlayer = useCallback((playerId) => {
+    const abend = removeSpielerEreignisse(kegelabend, playerId);
     onUpdate({ 
-      ...kegelabend, 
-      spieler: kegelabend.spieler.filter(p => p.id !== playerId) 
+      ...abend, 
+      spieler: abend.spieler.filter(p => p.id !== playerId) 
     });
-  }, [kegelabend, onUpdate]);
+    onPlayerRemoved?.(kegelabend.spieler.find(p => p.id === playerId));
+  }, [kegelabend, onUpdate, onPlayerRemoved]);
 
   // ============================================
   // CALCULATIONS (memoized for performance)
   // ============================================
 
+  // Penalties are tapped in the live mode, the table only shows the counts
+  const live = isLive(kegelabend);
+
   const grandTotal = useMemo(() => 
     kegelabend.spieler.reduce((sum, player) => 
       sum + calculatePlayerTotal(player, config, kegelabend.spieler), 0
     ), [kegelabend.spieler, config]
   );
 
+  // Money game of this evening (null if none is configured)
+  const geldspiel = useMemo(
+    () => calculateGeldspiel(kegelabend.spieler, config),
+    [kegelabend.spieler, config]
+  );
+
+  const paidTotal = useMemo(() =>
+    kegelabend.spieler.reduce((sum, player) => sum + (player.bezahlt || 0), 0),
+    [kegelabend.spieler]
+  );
+
   return (
     <Box>
       <TableContainer component={Paper} sx={{ mt: 2 }}>
@@ -253,6 +388,9 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
               >
                 Summe
               </TableCell>
+              <TableCell sx={{ color: 'white', fontWeight: 'bold', width: 140 }} align="center">
+                Bezahlt
+              </TableCell>
               <TableCell sx={{ color: 'white', width: 50 }} align="center">
                 {/* Delete column */}
               </TableCell>
@@ -261,10 +399,17 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
           <TableBody>
             {kegelabend.spieler.map((player, index) => {
               const playerTotal = calculatePlayerTotal(player, config, kegelabend.spieler);
+              const openAmount = calculateOpenAmount(player, playerTotal);
+              const geldspielSaldo = calculateGeldspielSaldo(player, geldspiel);
+              const abwesend = player.anwesend === false;
               return (
                 <TableRow
                   key={player.id}
-                  sx={{ backgroundColor: index % 2 === 0 ? 'grey.50' : 'white' }}
+                  sx={{
+                    backgroundColor: index % 2 === 0 ? 'grey.50' : 'white',
+                    // Absent players are shown greyed out
+                    '& .MuiInputBase-input': abwesend ? { color: 'text.disabled' } : undefined,
+                  }}
                 >
                   {/* Row number */}
                   <TableCell align="center">
@@ -273,20 +418,49 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
                     </Typography>
                   </TableCell>
                   <TableCell>
-                    <TextField
-                      value={player.name}
-                      onChange={e => handlePlayerChange(player.id, 'name', e.target.value)}
-                      placeholder="Name eingeben"
-                      variant="standard"
-                      size="small"
-                      fullWidth
-                    />
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                      <Tooltip
+                        title={abwesend ? 'Abwesend (Fehlgeld)' : 'Als abwesend markieren'}
+                      >
+                        {/* Span keeps the tooltip working on the disabled button */}
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleAnwesendToggle(player.id)}
+                            disabled={gesperrt}
+                            color={abwesend ? 'warning' : 'default'}
+                          >
+                            {abwesend
+                              ? <PersonOffIcon fontSize="small" />
+                              : <PersonIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      {/* Members are renamed in the master data, so all evenings stay linked */}
+                      <TextField
+                        value={player.name}
+                        onChange={e => handlePlayerChange(player.id, 'name', e.target.value)}
+                        placeholder="Name eingeben"
+                        variant="standard"
+                        size="small"
+                        fullWidth
+                        title={
+                          player.mitgliedId ? 'Umbenennen in den Spieler-Stammdaten' : undefined
+                        }
+                        InputProps={{ readOnly: gesperrt || Boolean(player.mitgliedId) }}
+                      />
+                    </Box>
                   </TableCell>
                   <TableCell align="center">
                     <Typography variant="body2">
-                      {config.startgebuehr.toFixed(2)}
+                      {getGrundgebuehr(player, config).toFixed(2)}
                       {config.waehrung}
                     </Typography>
+                    {abwesend && (
+                      <Typography variant="caption" color="warning.main" display="block">
+                        Fehlgeld
+                      </Typography>
+                    )}
                   </TableCell>
                   {config.strafen.map(strafe => (
                     <TableCell key={strafe.id} align="center">
@@ -296,6 +470,8 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
                         onChange={e => handleStrafeChange(player.id, strafe.id, e.target.value)}
                         variant="standard"
                         size="small"
+                        title={live ? 'Im Live-Modus erfasst' : undefined}
+                        InputProps={{ readOnly: gesperrt || abwesend || live }}
                         inputProps={{ min: 0, style: { textAlign: 'center', width: 40 } }}
                       />
                     </TableCell>
@@ -309,13 +485,24 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
                         borderLeft: idx === 0 ? '3px solid #e0e0e0' : undefined,
                       }}
                     >
-                      <TextField
+                      <ErgebnisInput
+                        spielart={spiel}
                         value={player.spiele[spiel.id] || ''}
-                        onChange={e => handleSpielChange(player.id, spiel.id, e.target.value)}
-                        variant="standard"
-                        size="small"
-                        inputProps={{ style: { textAlign: 'center', width: 40 } }}
+                        onChange={value => handleSpielChange(player.id, spiel.id, value)}
+                        readOnly={gesperrt || abwesend}
                       />
+                      {/* Money game: stake minus payout */}
+                      {geldspiel?.spielart.id === spiel.id && geldspielSaldo !== 0 && (
+                        <Typography
+                          variant="caption"
+                          display="block"
+                          color={geldspielSaldo < 0 ? 'success.main' : 'text.secondary'}
+                        >
+                          {geldspielSaldo < 0 ? '+' : ''}
+                          {(-geldspielSaldo).toFixed(2)}
+                          {config.waehrung}
+                        </Typography>
+                      )}
                     </TableCell>
                   ))}
                   {/* Sum cell with visual separator and highlight */}
@@ -332,28 +519,82 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
                       {config.waehrung}
                     </Typography>
                   </TableCell>
+                  {/* Payment: amount and method */}
+                  <TableCell align="center">
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <TextField
+                        type="number"
+                        value={player.bezahlt || ''}
+                        onChange={e => handleBezahltChange(player.id, e.target.value)}
+                        variant="standard"
+                        size="small"
+                        InputProps={{ readOnly: gesperrt }}
+                        inputProps={{ min: 0, step: 0.5, style: { textAlign: 'right', width: 50 } }}
+                      />
+                      <Select
+                        value={player.zahlungsart || ''}
+                        onChange={e =>
+                          handleZahlungsartChange(player.id, e.target.value, playerTotal)
+                        }
+                        variant="standard"
+                        size="small"
+                        displayEmpty
+                        readOnly={gesperrt}
+                        sx={{ fontSize: '0.8rem', minWidth: 70 }}
+                      >
+                        <MenuItem value="">
+                          <em>offen</em>
+                        </MenuItem>
+                        {ZAHLUNGSARTEN.map(art => (
+                          <MenuItem key={art.id} value={art.id}>
+                            {art.label}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </Box>
+                    {openAmount > 0.005 && (player.bezahlt || 0) > 0 && (
+                      <Typography variant="caption" color="error" display="block">
+                        noch {openAmount.toFixed(2)}
+                        {config.waehrung}
+                      </Typography>
+                    )}
+                  </TableCell>
                   <TableCell align="center">
-                    <IconButton size="small" onClick={() => removePlayer(player.id)} color="error">
-                      <DeleteIcon fontSize="small" />
-                    </IconButton>
+                    {!gesperrt && (
+                      <IconButton size="small" onClick={() => removePlayer(player.id)} color="error">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
                   </TableCell>
                 </TableRow>
               );
             })}
 
-            {/* Add player row */}
+            {/* Add player row (totals only when the evening is closed) */}
             <TableRow>
               {/* Spans: Nr + Name + Start + all penalties = 3 + strafen.length */}
               <TableCell colSpan={3 + config.strafen.length}>
-                <IconButton onClick={handleAddPlayerClick} color="primary" size="small">
-                  <AddIcon /> <Typography variant="body2">Spieler hinzufügen</Typography>
-                </IconButton>
+                {!gesperrt && (
+                  <IconButton onClick={handleAddPlayerClick} color="primary" size="small">
+                    <AddIcon /> <Typography variant="body2">Spieler hinzufügen</Typography>
+                  </IconButton>
+                )}
               </TableCell>
-              {/* Empty cells for game types */}
-              <TableCell
-                colSpan={config.spielarten.length}
-                sx={{ borderLeft: '3px solid #e0e0e0' }}
-              />
+              {/* Game types: pot of the money game, otherwise empty */}
+              {config.spielarten.map((spiel, idx) => (
+                <TableCell
+                  key={spiel.id}
+                  align="center"
+                  sx={{ borderLeft: idx === 0 ? '3px solid #e0e0e0' : undefined }}
+                >
+                  {geldspiel?.spielart.id === spiel.id && geldspiel.teilnehmer > 0 && (
+                    <Typography variant="caption" color="text.secondary">
+                      Topf {geldspiel.topf.toFixed(2)}
+                      {config.waehrung}
+                    </Typography>
+                  )}
+                </TableCell>
+              ))}
               {/* Grand total directly under Sum column */}
               <TableCell
                 align="right"
@@ -368,6 +609,13 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
                   {config.waehrung}
                 </Typography>
               </TableCell>
+              {/* Total paid this evening */}
+              <TableCell align="center">
+                <Typography variant="body2" fontWeight="bold">
+                  {paidTotal.toFixed(2)}
+                  {config.waehrung}
+                </Typography>
+              </TableCell>
               <TableCell />
             </TableRow>
           </TableBody>
@@ -382,21 +630,23 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
         open={Boolean(addMenuAnchor)}
         onClose={() => setAddMenuAnchor(null)}
       >
-        {/* Saved players */}
-        {savedPlayers.length > 0 && (
+        {/* Active members of the master data */}
+        {mitglieder.length > 0 && (
           <>
-            {savedPlayers.map(name => {
-              const isInEvening = kegelabend.spieler.some(p => p.name === name);
+            {mitglieder.map(mitglied => {
+              const isInEvening = kegelabend.spieler.some(p => p.mitgliedId === mitglied.id);
               return (
                 <MenuItem
-                  key={name}
-                  onClick={() => addSavedPlayer(name)}
+                  key={mitglied.id}
+                  onClick={() => addMitglied(mitglied)}
                   disabled={isInEvening}
                 >
                   <ListItemIcon>
                     <PersonIcon fontSize="small" />
                   </ListItemIcon>
-                  <ListItemText>{name}</ListItemText>
+                  <ListItemText secondary={mitglied.spitzname || undefined}>
+                    {mitglied.name}
+                  </ListItemText>
                   {isInEvening && (
                     <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
                       (bereits dabei)
@@ -405,6 +655,15 @@ const KegelabendTable = ({ kegelabend, config, onUpdate, savedPlayers = [], onAd
                 </MenuItem>
               );
             })}
+            {/* Everybody who is missing, e.g. to charge the absence fee */}
+            {mitglieder.some(m => !kegelabend.spieler.some(p => p.mitgliedId === m.id)) && (
+              <MenuItem onClick={addAlleAbwesend}>
+                <ListItemIcon>
+                  <GroupAddIcon fontSize="small" />
+                </ListItemIcon>
+                <ListItemText>Alle fehlenden Mitglieder als abwesend</ListItemText>
+              </MenuItem>
+            )}
             <Divider />
           </>
         )}
@@ -0,0 +1,312 @@
+/**
+ * KegelbildDialog.jsx - Pin board for scoring throw by throw
+ *
+ * Full-screen view with the 9-pin diamond:
+ * - Pick the player who is throwing and the game type the pins count for
+ * - Tap the pins that fell, then book the throw with "Wurf eintragen"
+ * - Volle, Kranz and Stina are detected from the pins and counted as penalty
+ * - The pins are added to the player's result of the game type
+ * - The throws of the evening are listed, a wrong throw is taken back there
+ *
+ * Only game types with points as result can be scored. Absent players are not
+ * offered, closed evenings are shown read-only.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabend: The bowling evening
+ * - config: Configuration with the evening's prices (see getAbendConfig)
+ * - onUpdate: Callback with the changed evening
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  TextField,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Typography,
+  Stack,
+  Box,
+  Chip,
+  Divider,
+  Alert,
+} from '@mui/material';
+
+// Icons
+import CloseIcon from '@mui/icons-material/Close';
+import UndoIcon from '@mui/icons-material/Undo';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+
+// Config and pin board
+import { KEGEL } from '../config/defaultConfig';
+import { addWurf, removeWurf, detectKegelbild, readPunkte } from '../services/kegelbildService';
+
+/** Position of each pin in a 5x5 grid: [row, column], the front pin at the bottom */
+const POSITIONEN = {
+  9: [1, 3],
+  7: [2, 2],
+  8: [2, 4],
+  4: [3, 1],
+  5: [3, 3],
+  6: [3, 5],
+  2: [4, 2],
+  3: [4, 4],
+  1: [5, 3],
+};
+
+/**
+ * Dialog component: Pin board
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Configuration with the evening's prices
+ * @param {Function} onUpdate - Callback with the changed evening
+ */
+const KegelbildDialog = ({ open, onClose, kegelabend, config, onUpdate }) => {
+  const punkteSpiele = config.spielarten.filter(spiel => spiel.ergebnisTyp === 'punkte');
+
+  // Player who is throwing (falls back to the first present player)
+  const [aktivId, setAktivId] = useState(null);
+  const [spielId, setSpielId] = useState(punkteSpiele[0]?.id ?? '');
+  // Pins tapped for the current throw
+  const [gefallen, setGefallen] = useState([]);
+
+  // Tapped pins belong to the evening they were tapped for
+  useEffect(() => {
+    setGefallen([]);
+  }, [kegelabend.id]);
+
+  // Throws of the evening, newest first
+  const wuerfe = useMemo(
+    () => [...(kegelabend.wuerfe || [])].sort((a, b) => b.zeitpunkt.localeCompare(a.zeitpunkt)),
+    [kegelabend.wuerfe]
+  );
+
+  const gesperrt = kegelabend.abgeschlossen;
+  const anwesend = kegelabend.spieler.filter(player => player.anwesend !== false);
+  const aktiv = anwesend.find(player => player.id === aktivId) || anwesend[0];
+  const spiel = punkteSpiele.find(s => s.id === spielId);
+  const kegelbild = detectKegelbild(gefallen, config);
+
+  const nameOf = id => kegelabend.spieler.find(p => p.id === id)?.name || 'Spieler ohne Namen';
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Taps a pin: fallen or standing again */
+  const handleKegel = nr =>
+    setGefallen(prev => (prev.includes(nr) ? prev.filter(n => n !== nr) : [...prev, nr]));
+
+  /** Books the tapped pins as one throw of the active player */
+  const handleWurf = () => {
+    onUpdate(addWurf(kegelabend, config, aktiv.id, spiel?.id ?? '', gefallen));
+    setGefallen([]);
+  };
+
+  /** Takes a throw back (pins and penalty) */
+  const handleRemoveWurf = wurf => onUpdate(removeWurf(kegelabend, wurf));
+
+  /** Steps on to the next present player */
+  const handleNaechster = () => {
+    const index = anwesend.indexOf(aktiv);
+    setAktivId(anwesend[(index + 1) % anwesend.length].id);
+    setGefallen([]);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
+        <Box sx={{ flexGrow: 1 }}>
+          Kegelbild – {new Date(kegelabend.datum).toLocaleDateString('de-DE')}
+        </Box>
+        <IconButton onClick={onClose} edge="end">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent dividers>
+        {gesperrt && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Der Kegelabend ist abgeschlossen und kann nicht mehr geändert werden.
+          </Alert>
+        )}
+
+        {anwesend.length === 0 ? (
+          <Typography color="text.secondary" textAlign="center" sx={{ py: 4 }}>
+            Noch keine anwesenden Spieler. Spieler werden in der Tabelle hinzugefügt.
+          </Typography>
+        ) : (
+          <>
+            {/* Player who is throwing and the game the pins count for */}
+            <Stack direction="row" spacing={1} alignItems="flex-start" sx={{ mb: 2 }}>
+              <ToggleButtonGroup
+                value={aktiv.id}
+                exclusive
+                onChange={(e, id) => {
+                  if (!id) return;
+                  setAktivId(id);
+                  setGefallen([]);
+                }}
+                sx={{ flexWrap: 'wrap', flexGrow: 1 }}
+              >
+                {anwesend.map(player => (
+                  <ToggleButton key={player.id} value={player.id} sx={{ px: 2, py: 1.5 }}>
+                    {player.name || 'Ohne Namen'}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+              <Button
+                variant="outlined"
+                startIcon={<SkipNextIcon />}
+                onClick={handleNaechster}
+                sx={{ py: 1.5, flexShrink: 0 }}
+              >
+                Nächster
+              </Button>
+            </Stack>
+            <TextField
+              select
+              size="small"
+              label="Spiel"
+              value={spiel?.id ?? ''}
+              onChange={e => setSpielId(e.target.value)}
+              helperText={
+                punkteSpiele.length === 0
+                  ? 'Keine Spielart mit Punkten – es werden nur Strafen gezählt'
+                  : undefined
+              }
+              sx={{ minWidth: 220, mb: 2 }}
+            >
+              <MenuItem value="">Nur Strafen zählen</MenuItem>
+              {punkteSpiele.map(s => (
+                <MenuItem key={s.id} value={s.id}>
+                  {s.label}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <Typography variant="h6">
+              {aktiv.name || 'Ohne Namen'}
+              {spiel && `: ${readPunkte(aktiv.spiele[spiel.id])} Holz im ${spiel.label}`}
+            </Typography>
+
+            {/* The diamond, front pin at the bottom */}
+            <Box
+              sx={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(5, 56px)',
+                gridTemplateRows: 'repeat(5, 56px)',
+                justifyContent: 'center',
+                my: 2,
+              }}
+            >
+              {KEGEL.map(kegel => {
+                const [reihe, spalte] = POSITIONEN[kegel.nr];
+                const faellt = gefallen.includes(kegel.nr);
+                return (
+                  <Button
+                    key={kegel.nr}
+                    title={kegel.label}
+                    variant={faellt ? 'contained' : 'outlined'}
+                    color={faellt ? 'secondary' : 'primary'}
+                    disabled={gesperrt}
+                    onClick={() => handleKegel(kegel.nr)}
+                    sx={{
+                      gridRow: reihe,
+                      gridColumn: spalte,
+                      minWidth: 0,
+                      borderRadius: '50%',
+                      borderWidth: 2,
+                      fontWeight: 'bold',
+                    }}
+                  >
+                    {kegel.nr === 5 ? 'K' : kegel.nr}
+                  </Button>
+                );
+              })}
+            </Box>
+
+            <Stack direction="row" spacing={1} justifyContent="center" alignItems="center">
+              <Button disabled={gesperrt} onClick={() => setGefallen(KEGEL.map(kegel => kegel.nr))}>
+                Alle
+              </Button>
+              <Button variant="contained" size="large" disabled={gesperrt} onClick={handleWurf}>
+                Wurf eintragen ({gefallen.length} Holz)
+              </Button>
+              <Button disabled={gesperrt || gefallen.length === 0} onClick={() => setGefallen([])}>
+                Zurücksetzen
+              </Button>
+            </Stack>
+            <Box sx={{ textAlign: 'center', minHeight: 32, mt: 1 }}>
+              {kegelbild && <Chip color="warning" label={`${kegelbild.label}!`} />}
+            </Box>
+          </>
+        )}
+
+        {/* Throws of the evening, latest first */}
+        <Typography variant="subtitle1" fontWeight="bold" sx={{ mt: 2 }}>
+          Würfe ({wuerfe.length})
+        </Typography>
+        <Divider />
+        {wuerfe.length > 0 ? (
+          <List dense>
+            {wuerfe.map(wurf => {
+              const strafe = config.strafen.find(s => s.id === wurf.strafeId);
+              const spielLabel = config.spielarten.find(s => s.id === wurf.spielId)?.label;
+              return (
+                <ListItem
+                  key={wurf.id}
+                  secondaryAction={
+                    !gesperrt && (
+                      <IconButton
+                        edge="end"
+                        title="Wurf zurücknehmen"
+                        onClick={() => handleRemoveWurf(wurf)}
+                      >
+                        <UndoIcon />
+                      </IconButton>
+                    )
+                  }
+                >
+                  <ListItemText
+                    primary={[
+                      `${nameOf(wurf.spielerId)}: ${wurf.gefallen.length} Holz`,
+                      strafe?.label,
+                    ]
+                      .filter(Boolean)
+                      .join(' – ')}
+                    secondary={[new Date(wurf.zeitpunkt).toLocaleTimeString('de-DE'), spielLabel]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                </ListItem>
+              );
+            })}
+          </List>
+        ) : (
+          <Typography color="text.secondary" sx={{ py: 2 }}>
+            Noch keine Würfe
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default KegelbildDialog;
@@ -0,0 +1,195 @@
+/**
+ * LineChart.jsx - Simple SVG line chart
+ *
+ * Draws one line per series over shared x-axis labels, without any
+ * charting library, so it works offline:
+ * - Y-axis with 5 grid lines
+ * - X-axis labels (dates), thinned out if there are many
+ * - Gaps where a series has no value (null)
+ * - Tooltip per data point (native SVG <title>)
+ * - Legend below the chart
+ *
+ * Props:
+ * - labels: X-axis labels (dates in format 'YYYY-MM-DD')
+ * - series: Array of { key, name, values } with one value (or null) per label
+ * - formatValue: Optional formatter for y values (axis and tooltips)
+ */
+
+import React from 'react';
+import { Box, Stack, Typography } from '@mui/material';
+
+// ============================================
+// LAYOUT CONSTANTS
+// ============================================
+
+const WIDTH = 800;
+const HEIGHT = 320;
+const PADDING = { top: 16, right: 16, bottom: 48, left: 56 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+/** Maximum number of x-axis labels before labels are skipped */
+const MAX_X_LABELS = 12;
+
+/** Line colors, repeated if there are more series */
+const COLORS = [
+  '#1976d2',
+  '#dc004e',
+  '#2e7d32',
+  '#ed6c02',
+  '#9c27b0',
+  '#00838f',
+  '#6d4c41',
+  '#546e7a',
+];
+
+/**
+ * Splits a series into connected segments (gaps at null values)
+ * @param {Array} points - Array of { x, y } or null
+ * @returns {Array} - Array of segments, each an array of points
+ */
+const toSegments = points =>
+  points
+    .reduce(
+      (segments, point) => {
+        if (point === null) {
+          if (segments[segments.length - 1].length > 0) segments.push([]);
+        } else {
+          segments[segments.length - 1].push(point);
+        }
+        return segments;
+      },
+      [[]]
+    )
+    .filter(segment => segment.length > 0);
+
+/**
+ * Chart component: Line chart drawn as SVG
+ *
+ * @param {Array} labels - X-axis labels
+ * @param {Array} series - Series with values per label
+ * @param {Function} formatValue - Formatter for y values
+ */
+const LineChart = ({ labels, series, formatValue = value => value }) => {
+  const allValues = series.flatMap(s => s.values).filter(value => value !== null);
+
+  if (labels.length === 0 || allValues.length === 0) {
+    return (
+      <Typography color="text.secondary" textAlign="center" sx={{ py: 4 }}>
+        Keine Daten für die Auswahl
+      </Typography>
+    );
+  }
+
+  // Y-axis always starts at 0 unless there are negative values
+  const minValue = Math.min(0, ...allValues);
+  const maxValue = Math.max(...allValues) === minValue ? minValue + 1 : Math.max(...allValues);
+
+  const scaleX = index =>
+    PADDING.left +
+    (labels.length === 1 ? PLOT_WIDTH / 2 : (index / (labels.length - 1)) * PLOT_WIDTH);
+  const scaleY = value =>
+    PADDING.top + PLOT_HEIGHT - ((value - minValue) / (maxValue - minValue)) * PLOT_HEIGHT;
+
+  const yTicks = [0, 1, 2, 3, 4].map(i => minValue + ((maxValue - minValue) * i) / 4);
+  const labelStep = Math.ceil(labels.length / MAX_X_LABELS);
+
+  return (
+    <Box>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img">
+        {/* Grid lines and y-axis labels */}
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={scaleY(tick)}
+              y2={scaleY(tick)}
+              stroke="#e0e0e0"
+            />
+            <text
+              x={PADDING.left - 8}
+              y={scaleY(tick) + 4}
+              fontSize="11"
+              textAnchor="end"
+              fill="#666"
+            >
+              {formatValue(Math.round(tick * 100) / 100)}
+            </text>
+          </g>
+        ))}
+
+        {/* X-axis labels (dates) */}
+        {labels.map((label, index) =>
+          index % labelStep === 0 ? (
+            <text
+              key={label + index}
+              x={scaleX(index)}
+              y={HEIGHT - PADDING.bottom + 18}
+              fontSize="11"
+              textAnchor="middle"
+              fill="#666"
+            >
+              {new Date(label).toLocaleDateString('de-DE', {
+                day: '2-digit',
+                month: '2-digit',
+                year: '2-digit',
+              })}
+            </text>
+          ) : null
+        )}
+
+        {/* One line per series */}
+        {series.map((s, seriesIndex) => {
+          const color = COLORS[seriesIndex % COLORS.length];
+          const points = s.values.map((value, index) =>
+            value === null
+              ? null
+              : { x: scaleX(index), y: scaleY(value), value, label: labels[index] }
+          );
+          return (
+            <g key={s.key ?? s.name}>
+              {toSegments(points).map(segment => (
+                <polyline
+                  key={segment[0].x}
+                  points={segment.map(p => `${p.x},${p.y}`).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth="2"
+                />
+              ))}
+              {points.filter(Boolean).map(point => (
+                <circle key={point.x} cx={point.x} cy={point.y} r="3.5" fill={color}>
+                  <title>
+                    {`${s.name}, ${new Date(point.label).toLocaleDateString(
+                      'de-DE'
+                    )}: ${formatValue(point.value)}`}
+                  </title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Legend */}
+      <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap justifyContent="center">
+        {series.map((s, seriesIndex) => (
+          <Stack key={s.key ?? s.name} direction="row" spacing={0.5} alignItems="center">
+            <Box
+              sx={{
+                width: 12,
+                height: 12,
+                borderRadius: '50%',
+                backgroundColor: COLORS[seriesIndex % COLORS.length],
+              }}
+            />
+            <Typography variant="caption">{s.name}</Typography>
+          </Stack>
+        ))}
+      </Stack>
+    </Box>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,246 @@
+/**
+ * LiveDialog.jsx - Live mode for the lane
+ *
+ * Full-screen view with big buttons, so one person can run the book on a
+ * phone while bowling:
+ * - Pick the player who is throwing (or step on with "Nächster")
+ * - Tap "+1 <penalty>" for every penalty, each tap is a timestamped event
+ * - The list of events shows the latest taps first, a wrong tap is removed there
+ *
+ * The penalty counts in the table are derived from the events (see liveService).
+ * After the live mode was ended the events stay listed, the next tap continues.
+ * Absent players are not offered, closed evenings are shown read-only.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabend: The bowling evening
+ * - config: Configuration with the evening's prices (see getAbendConfig)
+ * - onUpdate: Callback with the changed evening
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Typography,
+  Stack,
+  Box,
+  Divider,
+  Alert,
+} from '@mui/material';
+
+// Icons
+import CloseIcon from '@mui/icons-material/Close';
+import DeleteIcon from '@mui/icons-material/Delete';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+
+// Calculations and live events
+import { calculatePlayerTotal } from '../services/calculationService';
+import { isLive, addEreignis, removeEreignis, stopLive } from '../services/liveService';
+
+/**
+ * Dialog component: Live mode
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Configuration with the evening's prices
+ * @param {Function} onUpdate - Callback with the changed evening
+ */
+const LiveDialog = ({ open, onClose, kegelabend, config, onUpdate }) => {
+  // Player who is throwing (falls back to the first present player)
+  const [aktivId, setAktivId] = useState(null);
+
+  const gesperrt = kegelabend.abgeschlossen;
+  const live = isLive(kegelabend);
+  const anwesend = kegelabend.spieler.filter(player => player.anwesend !== false);
+  const aktiv = anwesend.find(player => player.id === aktivId) || anwesend[0];
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  // Newest first, with the names and labels resolved
+  const ereignisse = useMemo(() => {
+    const namen = new Map(kegelabend.spieler.map(player => [player.id, player.name]));
+    const labels = new Map(config.strafen.map(strafe => [strafe.id, strafe.label]));
+    return [...(kegelabend.ereignisse || [])]
+      .sort((a, b) => b.zeitpunkt.localeCompare(a.zeitpunkt))
+      .map(ereignis => ({
+        ...ereignis,
+        name: namen.get(ereignis.spielerId) || 'Spieler ohne Namen',
+        label: labels.get(ereignis.strafeId) || ereignis.strafeId,
+      }));
+  }, [kegelabend.ereignisse, kegelabend.spieler, config.strafen]);
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Steps on to the next present player */
+  const handleNaechster = () => {
+    const index = anwesend.indexOf(aktiv);
+    setAktivId(anwesend[(index + 1) % anwesend.length].id);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
+        <Box sx={{ flexGrow: 1 }}>
+          Live – {new Date(kegelabend.datum).toLocaleDateString('de-DE')}
+        </Box>
+        <IconButton onClick={onClose} edge="end">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent dividers>
+        {gesperrt && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Der Kegelabend ist abgeschlossen und kann nicht mehr geändert werden.
+          </Alert>
+        )}
+        {!gesperrt && !live && !kegelabend.ereignisse && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Mit dem ersten Tippen werden die Strafen live erfasst. Bisher eingetragene Strafen
+            werden übernommen, in der Tabelle sind sie dann nicht mehr änderbar.
+          </Alert>
+        )}
+        {!gesperrt && !live && kegelabend.ereignisse && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Der Live-Modus ist beendet. Mit dem nächsten Tippen geht es weiter, in der Tabelle
+            geänderte Strafen werden dabei abgeglichen.
+          </Alert>
+        )}
+
+        {anwesend.length === 0 ? (
+          <Typography color="text.secondary" textAlign="center" sx={{ py: 4 }}>
+            Noch keine anwesenden Spieler. Spieler werden in der Tabelle hinzugefügt.
+          </Typography>
+        ) : (
+          <>
+            {/* Player who is throwing */}
+            <Stack direction="row" spacing={1} alignItems="flex-start" sx={{ mb: 2 }}>
+              <ToggleButtonGroup
+                value={aktiv.id}
+                exclusive
+                onChange={(e, id) => id && setAktivId(id)}
+                sx={{ flexWrap: 'wrap', flexGrow: 1 }}
+              >
+                {anwesend.map(player => (
+                  <ToggleButton key={player.id} value={player.id} sx={{ px: 2, py: 1.5 }}>
+                    {player.name || 'Ohne Namen'}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+              <Button
+                variant="outlined"
+                startIcon={<SkipNextIcon />}
+                onClick={handleNaechster}
+                sx={{ py: 1.5, flexShrink: 0 }}
+              >
+                Nächster
+              </Button>
+            </Stack>
+
+            <Typography variant="h6" sx={{ mb: 1 }}>
+              {aktiv.name || 'Ohne Namen'}:{' '}
+              {calculatePlayerTotal(aktiv, config, kegelabend.spieler).toFixed(2)}
+              {config.waehrung}
+            </Typography>
+
+            {/* One big button per penalty */}
+            <Box
+              sx={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))',
+                gap: 1.5,
+                mb: 3,
+              }}
+            >
+              {config.strafen.map(strafe => (
+                <Button
+                  key={strafe.id}
+                  variant="contained"
+                  color={strafe.inverted ? 'success' : 'primary'}
+                  disabled={gesperrt}
+                  onClick={() => onUpdate(addEreignis(kegelabend, aktiv.id, strafe.id))}
+                  sx={{ py: 3, flexDirection: 'column', textTransform: 'none' }}
+                >
+                  <Typography variant="h6" component="span">
+                    +1 {strafe.label}
+                  </Typography>
+                  <Typography variant="caption" component="span">
+                    bisher {aktiv.strafen[strafe.id] || 0}
+                  </Typography>
+                </Button>
+              ))}
+            </Box>
+          </>
+        )}
+
+        {/* Events, latest first */}
+        <Typography variant="subtitle1" fontWeight="bold">
+          Erfasst ({ereignisse.length})
+        </Typography>
+        <Divider />
+        {ereignisse.length > 0 ? (
+          <List dense>
+            {ereignisse.map(ereignis => (
+              <ListItem
+                key={ereignis.id}
+                secondaryAction={
+                  live &&
+                  !gesperrt && (
+                    <IconButton
+                      edge="end"
+                      color="error"
+                      onClick={() => onUpdate(removeEreignis(kegelabend, ereignis.id))}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  )
+                }
+              >
+                <ListItemText
+                  primary={`${ereignis.label} – ${ereignis.name}`}
+                  secondary={
+                    ereignis.nachgetragen
+                      ? 'Aus der Tabelle übernommen'
+                      : new Date(ereignis.zeitpunkt).toLocaleTimeString('de-DE')
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography color="text.secondary" sx={{ py: 2 }}>
+            Noch nichts erfasst
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {live && !gesperrt && (
+          <Button color="warning" onClick={() => onUpdate(stopLive(kegelabend))}>
+            Live-Modus beenden
+          </Button>
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LiveDialog;
@@ -0,0 +1,310 @@
+/**
+ * MeisterschaftDialog.jsx - Championship standings (WM table) of a season
+ *
+ * This dialog sums the results of one game type (default: WM) over all
+ * evenings of a season (see saisonService) and shows a leaderboard with:
+ * - Rank and movement since the previous evening
+ * - Points, evenings played, evenings won and best evening
+ * - Players below the minimum attendance (listed last, without rank)
+ *
+ * The scoring settings are stored in `config.meisterschaft`.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings
+ * - saisons: Stored seasons
+ * - config: Configuration (game types, championship settings)
+ * - onSettingsChange: Callback with the updated championship settings
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  MenuItem,
+  Typography,
+  Stack,
+  Alert,
+  Divider,
+} from '@mui/material';
+
+// Icons
+import ArrowDropUpIcon from '@mui/icons-material/ArrowDropUp';
+import ArrowDropDownIcon from '@mui/icons-material/ArrowDropDown';
+
+// Config
+import { WERTUNGSARTEN, TIEBREAKER } from '../config/defaultConfig';
+
+// Standings
+import { calculateStandings } from '../services/standingsService';
+import { getSaisons, getSaisonAbende } from '../services/saisonService';
+
+/** Number of tie-breakers that can be chosen */
+const TIEBREAKER_STUFEN = 2;
+
+/**
+ * Shows the movement of a player since the previous evening
+ * @param {number|null} bewegung - Places gained (+) or lost (-)
+ */
+const Bewegung = ({ bewegung }) => {
+  if (bewegung === null) return <Typography variant="caption">neu</Typography>;
+  if (bewegung === 0) return <Typography variant="caption">–</Typography>;
+  const Icon = bewegung > 0 ? ArrowDropUpIcon : ArrowDropDownIcon;
+  return (
+    <Stack
+      direction="row"
+      alignItems="center"
+      justifyContent="center"
+      color={bewegung > 0 ? 'success.main' : 'error.main'}
+    >
+      <Icon fontSize="small" />
+      <Typography variant="caption">{Math.abs(bewegung)}</Typography>
+    </Stack>
+  );
+};
+
+/**
+ * Dialog component: Championship standings
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Array} saisons - Stored seasons
+ * @param {Object} config - Configuration (game types, championship settings)
+ * @param {Function} onSettingsChange - Callback with the updated settings
+ */
+const MeisterschaftDialog = ({ open, onClose, kegelabende, saisons, config, onSettingsChange }) => {
+  const settings = config.meisterschaft;
+
+  // ============================================
+  // STATE
+  // ============================================
+  const [saisonId, setSaisonId] = useState('');
+  // Text while the placement points are edited (null = not editing)
+  const [platzPunkteText, setPlatzPunkteText] = useState(null);
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  // Newest season first
+  const saisonListe = useMemo(() => getSaisons(saisons, kegelabende), [saisons, kegelabende]);
+  const saison =
+    saisonListe.find(s => s.id === saisonId) || saisonListe[saisonListe.length - 1] || null;
+
+  const standings = useMemo(() => {
+    const abende = saison ? getSaisonAbende(saisonListe, saison, kegelabende) : [];
+    return calculateStandings(abende, config);
+  }, [saisonListe, saison, kegelabende, config]);
+
+  const spielart = config.spielarten.find(spiel => spiel.id === settings.spielId);
+  const byPlatzierung = spielart?.ergebnisTyp === 'platz' || settings.wertung === 'platzierung';
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Updates one championship setting */
+  const handleSettingChange = (field, value) => {
+    onSettingsChange({ ...settings, [field]: value });
+  };
+
+  /** Stores the placement points, e.g. "10, 8, 6" */
+  const handlePlatzPunkteBlur = () => {
+    if (platzPunkteText !== null) {
+      const punkte = platzPunkteText
+        .split(/[\s,;]+/)
+        .map(value => parseFloat(value))
+        .filter(value => !Number.isNaN(value) && value >= 0);
+      handleSettingChange('platzPunkte', punkte);
+    }
+    setPlatzPunkteText(null);
+  };
+
+  /** Sets the tie-breaker of one level, empty removes it and all after it */
+  const handleTiebreakerChange = (stufe, id) => {
+    const tiebreaker = settings.tiebreaker.slice(0, stufe).filter(t => t !== id);
+    handleSettingChange('tiebreaker', id ? [...tiebreaker, id] : tiebreaker);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Meisterschaft</DialogTitle>
+      <DialogContent>
+        {/* Season and scoring settings */}
+        <Stack direction="row" spacing={2} sx={{ mb: 2, mt: 1 }} flexWrap="wrap" useFlexGap>
+          <TextField
+            select
+            label="Saison"
+            value={saison?.id || ''}
+            onChange={e => setSaisonId(e.target.value)}
+            size="small"
+            sx={{ minWidth: 160 }}
+            disabled={saisonListe.length === 0}
+          >
+            {[...saisonListe].reverse().map(s => (
+              <MenuItem key={s.id} value={s.id}>
+                {s.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Spielart"
+            value={spielart ? settings.spielId : ''}
+            onChange={e => handleSettingChange('spielId', e.target.value)}
+            size="small"
+            sx={{ minWidth: 120 }}
+          >
+            {config.spielarten.map(spiel => (
+              <MenuItem key={spiel.id} value={spiel.id}>
+                {spiel.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Wertung"
+            value={byPlatzierung ? 'platzierung' : settings.wertung}
+            onChange={e => handleSettingChange('wertung', e.target.value)}
+            size="small"
+            sx={{ minWidth: 210 }}
+            disabled={spielart?.ergebnisTyp === 'platz'}
+          >
+            {WERTUNGSARTEN.map(wertung => (
+              <MenuItem key={wertung.id} value={wertung.id}>
+                {wertung.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Mindestteilnahmen"
+            type="number"
+            value={settings.mindestAbende}
+            onChange={e =>
+              handleSettingChange('mindestAbende', Math.max(0, parseInt(e.target.value, 10) || 0))
+            }
+            size="small"
+            sx={{ width: 150 }}
+            inputProps={{ min: 0 }}
+          />
+        </Stack>
+        <Stack direction="row" spacing={2} sx={{ mb: 2 }} flexWrap="wrap" useFlexGap>
+          {byPlatzierung && (
+            <TextField
+              label="Punkte für Platz 1, 2, 3, ..."
+              value={platzPunkteText ?? settings.platzPunkte.join(', ')}
+              onChange={e => setPlatzPunkteText(e.target.value)}
+              onBlur={handlePlatzPunkteBlur}
+              size="small"
+              sx={{ minWidth: 220 }}
+            />
+          )}
+          {Array.from({ length: TIEBREAKER_STUFEN }, (_, stufe) => (
+            <TextField
+              key={stufe}
+              select
+              label={`${stufe + 1}. Tiebreaker`}
+              value={settings.tiebreaker[stufe] || ''}
+              onChange={e => handleTiebreakerChange(stufe, e.target.value)}
+              size="small"
+              sx={{ minWidth: 170 }}
+              disabled={stufe > settings.tiebreaker.length}
+            >
+              <MenuItem value="">
+                <em>Keiner</em>
+              </MenuItem>
+              {TIEBREAKER.filter(t => !settings.tiebreaker.slice(0, stufe).includes(t.id)).map(
+                t => (
+                  <MenuItem key={t.id} value={t.id}>
+                    {t.label}
+                  </MenuItem>
+                )
+              )}
+            </TextField>
+          ))}
+        </Stack>
+
+        <Divider sx={{ mb: 2 }} />
+
+        {!standings ? (
+          <Alert severity="warning">Bitte eine Spielart für die Meisterschaft wählen.</Alert>
+        ) : standings.tabelle.length === 0 ? (
+          <Typography color="text.secondary" textAlign="center">
+            Noch keine {spielart.label}-Ergebnisse in dieser Saison
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {standings.abende} {standings.abende === 1 ? 'Abend' : 'Abende'} gewertet, Bewegung
+              seit dem {new Date(standings.letzterAbend).toLocaleDateString('de-DE')}
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell align="center">Platz</TableCell>
+                    <TableCell align="center">+/-</TableCell>
+                    <TableCell>Name</TableCell>
+                    <TableCell align="right">Abende</TableCell>
+                    <TableCell align="right">Siege</TableCell>
+                    <TableCell align="right">Bester Abend</TableCell>
+                    <TableCell align="right">Schnitt</TableCell>
+                    <TableCell align="right">Punkte</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {standings.tabelle.map(row => (
+                    <TableRow
+                      key={row.key}
+                      hover
+                      sx={{ '& td': { color: row.gewertet ? undefined : 'text.disabled' } }}
+                    >
+                      <TableCell align="center">
+                        <strong>{row.rang ? `${row.rang}.` : '–'}</strong>
+                      </TableCell>
+                      <TableCell align="center">
+                        {row.gewertet && <Bewegung bewegung={row.bewegung} />}
+                      </TableCell>
+                      <TableCell>{row.name}</TableCell>
+                      <TableCell align="right">{row.abende}</TableCell>
+                      <TableCell align="right">{row.siege}</TableCell>
+                      <TableCell align="right">{row.bestwert}</TableCell>
+                      <TableCell align="right">{row.schnitt.toFixed(1)}</TableCell>
+                      <TableCell align="right">
+                        <strong>{row.punkte}</strong>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            {standings.tabelle.some(row => !row.gewertet) && (
+              <Typography variant="caption" color="text.secondary">
+                Grau: weniger als {settings.mindestAbende} Abende, noch nicht gewertet
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MeisterschaftDialog;
@@ -0,0 +1,299 @@
+/**
+ * MitgliederDialog.jsx - Player master data (Spieler-Stammdaten)
+ *
+ * Lists all members with nickname, contact, join date and the number of
+ * evenings they played. Members can be created, edited and set inactive:
+ * - Renaming a member updates the name in all evenings (see mitgliederService)
+ * - Inactive members stay in all evaluations, but are not offered when
+ *   adding players to an evening
+ * - Only members without evenings can be deleted
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - mitglieder: Player master data (member records)
+ * - kegelabende: All bowling evenings (for the number of evenings)
+ * - onSave: Callback with a new or changed member
+ * - onDelete: Callback with the id of the member to delete
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  Typography,
+  Stack,
+  Switch,
+  FormControlLabel,
+  IconButton,
+  Tooltip,
+  Chip,
+  Paper,
+  Box,
+} from '@mui/material';
+
+// Icons
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Config and master data
+import { createMitglied } from '../config/defaultConfig';
+import { validateMitglied, countMitgliedAbende } from '../services/mitgliederService';
+
+/**
+ * Dialog component: Player master data
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} mitglieder - Member records
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Function} onSave - Callback with a new or changed member
+ * @param {Function} onDelete - Callback with the id of the member to delete
+ */
+const MitgliederDialog = ({ open, onClose, mitglieder, kegelabende, onSave, onDelete }) => {
+  // Member being edited or created (null = form closed)
+  const [form, setForm] = useState(null);
+  const [inaktiveAnzeigen, setInaktiveAnzeigen] = useState(false);
+
+  // Start with a closed form every time the dialog opens
+  useEffect(() => {
+    if (open) setForm(null);
+  }, [open]);
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  const abendeProMitglied = useMemo(
+    () => new Map(mitglieder.map(m => [m.id, countMitgliedAbende(kegelabende, m.id)])),
+    [mitglieder, kegelabende]
+  );
+
+  const inaktivAnzahl = mitglieder.filter(m => !m.aktiv).length;
+  const sichtbar = mitglieder.filter(m => inaktiveAnzeigen || m.aktiv);
+
+  const fehler = useMemo(
+    () => (form ? validateMitglied(form, mitglieder) : []),
+    [form, mitglieder]
+  );
+  const umbenannt = form && mitglieder.find(m => m.id === form.id && m.name !== form.name.trim());
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Updates one field of the form */
+  const handleChange = (field, value) => setForm({ ...form, [field]: value });
+
+  /** Saves the form (trimmed) and closes it */
+  const handleSave = () => {
+    onSave({
+      ...form,
+      name: form.name.trim(),
+      spitzname: form.spitzname.trim(),
+      telefon: form.telefon.trim(),
+      email: form.email.trim(),
+    });
+    setForm(null);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Spieler-Stammdaten verwalten</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Aktive Spieler können schnell zu jedem Kegelabend hinzugefügt werden. Eine Namensänderung
+          wird in alle Kegelabende übernommen.
+        </Typography>
+
+        {/* New or edited member */}
+        {form ? (
+          <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap>
+              <TextField
+                label="Name"
+                value={form.name}
+                onChange={e => handleChange('name', e.target.value)}
+                size="small"
+                autoFocus
+                required
+              />
+              <TextField
+                label="Spitzname"
+                value={form.spitzname}
+                onChange={e => handleChange('spitzname', e.target.value)}
+                size="small"
+              />
+              <TextField
+                label="Telefon"
+                type="tel"
+                value={form.telefon}
+                onChange={e => handleChange('telefon', e.target.value)}
+                size="small"
+              />
+              <TextField
+                label="E-Mail"
+                type="email"
+                value={form.email}
+                onChange={e => handleChange('email', e.target.value)}
+                size="small"
+              />
+              <TextField
+                label="Eintritt"
+                type="date"
+                value={form.eintrittsdatum}
+                onChange={e => handleChange('eintrittsdatum', e.target.value)}
+                size="small"
+                InputLabelProps={{ shrink: true }}
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={form.aktiv}
+                    onChange={e => handleChange('aktiv', e.target.checked)}
+                  />
+                }
+                label="Aktiv"
+              />
+            </Stack>
+            {fehler.length > 0 && form.name && (
+              <Typography variant="caption" color="error" component="div" sx={{ mt: 1 }}>
+                {fehler.join(' · ')}
+              </Typography>
+            )}
+            {umbenannt && fehler.length === 0 && (
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+                „{umbenannt.name}“ wird in {abendeProMitglied.get(form.id)} Kegelabenden umbenannt.
+              </Typography>
+            )}
+            <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
+              <Button variant="contained" onClick={handleSave} disabled={fehler.length > 0}>
+                Speichern
+              </Button>
+              <Button onClick={() => setForm(null)}>Abbrechen</Button>
+            </Stack>
+          </Paper>
+        ) : (
+          <Stack direction="row" alignItems="center" sx={{ mb: 2 }}>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => setForm(createMitglied())}
+            >
+              Neuer Spieler
+            </Button>
+            <Box sx={{ flexGrow: 1 }} />
+            {inaktivAnzahl > 0 && (
+              <FormControlLabel
+                control={
+                  <Switch
+                    size="small"
+                    checked={inaktiveAnzeigen}
+                    onChange={e => setInaktiveAnzeigen(e.target.checked)}
+                  />
+                }
+                label={`Inaktive anzeigen (${inaktivAnzahl})`}
+              />
+            )}
+          </Stack>
+        )}
+
+        {/* List of members */}
+        {mitglieder.length > 0 ? (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Kontakt</TableCell>
+                  <TableCell>Eintritt</TableCell>
+                  <TableCell align="right">Abende</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sichtbar.map(mitglied => {
+                  const abende = abendeProMitglied.get(mitglied.id);
+                  return (
+                    <TableRow key={mitglied.id}>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {mitglied.name}
+                          {mitglied.spitzname && (
+                            <Typography component="span" variant="body2" color="text.secondary">
+                              {' '}
+                              „{mitglied.spitzname}“
+                            </Typography>
+                          )}
+                        </Typography>
+                        {!mitglied.aktiv && <Chip label="inaktiv" size="small" sx={{ mt: 0.5 }} />}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{mitglied.telefon}</Typography>
+                        <Typography variant="body2">{mitglied.email}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        {mitglied.eintrittsdatum
+                          ? new Date(mitglied.eintrittsdatum).toLocaleDateString('de-DE')
+                          : '–'}
+                      </TableCell>
+                      <TableCell align="right">{abende}</TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="Bearbeiten">
+                          <IconButton size="small" onClick={() => setForm(mitglied)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip
+                          title={
+                            abende > 0
+                              ? 'Spielt in Kegelabenden mit – stattdessen auf inaktiv setzen'
+                              : 'Löschen'
+                          }
+                        >
+                          {/* Span keeps the tooltip working on the disabled button */}
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => onDelete(mitglied.id)}
+                              disabled={abende > 0}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="text.secondary" textAlign="center">
+            Noch keine Spieler gespeichert
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MitgliederDialog;
@@ -0,0 +1,138 @@
+/**
+ * PreisHistorieDialog.jsx - Which prices applied from which date
+ *
+ * Every evening stores the prices it was played with (price snapshot).
+ * This dialog groups consecutive evenings with the same prices into periods
+ * and shows the entry fee, each penalty price and the money game stake.
+ * The first row shows the current prices that new evenings will get.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings
+ * - config: Current configuration (prices for new evenings)
+ */
+
+import React, { useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Typography,
+} from '@mui/material';
+
+// Calculations
+import { buildPreisHistorie } from '../services/calculationService';
+import { createPreisSnapshot } from '../config/defaultConfig';
+
+/**
+ * Dialog component: Price history
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Current configuration
+ */
+const PreisHistorieDialog = ({ open, onClose, kegelabende, config }) => {
+  const perioden = useMemo(() => buildPreisHistorie(kegelabende), [kegelabende]);
+
+  // Current prices first, then the periods (newest first)
+  const rows = useMemo(
+    () => [{ id: 'aktuell', aktuell: true, preise: createPreisSnapshot(config) }, ...perioden],
+    [perioden, config]
+  );
+
+  // One column per penalty that ever existed (matched by id, newest label wins)
+  const strafen = useMemo(() => {
+    const byId = new Map();
+    rows.forEach(row => {
+      row.preise.strafen.forEach(strafe => {
+        if (!byId.has(strafe.id)) byId.set(strafe.id, strafe);
+      });
+    });
+    return [...byId.values()];
+  }, [rows]);
+
+  const formatBetrag = value => `${value.toFixed(2)}${config.waehrung}`;
+  const formatDatum = datum => new Date(datum).toLocaleDateString('de-DE');
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Preishistorie</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Jeder Kegelabend wird mit den Preisen berechnet, die beim Anlegen galten. Preisänderungen
+          gelten nur für neue Abende.
+        </Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Zeitraum</TableCell>
+                <TableCell align="right">Abende</TableCell>
+                <TableCell align="right">Startgebühr</TableCell>
+                <TableCell align="right">Fehlgeld</TableCell>
+                {strafen.map(strafe => (
+                  <TableCell key={strafe.id} align="right">
+                    {strafe.label}
+                  </TableCell>
+                ))}
+                <TableCell align="right">GS-Einsatz</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map(row => (
+                <TableRow
+                  key={row.id || row.von}
+                  hover
+                  sx={row.aktuell ? { backgroundColor: 'action.selected' } : undefined}
+                >
+                  <TableCell>
+                    {row.aktuell ? (
+                      <strong>Aktuell (neue Abende)</strong>
+                    ) : row.von === row.bis ? (
+                      formatDatum(row.von)
+                    ) : (
+                      `${formatDatum(row.von)} – ${formatDatum(row.bis)}`
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{row.aktuell ? '' : row.abende}</TableCell>
+                  <TableCell align="right">{formatBetrag(row.preise.startgebuehr)}</TableCell>
+                  <TableCell align="right">{formatBetrag(row.preise.fehlgeld)}</TableCell>
+                  {strafen.map(strafe => {
+                    const preis = row.preise.strafen.find(s => s.id === strafe.id)?.preis;
+                    return (
+                      <TableCell key={strafe.id} align="right">
+                        {preis === undefined ? '–' : formatBetrag(preis)}
+                      </TableCell>
+                    );
+                  })}
+                  <TableCell align="right">
+                    {row.preise.geldspiel?.spielId
+                      ? formatBetrag(row.preise.geldspiel.einsatz)
+                      : '–'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PreisHistorieDialog;
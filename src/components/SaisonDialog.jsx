@@ -0,0 +1,456 @@
+/**
+ * SaisonDialog.jsx - Season summary, closing and season management
+ *
+ * Shows one season (see saisonService):
+ * - Number of evenings, takings, payments and open amount at the end
+ * - Attendance per member
+ * - Penalty champions (most penalties per penalty type)
+ * - Balances per member: carry-over from the previous season, this season's
+ *   total and payments, balance at the end
+ *
+ * "Saison abschließen" freezes the balances at the end of the season, they
+ * are carried into the next season. All evenings of the season must be closed.
+ * New seasons (e.g. "2025/26" from September to August) can be created here;
+ * years without a stored season are shown as calendar-year seasons.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings
+ * - saisons: Stored seasons
+ * - config: Configuration (penalties, prices)
+ * - saisonId: Season shown when the dialog opens
+ * - onSaisonsChange: Callback with the updated list of stored seasons
+ * - onSelectAbend: Callback with an evening id to display that evening
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TextField,
+  MenuItem,
+  Typography,
+  Stack,
+  Alert,
+  AlertTitle,
+  Chip,
+  Paper,
+  Divider,
+  Box,
+} from '@mui/material';
+
+// Icons
+import LockIcon from '@mui/icons-material/Lock';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Config and seasons
+import { createSaison } from '../config/defaultConfig';
+import {
+  getSaisons,
+  calculateSaisonUebersicht,
+  validateSaison,
+  validateSaisonAbschluss,
+  closeSaison,
+} from '../services/saisonService';
+
+/** Empty form for a new season */
+const EMPTY_FORM = { name: '', von: '', bis: '' };
+
+/**
+ * A key figure of the season
+ * @param {string} label - Caption
+ * @param {string|number} value - The value
+ */
+const Kennzahl = ({ label, value }) => (
+  <Paper variant="outlined" sx={{ p: 1.5, flex: 1, minWidth: 120, textAlign: 'center' }}>
+    <Typography variant="h6">{value}</Typography>
+    <Typography variant="caption" color="text.secondary">
+      {label}
+    </Typography>
+  </Paper>
+);
+
+/**
+ * Dialog component: Season summary
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Array} saisons - Stored seasons
+ * @param {Object} config - Configuration
+ * @param {string} saisonId - Season shown when the dialog opens
+ * @param {Function} onSaisonsChange - Callback with the updated stored seasons
+ * @param {Function} onSelectAbend - Callback to display an evening
+ */
+const SaisonDialog = ({
+  open,
+  onClose,
+  kegelabende,
+  saisons,
+  config,
+  saisonId,
+  onSaisonsChange,
+  onSelectAbend,
+}) => {
+  const [auswahl, setAuswahl] = useState(saisonId);
+  const [abschlussPruefen, setAbschlussPruefen] = useState(false);
+  const [form, setForm] = useState(null);
+
+  // Start with the requested season every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setAuswahl(saisonId);
+      setAbschlussPruefen(false);
+      setForm(null);
+    }
+  }, [open, saisonId]);
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  const saisonListe = useMemo(() => getSaisons(saisons, kegelabende), [saisons, kegelabende]);
+  const saison =
+    saisonListe.find(s => s.id === auswahl) || saisonListe[saisonListe.length - 1] || null;
+
+  const uebersicht = useMemo(
+    () => saison && calculateSaisonUebersicht(saisonListe, saison, kegelabende, config),
+    [saisonListe, saison, kegelabende, config]
+  );
+
+  const abschlussFehler = useMemo(
+    () => (saison ? validateSaisonAbschluss(saison, uebersicht, saisons) : []),
+    [saison, uebersicht, saisons]
+  );
+
+  const formFehler = useMemo(
+    () => (form ? validateSaison({ id: null, ...form }, saisons) : []),
+    [form, saisons]
+  );
+
+  const formatBetrag = value => `${value.toFixed(2)}${config.waehrung}`;
+  const formatDatum = datum => new Date(datum).toLocaleDateString('de-DE');
+  const offenAmEnde = uebersicht
+    ? uebersicht.salden.reduce((sum, entry) => sum + Math.max(entry.saldo, 0), 0)
+    : 0;
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Switches to another season */
+  const handleAuswahl = id => {
+    setAuswahl(id);
+    setAbschlussPruefen(false);
+  };
+
+  /** Closes the season and stores its end balances */
+  const handleAbschliessen = () => {
+    const geschlossen = closeSaison(saison, uebersicht);
+    onSaisonsChange([...saisons.filter(s => s.id !== saison.id), geschlossen]);
+    setAuswahl(geschlossen.id);
+    setAbschlussPruefen(false);
+  };
+
+  /** Stores a new season */
+  const handleCreate = () => {
+    const neu = createSaison(form.name.trim(), form.von, form.bis);
+    onSaisonsChange([...saisons, neu]);
+    setAuswahl(neu.id);
+    setForm(null);
+  };
+
+  /** Deletes a stored season that is not closed (its evenings fall back to calendar years) */
+  const handleDelete = () => {
+    onSaisonsChange(saisons.filter(s => s.id !== saison.id));
+    setAuswahl(null);
+  };
+
+  /** Jumps to an evening and closes the dialog */
+  const handleSelectAbend = abendId => {
+    onSelectAbend?.(abendId);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Saison-Übersicht</DialogTitle>
+      <DialogContent>
+        {/* Season selection */}
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            select
+            label="Saison"
+            value={saison?.id || ''}
+            onChange={e => handleAuswahl(e.target.value)}
+            size="small"
+            sx={{ minWidth: 220 }}
+            disabled={saisonListe.length === 0}
+          >
+            {[...saisonListe].reverse().map(s => (
+              <MenuItem key={s.id} value={s.id}>
+                {s.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          {saison && (
+            <Typography variant="body2" color="text.secondary">
+              {formatDatum(saison.von)} – {formatDatum(saison.bis)}
+            </Typography>
+          )}
+          {saison?.abgeschlossenAm && (
+            <Chip
+              icon={<LockIcon />}
+              label={`Abgeschlossen am ${formatDatum(saison.abgeschlossenAm)}`}
+              color="success"
+              size="small"
+            />
+          )}
+          <Box sx={{ flexGrow: 1 }} />
+          {saison && !saison.automatisch && !saison.abgeschlossenAm && (
+            <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleDelete}>
+              Saison löschen
+            </Button>
+          )}
+        </Stack>
+
+        {!saison ? (
+          <Typography color="text.secondary" sx={{ mb: 2 }}>
+            Noch keine Kegelabende vorhanden.
+          </Typography>
+        ) : (
+          <>
+            {uebersicht.geaendertSeitAbschluss && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Abende dieser Saison wurden nach dem Abschluss geändert. Der Übertrag in die nächste
+                Saison verwendet weiter die Salden vom Abschluss.
+              </Alert>
+            )}
+
+            {/* Key figures */}
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }} flexWrap="wrap" useFlexGap>
+              <Kennzahl label="Kegelabende" value={uebersicht.abende.length} />
+              <Kennzahl label="Einnahmen (Soll)" value={formatBetrag(uebersicht.einnahmen)} />
+              <Kennzahl label="Bezahlt" value={formatBetrag(uebersicht.bezahlt)} />
+              <Kennzahl label="Offen am Saisonende" value={formatBetrag(offenAmEnde)} />
+            </Stack>
+
+            {/* Penalty champions */}
+            <Typography variant="subtitle2" gutterBottom>
+              Strafenkönige
+            </Typography>
+            {uebersicht.strafenKoenige.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Keine Strafen in dieser Saison
+              </Typography>
+            ) : (
+              <Stack direction="row" spacing={1} sx={{ mb: 2 }} flexWrap="wrap" useFlexGap>
+                {uebersicht.strafenKoenige.map(koenig => (
+                  <Chip
+                    key={koenig.strafe.id}
+                    variant="outlined"
+                    label={`${koenig.strafe.label}: ${koenig.namen.join(', ')} (${koenig.anzahl}×)`}
+                  />
+                ))}
+              </Stack>
+            )}
+
+            <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} sx={{ mb: 2 }}>
+              {/* Attendance */}
+              <Box sx={{ flex: 1 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Anwesenheit
+                </Typography>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell align="right">Abende</TableCell>
+                        <TableCell align="right">Quote</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {uebersicht.anwesenheit.map(entry => (
+                        <TableRow key={entry.key}>
+                          <TableCell>{entry.name}</TableCell>
+                          <TableCell align="right">
+                            {entry.abende} / {uebersicht.abende.length}
+                          </TableCell>
+                          <TableCell align="right">{Math.round(entry.quote * 100)}%</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+
+              {/* Balances with carry-over */}
+              <Box sx={{ flex: 1.5 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Salden
+                </Typography>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell align="right">Übertrag</TableCell>
+                        <TableCell align="right">Soll</TableCell>
+                        <TableCell align="right">Bezahlt</TableCell>
+                        <TableCell align="right">Saldo</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {uebersicht.salden.map(entry => (
+                        <TableRow key={entry.key}>
+                          <TableCell>{entry.name}</TableCell>
+                          <TableCell align="right">
+                            {entry.uebertrag ? formatBetrag(entry.uebertrag) : '–'}
+                          </TableCell>
+                          <TableCell align="right">{formatBetrag(entry.soll)}</TableCell>
+                          <TableCell align="right">{formatBetrag(entry.bezahlt)}</TableCell>
+                          <TableCell
+                            align="right"
+                            sx={{
+                              fontWeight: 'bold',
+                              color:
+                                entry.saldo > 0.005
+                                  ? 'error.main'
+                                  : entry.saldo < -0.005
+                                  ? 'success.main'
+                                  : undefined,
+                            }}
+                          >
+                            {Math.abs(entry.saldo) < 0.005 ? '–' : formatBetrag(entry.saldo)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+                <Typography variant="caption" color="text.secondary">
+                  Positiver Saldo: schuldet noch, negativer Saldo: Guthaben
+                </Typography>
+              </Box>
+            </Stack>
+
+            {/* Evenings of the season */}
+            <Typography variant="subtitle2" gutterBottom>
+              Kegelabende
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }} flexWrap="wrap" useFlexGap>
+              {uebersicht.abende.map(abend => (
+                <Chip
+                  key={abend.id}
+                  size="small"
+                  icon={abend.abgeschlossen ? <LockIcon /> : undefined}
+                  label={formatDatum(abend.datum)}
+                  onClick={() => handleSelectAbend(abend.id)}
+                />
+              ))}
+            </Stack>
+
+            {/* Closing the season */}
+            {abschlussPruefen && (
+              <Alert severity={abschlussFehler.length > 0 ? 'error' : 'info'} sx={{ mb: 2 }}>
+                {abschlussFehler.length > 0 ? (
+                  <>
+                    <AlertTitle>Die Saison kann noch nicht abgeschlossen werden</AlertTitle>
+                    {abschlussFehler.map(text => (
+                      <div key={text}>{text}</div>
+                    ))}
+                  </>
+                ) : (
+                  <>
+                    <AlertTitle>{saison.name} abschließen?</AlertTitle>
+                    Die Salden am Saisonende werden festgeschrieben und als Übertrag in die nächste
+                    Saison übernommen (offen: {formatBetrag(offenAmEnde)}).
+                  </>
+                )}
+              </Alert>
+            )}
+          </>
+        )}
+
+        {/* New season */}
+        <Divider sx={{ mb: 2 }} />
+        {form ? (
+          <>
+            <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap>
+              <TextField
+                label="Name"
+                placeholder="z.B. Saison 2025/26"
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+                size="small"
+                autoFocus
+              />
+              <TextField
+                label="Beginn"
+                type="date"
+                value={form.von}
+                onChange={e => setForm({ ...form, von: e.target.value })}
+                size="small"
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                label="Ende"
+                type="date"
+                value={form.bis}
+                onChange={e => setForm({ ...form, bis: e.target.value })}
+                size="small"
+                InputLabelProps={{ shrink: true }}
+              />
+              <Button variant="contained" onClick={handleCreate} disabled={formFehler.length > 0}>
+                Anlegen
+              </Button>
+              <Button onClick={() => setForm(null)}>Abbrechen</Button>
+            </Stack>
+            {formFehler.length > 0 && (form.name || form.von || form.bis) && (
+              <Typography variant="caption" color="error">
+                {formFehler.join(' · ')}
+              </Typography>
+            )}
+          </>
+        ) : (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => setForm(EMPTY_FORM)}>
+            Saison anlegen
+          </Button>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+        {saison && !saison.abgeschlossenAm && !abschlussPruefen && (
+          <Button
+            variant="outlined"
+            startIcon={<LockIcon />}
+            onClick={() => setAbschlussPruefen(true)}
+          >
+            Saison abschließen
+          </Button>
+        )}
+        {abschlussPruefen && abschlussFehler.length === 0 && (
+          <Button variant="contained" startIcon={<LockIcon />} onClick={handleAbschliessen}>
+            Abschließen
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SaisonDialog;
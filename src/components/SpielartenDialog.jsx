@@ -0,0 +1,237 @@
+/**
+ * SpielartenDialog.jsx - Settings dialog for game types (Spielarten)
+ *
+ * Game types are the result columns of the table (e.g. WM, GS).
+ * In this dialog they can be:
+ * - Added (name, description, result type)
+ * - Edited (name, description, result type)
+ * - Reordered (determines the column order in the table)
+ * - Deleted (results already entered stay stored on the evenings)
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - spielarten: The configured game types
+ * - onChange: Callback with the updated list of game types
+ */
+
+import React, { useState } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  MenuItem,
+  IconButton,
+  Typography,
+  Stack,
+  Divider,
+  Box,
+} from '@mui/material';
+
+// Icons
+import DeleteIcon from '@mui/icons-material/Delete';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+
+// Config
+import { ERGEBNIS_TYPEN } from '../config/defaultConfig';
+
+const EMPTY_SPIELART = { label: '', description: '', ergebnisTyp: 'punkte' };
+
+/**
+ * Dialog component: Configure game types
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} spielarten - The configured game types
+ * @param {Function} onChange - Callback with the updated game types
+ */
+const SpielartenDialog = ({ open, onClose, spielarten, onChange }) => {
+  // New game type form
+  const [newSpielart, setNewSpielart] = useState(EMPTY_SPIELART);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Updates one field of a game type */
+  const handleFieldChange = (spielId, field, value) => {
+    onChange(spielarten.map(s => (s.id === spielId ? { ...s, [field]: value } : s)));
+  };
+
+  /** Moves a game type one position up (-1) or down (+1) */
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= spielarten.length) return;
+    const updated = [...spielarten];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    onChange(updated);
+  };
+
+  /** Removes a game type */
+  const handleRemove = spielId => {
+    onChange(spielarten.filter(s => s.id !== spielId));
+  };
+
+  /** Adds a new game type, the id is derived from the name */
+  const handleAdd = () => {
+    const label = newSpielart.label.trim();
+    if (!label) return;
+
+    const id = label
+      .toLowerCase()
+      .replace(/\s+/g, '_')
+      .replace(/[^a-z0-9_]/g, '');
+
+    // Check if ID already exists
+    if (!id || spielarten.some(s => s.id === id)) {
+      setError('Spielart existiert bereits!');
+      return;
+    }
+
+    onChange([...spielarten, { ...newSpielart, label, id }]);
+    setNewSpielart(EMPTY_SPIELART);
+    setError('');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Spielarten konfigurieren</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Jede Spielart ist eine Spalte in der Tabelle. Der Ergebnistyp bestimmt die Eingabe.
+        </Typography>
+
+        {/* Existing game types */}
+        <Table size="small">
+          <TableBody>
+            {spielarten.map((spiel, index) => (
+              <TableRow key={spiel.id}>
+                <TableCell sx={{ width: 80 }}>
+                  <IconButton
+                    size="small"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                  >
+                    <ArrowUpwardIcon fontSize="small" />
+                  </IconButton>
+                  <IconButton
+                    size="small"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === spielarten.length - 1}
+                  >
+                    <ArrowDownwardIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    label="Name"
+                    value={spiel.label}
+                    onChange={e => handleFieldChange(spiel.id, 'label', e.target.value)}
+                    size="small"
+                    sx={{ width: 100 }}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    label="Beschreibung"
+                    value={spiel.description}
+                    onChange={e => handleFieldChange(spiel.id, 'description', e.target.value)}
+                    size="small"
+                    fullWidth
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    select
+                    label="Ergebnis"
+                    value={spiel.ergebnisTyp || 'punkte'}
+                    onChange={e => handleFieldChange(spiel.id, 'ergebnisTyp', e.target.value)}
+                    size="small"
+                    sx={{ minWidth: 170 }}
+                  >
+                    {ERGEBNIS_TYPEN.map(typ => (
+                      <MenuItem key={typ.id} value={typ.id}>
+                        {typ.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </TableCell>
+                <TableCell align="right">
+                  <IconButton size="small" color="error" onClick={() => handleRemove(spiel.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        {/* Add new game type form */}
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>
+          Neue Spielart hinzufügen
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+          <Stack direction="row" spacing={1}>
+            <TextField
+              label="Name"
+              value={newSpielart.label}
+              onChange={e => setNewSpielart({ ...newSpielart, label: e.target.value })}
+              size="small"
+              sx={{ width: 120 }}
+              error={Boolean(error)}
+              helperText={error}
+            />
+            <TextField
+              label="Beschreibung"
+              value={newSpielart.description}
+              onChange={e => setNewSpielart({ ...newSpielart, description: e.target.value })}
+              size="small"
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              select
+              label="Ergebnis"
+              value={newSpielart.ergebnisTyp}
+              onChange={e => setNewSpielart({ ...newSpielart, ergebnisTyp: e.target.value })}
+              size="small"
+              sx={{ minWidth: 170 }}
+            >
+              {ERGEBNIS_TYPEN.map(typ => (
+                <MenuItem key={typ.id} value={typ.id}>
+                  {typ.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+          <Stack direction="row" justifyContent="flex-end">
+            <Button
+              variant="contained"
+              size="small"
+              onClick={handleAdd}
+              disabled={!newSpielart.label.trim()}
+            >
+              Hinzufügen
+            </Button>
+          </Stack>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SpielartenDialog;
@@ -0,0 +1,235 @@
+/**
+ * StatistikDialog.jsx - Statistics across all bowling evenings
+ *
+ * This dialog shows one row per player with:
+ * - Evenings attended
+ * - Count per penalty (one column per configured Strafe)
+ * - Best result per game type (points, placement or number of wins)
+ * - Total amount, money paid and averages per evening
+ *
+ * All columns are sortable and the evenings can be filtered by date range.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings
+ * - config: Configuration (penalties, game types)
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TableSortLabel,
+  TextField,
+  Typography,
+  Stack,
+} from '@mui/material';
+
+// Statistics
+import { filterAbendeByDate, calculatePlayerStatistics } from '../services/statisticsService';
+import { getAuswertungConfig } from '../services/calculationService';
+
+/**
+ * Dialog component: Statistics dashboard
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (penalties, game types)
+ */
+const StatistikDialog = ({ open, onClose, kegelabende, config }) => {
+  // ============================================
+  // STATE
+  // ============================================
+  const [von, setVon] = useState('');
+  const [bis, setBis] = useState('');
+  const [sortBy, setSortBy] = useState({ column: 'summe', direction: 'desc' });
+
+  const abende = useMemo(() => filterAbendeByDate(kegelabende, von, bis), [kegelabende, von, bis]);
+
+  // Penalties and game types of these evenings, also those deleted since
+  const auswertung = useMemo(() => getAuswertungConfig(abende, config), [abende, config]);
+
+  // ============================================
+  // COLUMNS
+  // ============================================
+
+  /**
+   * Column definitions
+   * Each column has an id, a label and a getter for the (sortable) value.
+   * `money` columns are formatted with currency, `average` with one decimal.
+   */
+  const columns = useMemo(
+    () => [
+      { id: 'abende', label: 'Abende', getValue: s => s.abende },
+      ...auswertung.strafen.map(strafe => ({
+        id: `strafe_${strafe.id}`,
+        label: strafe.label,
+        getValue: s => s.strafen[strafe.id] || 0,
+      })),
+      { id: 'strafenSchnitt', label: 'Ø Strafen', getValue: s => s.strafenSchnitt, average: true },
+      ...auswertung.spielarten.map(spiel => ({
+        id: `spiel_${spiel.id}`,
+        label:
+          {
+            platz: `Beste Platz. ${spiel.label}`,
+            sieg: `Siege ${spiel.label}`,
+          }[spiel.ergebnisTyp] || `Bestes ${spiel.label}`,
+        getValue: s => s.bestErgebnisse[spiel.id] ?? null,
+      })),
+      { id: 'summe', label: 'Summe', getValue: s => s.summe, money: true },
+      { id: 'summeSchnitt', label: 'Ø Summe', getValue: s => s.summeSchnitt, money: true },
+      { id: 'bezahlt', label: 'Bezahlt', getValue: s => s.bezahlt, money: true },
+    ],
+    [auswertung]
+  );
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  const statistics = useMemo(() => calculatePlayerStatistics(abende, config), [abende, config]);
+
+  const sortedStatistics = useMemo(() => {
+    const factor = sortBy.direction === 'asc' ? 1 : -1;
+    if (sortBy.column === 'name') {
+      return [...statistics].sort((a, b) => factor * a.name.localeCompare(b.name));
+    }
+    const column = columns.find(c => c.id === sortBy.column);
+    if (!column) return statistics;
+    // Missing values (e.g. no game result) always go last
+    return [...statistics].sort((a, b) => {
+      const valueA = column.getValue(a);
+      const valueB = column.getValue(b);
+      if (valueA === null && valueB === null) return a.name.localeCompare(b.name);
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+      return factor * (valueA - valueB) || a.name.localeCompare(b.name);
+    });
+  }, [statistics, columns, sortBy]);
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Sorts by a column, clicking again toggles the direction */
+  const handleSort = columnId => {
+    setSortBy(prev => ({
+      column: columnId,
+      direction: prev.column === columnId && prev.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  /** Formats a cell value depending on the column type */
+  const formatValue = (column, value) => {
+    if (value === null) return '–';
+    if (column.money) return `${value.toFixed(2)}${config.waehrung}`;
+    if (column.average) return value.toFixed(1);
+    return value;
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Statistiken</DialogTitle>
+      <DialogContent>
+        {/* Date range filter */}
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2, mt: 1 }}>
+          <TextField
+            type="date"
+            label="Von"
+            value={von}
+            onChange={e => setVon(e.target.value)}
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            type="date"
+            label="Bis"
+            value={bis}
+            onChange={e => setBis(e.target.value)}
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button
+            onClick={() => {
+              setVon('');
+              setBis('');
+            }}
+            disabled={!von && !bis}
+          >
+            Zurücksetzen
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            {abende.length} {abende.length === 1 ? 'Kegelabend' : 'Kegelabende'}
+          </Typography>
+        </Stack>
+
+        {sortedStatistics.length > 0 ? (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>
+                    <TableSortLabel
+                      active={sortBy.column === 'name'}
+                      direction={sortBy.column === 'name' ? sortBy.direction : 'asc'}
+                      onClick={() => handleSort('name')}
+                    >
+                      Name
+                    </TableSortLabel>
+                  </TableCell>
+                  {columns.map(column => (
+                    <TableCell key={column.id} align="right">
+                      <TableSortLabel
+                        active={sortBy.column === column.id}
+                        direction={sortBy.column === column.id ? sortBy.direction : 'desc'}
+                        onClick={() => handleSort(column.id)}
+                      >
+                        {column.label}
+                      </TableSortLabel>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sortedStatistics.map(entry => (
+                  <TableRow key={entry.key} hover>
+                    <TableCell>
+                      <strong>{entry.name}</strong>
+                    </TableCell>
+                    {columns.map(column => (
+                      <TableCell key={column.id} align="right">
+                        {formatValue(column, column.getValue(entry))}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        ) : (
+          <Typography color="text.secondary" textAlign="center">
+            Keine Kegelabende im gewählten Zeitraum
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default StatistikDialog;
@@ -0,0 +1,201 @@
+/**
+ * TrendDialog.jsx - Trend charts across all bowling evenings
+ *
+ * This dialog draws time series as SVG line charts:
+ * - Amount per evening per player
+ * - Count of one penalty per evening (e.g. Kalle rate)
+ * - Results of one game type per evening (e.g. WM)
+ *
+ * Players, penalty and game type are selectable, and the evenings can be
+ * filtered by date range like in the statistics dialog.
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings
+ * - config: Configuration (penalties, game types)
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Stack,
+  Chip,
+  Typography,
+  Divider,
+} from '@mui/material';
+
+// Chart and statistics
+import LineChart from './LineChart';
+import {
+  TREND_METRIKEN,
+  filterAbendeByDate,
+  buildTrendSeries,
+  collectPlayers,
+  getNumericSpielarten,
+} from '../services/statisticsService';
+
+/**
+ * Dialog component: Trend charts
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (penalties, game types)
+ */
+const TrendDialog = ({ open, onClose, kegelabende, config }) => {
+  // ============================================
+  // STATE
+  // ============================================
+  const [metrik, setMetrik] = useState('summe');
+  const [strafeId, setStrafeId] = useState(config.strafen[0]?.id || '');
+  const [spielId, setSpielId] = useState(getNumericSpielarten(config)[0]?.id || '');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [von, setVon] = useState('');
+  const [bis, setBis] = useState('');
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  const abende = useMemo(() => filterAbendeByDate(kegelabende, von, bis), [kegelabende, von, bis]);
+
+  const allPlayers = useMemo(() => collectPlayers(abende), [abende]);
+
+  // Without a selection, all players are shown
+  const spieler = useMemo(
+    () =>
+      selectedKeys.length > 0
+        ? allPlayers.filter(player => selectedKeys.includes(player.key))
+        : allPlayers,
+    [selectedKeys, allPlayers]
+  );
+
+  const chartData = useMemo(
+    () => buildTrendSeries(abende, config, { metrik, strafeId, spielId, spieler }),
+    [abende, config, metrik, strafeId, spielId, spieler]
+  );
+
+  /** Money is shown with currency, counts and results as they are */
+  const formatValue = value =>
+    metrik === 'summe' ? `${value.toFixed(2)}${config.waehrung}` : value;
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Adds or removes a player from the chart */
+  const togglePlayer = key => {
+    setSelectedKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Trends</DialogTitle>
+      <DialogContent>
+        {/* What to show */}
+        <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            select
+            label="Anzeige"
+            value={metrik}
+            onChange={e => setMetrik(e.target.value)}
+            size="small"
+            sx={{ minWidth: 200 }}
+          >
+            {TREND_METRIKEN.map(m => (
+              <MenuItem key={m.id} value={m.id}>
+                {m.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          {metrik === 'strafe' && (
+            <TextField
+              select
+              label="Strafe"
+              value={strafeId}
+              onChange={e => setStrafeId(e.target.value)}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              {config.strafen.map(strafe => (
+                <MenuItem key={strafe.id} value={strafe.id}>
+                  {strafe.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          {metrik === 'spiel' && (
+            <TextField
+              select
+              label="Spielart"
+              value={spielId}
+              onChange={e => setSpielId(e.target.value)}
+              size="small"
+              sx={{ minWidth: 160 }}
+            >
+              {getNumericSpielarten(config).map(spiel => (
+                <MenuItem key={spiel.id} value={spiel.id}>
+                  {spiel.label} ({spiel.description})
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          <TextField
+            type="date"
+            label="Von"
+            value={von}
+            onChange={e => setVon(e.target.value)}
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            type="date"
+            label="Bis"
+            value={bis}
+            onChange={e => setBis(e.target.value)}
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+        </Stack>
+
+        {/* Player selection */}
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>
+          Spieler {selectedKeys.length === 0 && '(alle)'}
+        </Typography>
+        <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap sx={{ mb: 2 }}>
+          {allPlayers.map(player => (
+            <Chip
+              key={player.key}
+              label={player.name}
+              size="small"
+              color={selectedKeys.includes(player.key) ? 'primary' : 'default'}
+              variant={selectedKeys.includes(player.key) ? 'filled' : 'outlined'}
+              onClick={() => togglePlayer(player.key)}
+            />
+          ))}
+          {selectedKeys.length > 0 && (
+            <Chip label="Alle anzeigen" size="small" onClick={() => setSelectedKeys([])} />
+          )}
+        </Stack>
+
+        <Divider sx={{ mb: 2 }} />
+
+        <LineChart labels={chartData.labels} series={chartData.series} formatValue={formatValue} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TrendDialog;
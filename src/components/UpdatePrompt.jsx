@@ -0,0 +1,82 @@
+/**
+ * UpdatePrompt.jsx - Service worker registration and update notice
+ *
+ * The service worker (vite-plugin-pwa) precaches the app, so it starts
+ * without network at the bowling alley. This component:
+ * - Registers the service worker
+ * - Shows once that the app is ready for offline use
+ * - Shows "Neue Version verfügbar" when a new build was deployed;
+ *   the new version is only activated when the user confirms, so an
+ *   evening is never reloaded in the middle of entering results
+ *
+ * Props: none
+ */
+
+import React from 'react';
+
+// Material-UI components
+import { Snackbar, Alert, Button } from '@mui/material';
+
+// Service worker registration (generated by vite-plugin-pwa)
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+/** How often an open app looks for a new version (the tablet stays open all evening) */
+const UPDATE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Component: Service worker update notice
+ */
+const UpdatePrompt = () => {
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW: (swUrl, registration) => {
+      if (!registration) return;
+      setInterval(() => {
+        // Only check when online, the bowling alley often has no reception
+        if (navigator.onLine) registration.update();
+      }, UPDATE_INTERVAL_MS);
+    },
+    onRegisterError: error => console.error('Service worker registration failed:', error),
+  });
+
+  const handleClose = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <Snackbar
+      open={offlineReady || needRefresh}
+      autoHideDuration={needRefresh ? null : 4000}
+      onClose={(e, reason) => reason !== 'clickaway' && handleClose()}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+    >
+      {needRefresh ? (
+        <Alert
+          severity="info"
+          action={
+            <>
+              <Button color="inherit" size="small" onClick={() => updateServiceWorker(true)}>
+                Aktualisieren
+              </Button>
+              <Button color="inherit" size="small" onClick={handleClose}>
+                Später
+              </Button>
+            </>
+          }
+        >
+          Neue Version verfügbar
+        </Alert>
+      ) : (
+        <Alert severity="success" onClose={handleClose}>
+          Kegelbuch ist jetzt offline verfügbar
+        </Alert>
+      )}
+    </Snackbar>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,300 @@
+/**
+ * VereinskasseDialog.jsx - Club treasury ledger (Vereinskasse)
+ *
+ * This dialog shows:
+ * - The current cash balance
+ * - A form for manual bookings (Bahnmiete, Kegeltour deposit, wreath, ...)
+ * - Income and expenses per month
+ * - All movements, including the automatic evening takings
+ *
+ * Props:
+ * - open: Whether the dialog is visible
+ * - onClose: Callback to close the dialog
+ * - kegelabende: All bowling evenings (source of the automatic takings)
+ * - buchungen: Manual bookings
+ * - config: Configuration (currency)
+ * - onAddBuchung: Callback with a new booking
+ * - onRemoveBuchung: Callback with the id of a booking to delete
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// Material-UI components
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  MenuItem,
+  IconButton,
+  InputAdornment,
+  Typography,
+  Stack,
+  Divider,
+  Paper,
+} from '@mui/material';
+
+// Icons
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Config and calculations
+import { BUCHUNGS_KATEGORIEN, createEmptyBuchung } from '../config/defaultConfig';
+import { calculateKassenbuch, groupKassenbuchByMonth } from '../services/calculationService';
+
+/** Categories that can be booked manually (evening takings are automatic) */
+const MANUAL_KATEGORIEN = BUCHUNGS_KATEGORIEN.filter(k => k.id !== 'kegelabend');
+
+/** Returns the label of a category id */
+const getKategorieLabel = kategorieId =>
+  BUCHUNGS_KATEGORIEN.find(k => k.id === kategorieId)?.label || kategorieId;
+
+/** Formats 'YYYY-MM' as German month name, e.g. "Dezember 2025" */
+const formatMonat = monat =>
+  new Date(`${monat}-01`).toLocaleDateString('de-DE', { month: 'long', year: 'numeric' });
+
+/**
+ * Dialog component: Club treasury ledger
+ *
+ * @param {boolean} open - Whether the dialog is visible
+ * @param {Function} onClose - Callback to close the dialog
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Array} buchungen - Manual bookings
+ * @param {Object} config - Configuration (currency)
+ * @param {Function} onAddBuchung - Callback to add a booking
+ * @param {Function} onRemoveBuchung - Callback to delete a booking
+ */
+const VereinskasseDialog = ({
+  open,
+  onClose,
+  kegelabende,
+  buchungen,
+  config,
+  onAddBuchung,
+  onRemoveBuchung,
+}) => {
+  // New booking form
+  const [newBuchung, setNewBuchung] = useState(createEmptyBuchung);
+
+  // ============================================
+  // CALCULATIONS (memoized for performance)
+  // ============================================
+
+  const kassenbuch = useMemo(
+    () => calculateKassenbuch(kegelabende, buchungen),
+    [kegelabende, buchungen]
+  );
+
+  const monate = useMemo(() => groupKassenbuchByMonth(kassenbuch), [kassenbuch]);
+
+  const kassenstand = kassenbuch.length > 0 ? kassenbuch[kassenbuch.length - 1].kassenstand : 0;
+
+  // ============================================
+  // EVENT HANDLERS
+  // ============================================
+
+  /** Selecting a category also sets its usual direction (income/expense) */
+  const handleKategorieChange = kategorieId => {
+    const kategorie = BUCHUNGS_KATEGORIEN.find(k => k.id === kategorieId);
+    setNewBuchung({ ...newBuchung, kategorie: kategorieId, typ: kategorie.typ });
+  };
+
+  /** Saves the booking and resets the form */
+  const handleAddBuchung = () => {
+    if (!newBuchung.betrag) return;
+    onAddBuchung({ ...newBuchung, beschreibung: newBuchung.beschreibung.trim() });
+    setNewBuchung(createEmptyBuchung());
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Vereinskasse</DialogTitle>
+      <DialogContent>
+        {/* Current balance */}
+        <Paper variant="outlined" sx={{ p: 2, mb: 2, textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            Aktueller Kassenstand
+          </Typography>
+          <Typography
+            variant="h4"
+            fontWeight="bold"
+            color={kassenstand < 0 ? 'error.main' : 'success.main'}
+          >
+            {kassenstand.toFixed(2)}
+            {config.waehrung}
+          </Typography>
+        </Paper>
+
+        {/* New booking form */}
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>Neue Buchung</Typography>
+        <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap alignItems="center">
+          <TextField
+            type="date"
+            label="Datum"
+            value={newBuchung.datum}
+            onChange={e => setNewBuchung({ ...newBuchung, datum: e.target.value })}
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            select
+            label="Kategorie"
+            value={newBuchung.kategorie}
+            onChange={e => handleKategorieChange(e.target.value)}
+            size="small"
+            sx={{ minWidth: 170 }}
+          >
+            {MANUAL_KATEGORIEN.map(kategorie => (
+              <MenuItem key={kategorie.id} value={kategorie.id}>
+                {kategorie.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Art"
+            value={newBuchung.typ}
+            onChange={e => setNewBuchung({ ...newBuchung, typ: e.target.value })}
+            size="small"
+            sx={{ minWidth: 120 }}
+          >
+            <MenuItem value="einnahme">Einnahme</MenuItem>
+            <MenuItem value="ausgabe">Ausgabe</MenuItem>
+          </TextField>
+          <TextField
+            label="Betrag"
+            type="number"
+            value={newBuchung.betrag || ''}
+            onChange={e => setNewBuchung({ ...newBuchung, betrag: parseFloat(e.target.value) || 0 })}
+            size="small"
+            sx={{ width: 120 }}
+            InputProps={{
+              endAdornment: <InputAdornment position="end">{config.waehrung}</InputAdornment>,
+            }}
+            inputProps={{ min: 0, step: 0.5 }}
+          />
+          <TextField
+            label="Beschreibung"
+            value={newBuchung.beschreibung}
+            onChange={e => setNewBuchung({ ...newBuchung, beschreibung: e.target.value })}
+            onKeyPress={e => e.key === 'Enter' && handleAddBuchung()}
+            size="small"
+            sx={{ flex: 1, minWidth: 160 }}
+          />
+          <Button variant="contained" onClick={handleAddBuchung} disabled={!newBuchung.betrag}>
+            Buchen
+          </Button>
+        </Stack>
+
+        <Divider sx={{ my: 2 }} />
+
+        {/* Movements per month */}
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>Bewegungen pro Monat</Typography>
+        {monate.length > 0 ? (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Monat</TableCell>
+                <TableCell align="right">Einnahmen</TableCell>
+                <TableCell align="right">Ausgaben</TableCell>
+                <TableCell align="right">Saldo</TableCell>
+                <TableCell align="right">Kassenstand</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {monate.map(monat => (
+                <TableRow key={monat.monat}>
+                  <TableCell>{formatMonat(monat.monat)}</TableCell>
+                  <TableCell align="right" sx={{ color: 'success.main' }}>
+                    {monat.einnahmen.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                  <TableCell align="right" sx={{ color: 'error.main' }}>
+                    {monat.ausgaben.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                  <TableCell align="right">
+                    {monat.saldo.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                    {monat.kassenstand.toFixed(2)}
+                    {config.waehrung}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <Typography color="text.secondary" textAlign="center">
+            Noch keine Buchungen vorhanden
+          </Typography>
+        )}
+
+        {/* All movements, newest first */}
+        {kassenbuch.length > 0 && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Alle Buchungen</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Datum</TableCell>
+                  <TableCell>Kategorie</TableCell>
+                  <TableCell>Beschreibung</TableCell>
+                  <TableCell align="right">Betrag</TableCell>
+                  <TableCell align="right">Kassenstand</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {[...kassenbuch].reverse().map(buchung => (
+                  <TableRow key={buchung.id}>
+                    <TableCell>{new Date(buchung.datum).toLocaleDateString('de-DE')}</TableCell>
+                    <TableCell>{getKategorieLabel(buchung.kategorie)}</TableCell>
+                    <TableCell>{buchung.beschreibung}</TableCell>
+                    <TableCell
+                      align="right"
+                      sx={{ color: buchung.typ === 'einnahme' ? 'success.main' : 'error.main' }}
+                    >
+                      {buchung.typ === 'einnahme' ? '+' : '-'}
+                      {buchung.betrag.toFixed(2)}
+                      {config.waehrung}
+                    </TableCell>
+                    <TableCell align="right">
+                      {buchung.kassenstand.toFixed(2)}
+                      {config.waehrung}
+                    </TableCell>
+                    <TableCell align="center">
+                      {/* Evening takings are derived and cannot be deleted here */}
+                      {!buchung.automatisch && (
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => onRemoveBuchung(buchung.id)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Schließen</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VereinskasseDialog;
@@ -5,6 +5,7 @@
  * - Entry fee per player
  * - List of penalties with prices
  * - List of game types
+ * - Money game and championship settings
  * - Currency setting
  *
  * NOTE: These values can later be adjusted by the user through a settings page.
@@ -23,6 +24,9 @@ export const defaultConfig = {
   // Entry fee each player pays per evening (in Euro)
   startgebuehr: 6.0,
 
+  // Absence fee (Fehlgeld) a member pays instead of the entry fee when absent
+  fehlgeld: 3.0,
+
   // ============================================
   // PENALTIES (Strafen)
   // ============================================
@@ -52,11 +56,45 @@ export const defaultConfig = {
   // - id: Unique identifier
   // - label: Short name (displayed in table)
   // - description: Full name (shown as tooltip)
+  // - ergebnisTyp: Kind of result (see ERGEBNIS_TYPEN)
   spielarten: [
-    { id: 'wm', label: 'WM', description: 'Wachtberg Meisterschaft' },
-    { id: 'gs', label: 'GS', description: 'Geldspiel' },
+    { id: 'wm', label: 'WM', description: 'Wachtberg Meisterschaft', ergebnisTyp: 'punkte' },
+    { id: 'gs', label: 'GS', description: 'Geldspiel', ergebnisTyp: 'platz' },
   ],
 
+  // ============================================
+  // MONEY GAME (Geldspiel)
+  // ============================================
+
+  // The game type played for money
+  // - spielId: Game type used as money game (empty = no money game)
+  // - einsatz: Stake every participant pays into the pot (in Euro)
+  // - auszahlung: Share of the pot for place 1, 2, ... in percent
+  //               (shares below 100% in total stay in the evening's takings)
+  geldspiel: {
+    spielId: 'gs',
+    einsatz: 1.0,
+    auszahlung: [100],
+  },
+
+  // ============================================
+  // CHAMPIONSHIP (WM standings)
+  // ============================================
+
+  // Season standings summed up from one game type
+  // - spielId: Game type the standings are based on
+  // - wertung: How an evening is scored (see WERTUNGSARTEN)
+  // - platzPunkte: Points for place 1, 2, 3, ... (wertung 'platzierung')
+  // - mindestAbende: Evenings needed to be ranked
+  // - tiebreaker: Order of tie-breakers for equal points (see TIEBREAKER)
+  meisterschaft: {
+    spielId: 'wm',
+    wertung: 'punkte',
+    platzPunkte: [10, 8, 6, 5, 4, 3, 2, 1],
+    mindestAbende: 3,
+    tiebreaker: ['siege', 'bestwert'],
+  },
+
   // ============================================
   // MISC
   // ============================================
@@ -65,22 +103,260 @@ export const defaultConfig = {
   waehrung: '€',
 };
 
+/**
+ * Result types for game types (Spielarten)
+ * Each result type has:
+ * - id: Stored in spielart.ergebnisTyp
+ * - label: Displayed in the settings
+ *
+ * Results are stored as strings in player.spiele:
+ * - punkte: Number of points, e.g. "120"
+ * - platz: Placement, e.g. "1" for the winner
+ * - sieg: "gewonnen" or "verloren"
+ */
+export const ERGEBNIS_TYPEN = [
+  { id: 'punkte', label: 'Punkte' },
+  { id: 'platz', label: 'Platzierung' },
+  { id: 'sieg', label: 'Gewonnen/Verloren' },
+];
+
+/** Possible values for result type 'sieg' */
+export const SIEG_WERTE = [
+  { id: 'gewonnen', label: 'Gewonnen' },
+  { id: 'verloren', label: 'Verloren' },
+];
+
+/**
+ * Checks whether a game result fits the result type of its game type
+ * Empty results are always valid (not played).
+ *
+ * @param {Object} spielart - The game type with `ergebnisTyp`
+ * @param {string} value - The stored result
+ * @returns {boolean}
+ */
+export const isValidErgebnis = (spielart, value) => {
+  const text = String(value ?? '').trim();
+  if (text === '') return true;
+  switch (spielart.ergebnisTyp) {
+    case 'platz':
+      return /^[1-9]\d*$/.test(text);
+    case 'sieg':
+      return SIEG_WERTE.some(wert => wert.id === text);
+    default:
+      return !Number.isNaN(Number(text.replace(',', '.')));
+  }
+};
+
+/**
+ * Scoring modes for the championship standings
+ * - punkte: The results are summed up as they are (result type 'punkte' or 'sieg')
+ * - platzierung: Each evening is ranked, the place earns points from `platzPunkte`
+ */
+export const WERTUNGSARTEN = [
+  { id: 'punkte', label: 'Punkte addieren' },
+  { id: 'platzierung', label: 'Punkte nach Platzierung' },
+];
+
+/**
+ * Tie-breakers for equal championship points, applied in the configured order
+ * - siege: More evenings won
+ * - bestwert: Better single evening
+ * - abende: More evenings played
+ * - schnitt: Higher average per evening
+ */
+export const TIEBREAKER = [
+  { id: 'siege', label: 'Abendsiege' },
+  { id: 'bestwert', label: 'Bester Abend' },
+  { id: 'abende', label: 'Teilnahmen' },
+  { id: 'schnitt', label: 'Schnitt pro Abend' },
+];
+
+/**
+ * The nine pins (Kegel) of the diamond, numbered from the front
+ *
+ *         9
+ *       7   8
+ *     4   5   6
+ *       2   3
+ *         1
+ *
+ * Pin 5 in the middle is the König.
+ */
+export const KEGEL = [
+  { nr: 1, label: 'Vorderholz' },
+  { nr: 2, label: 'Linker Vorderbauer' },
+  { nr: 3, label: 'Rechter Vorderbauer' },
+  { nr: 4, label: 'Linkes Eck' },
+  { nr: 5, label: 'König' },
+  { nr: 6, label: 'Rechtes Eck' },
+  { nr: 7, label: 'Linker Hinterbauer' },
+  { nr: 8, label: 'Rechter Hinterbauer' },
+  { nr: 9, label: 'Hinterholz' },
+];
+
+/**
+ * Pin pictures (Kegelbilder) that count as a penalty on the pin board
+ * Each picture has:
+ * - strafeId: Penalty that is counted for the player who threw it
+ * - gefallen: Exactly these pins fell (numbers, see KEGEL)
+ *
+ * Pictures whose penalty is not configured for the evening are ignored.
+ */
+export const KEGELBILDER = [
+  { strafeId: 'volle', gefallen: [1, 2, 3, 4, 5, 6, 7, 8, 9] },
+  { strafeId: 'kranz', gefallen: [1, 2, 3, 4, 6, 7, 8, 9] }, // All but the König
+  { strafeId: 'stina', gefallen: [1, 5, 9] }, // The middle three, front to back
+];
+
+/**
+ * Payment methods for the Kassenstand
+ * Each payment method has:
+ * - id: Stored in player.zahlungsart
+ * - label: Displayed in the table
+ */
+export const ZAHLUNGSARTEN = [
+  { id: 'bar', label: 'Bar' },
+  { id: 'ueberweisung', label: 'Überweisung' },
+  { id: 'teilweise', label: 'Teilweise bezahlt' },
+];
+
+/**
+ * Booking categories for the club treasury (Vereinskasse)
+ * Each category has:
+ * - id: Stored in buchung.kategorie
+ * - label: Displayed in the ledger
+ * - typ: 'einnahme' (income) or 'ausgabe' (expense) - the default direction
+ *
+ * The category 'kegelabend' is reserved for the automatic evening takings.
+ */
+export const BUCHUNGS_KATEGORIEN = [
+  { id: 'kegelabend', label: 'Kegelabend', typ: 'einnahme' },
+  { id: 'anfangsbestand', label: 'Anfangsbestand', typ: 'einnahme' },
+  { id: 'beitrag', label: 'Beitrag / Spende', typ: 'einnahme' },
+  { id: 'bahnmiete', label: 'Bahnmiete', typ: 'ausgabe' },
+  { id: 'kegeltour', label: 'Kegeltour', typ: 'ausgabe' },
+  { id: 'geschenk', label: 'Geschenk / Kranz', typ: 'ausgabe' },
+  { id: 'verpflegung', label: 'Essen & Getränke', typ: 'ausgabe' },
+  { id: 'sonstiges', label: 'Sonstiges', typ: 'ausgabe' },
+];
+
+/**
+ * Creates a new, empty treasury booking (Buchung)
+ *
+ * @param {string} datum - Optional: Date in format 'YYYY-MM-DD'
+ * @returns {Object} - New booking object
+ */
+export const createEmptyBuchung = (datum = new Date().toISOString().split('T')[0]) => ({
+  id: crypto.randomUUID(), // Unique ID
+  datum, // Booking date
+  typ: 'ausgabe', // 'einnahme' or 'ausgabe'
+  kategorie: 'bahnmiete', // Category id (see BUCHUNGS_KATEGORIEN)
+  betrag: 0, // Always positive, the direction comes from `typ`
+  beschreibung: '', // Free text, e.g. "Anzahlung Kegeltour"
+});
+
+/**
+ * Creates a season (Saison): a named date range that groups the evenings
+ *
+ * Years without a stored season are shown as calendar-year seasons
+ * (see saisonService). Closing a season stores the balances per member,
+ * which are carried into the next season.
+ *
+ * @param {string} name - Display name, e.g. "Saison 2025/26"
+ * @param {string} von - First day 'YYYY-MM-DD'
+ * @param {string} bis - Last day 'YYYY-MM-DD'
+ * @returns {Object} - New season object
+ */
+export const createSaison = (name, von, bis) => ({
+  id: crypto.randomUUID(), // Unique ID
+  name,
+  von,
+  bis,
+  abgeschlossenAm: null, // ISO timestamp of the closing, null = open
+  salden: null, // { key: balance } at the closing, see getSpielerKey (positive = owes money)
+});
+
+/**
+ * Creates a member record of the player master data (Spieler-Stammdaten)
+ *
+ * Evening rows link to the member by `mitgliedId`. The name is also kept on
+ * each row, renaming a member updates it in all evenings (see mitgliederService).
+ *
+ * @param {string} name - Display name
+ * @returns {Object} - New member object
+ */
+export const createMitglied = (name = '') => ({
+  id: crypto.randomUUID(), // Unique ID, stays the same when the member is renamed
+  name, // Display name, unique within the master data
+  spitzname: '', // Nickname
+  telefon: '',
+  email: '',
+  eintrittsdatum: '', // Join date 'YYYY-MM-DD', empty = unknown
+  aktiv: true, // Inactive members are hidden when adding players
+});
+
 /**
  * Creates a new, empty player
  *
  * Used when "Add Player" is clicked
  *
  * @param {string} name - Optional: Pre-filled name
+ * @param {string|null} mitgliedId - Optional: Id of the member in the master data
  * @returns {Object} - New player object
  */
-export const createEmptyPlayer = (name = '') => ({
+export const createEmptyPlayer = (name = '', mitgliedId = null) => ({
   id: crypto.randomUUID(), // Generate unique ID
   name, // Name (empty or provided)
-  anwesend: true, // Present by default
+  mitgliedId, // Member of the master data (null = guest without master record)
+  anwesend: true, // Present by default, absent players pay the absence fee (fehlgeld)
   strafen: {}, // Empty object for penalties {penaltyId: count}
   spiele: {}, // Empty object for game results {gameId: result}
+  bezahlt: 0, // Amount the player has paid for this evening
+  zahlungsart: '', // How the player paid (see ZAHLUNGSARTEN), empty = not yet paid
+});
+
+/**
+ * Copies the game type used as money game (null if there is none)
+ * @param {Object} config - The configuration with spielarten and geldspiel
+ * @returns {Object|null}
+ */
+export const copyGeldspielArt = config => {
+  const spielart = config.spielarten.find(spiel => spiel.id === config.geldspiel.spielId);
+  return spielart ? { ...spielart } : null;
+};
+
+/**
+ * Creates a snapshot of the prices an evening is played with
+ *
+ * Every evening stores its own copy of the entry fee, the absence fee, the
+ * penalty definitions and the money game settings, so later changes in "Preise konfigurieren"
+ * never change the totals of past evenings. The money game keeps a copy of its game type
+ * too, so editing or deleting that game type in "Spielarten" does not change them either.
+ *
+ * @param {Object} config - The current configuration
+ * @returns {Object} - { startgebuehr, fehlgeld, strafen, geldspiel }
+ */
+export const createPreisSnapshot = config => ({
+  startgebuehr: config.startgebuehr,
+  fehlgeld: config.fehlgeld,
+  strafen: config.strafen.map(strafe => ({ ...strafe })),
+  geldspiel: {
+    ...config.geldspiel,
+    auszahlung: [...config.geldspiel.auszahlung],
+    spielart: copyGeldspielArt(config),
+  },
 });
 
+/**
+ * Adds a price snapshot to an evening that does not have one yet
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - The configuration to take the prices from
+ * @returns {Object} - The evening with `preise`
+ */
+export const withPreisSnapshot = (kegelabend, config) =>
+  kegelabend.preise ? kegelabend : { ...kegelabend, preise: createPreisSnapshot(config) };
+
 /**
  * Creates a new, empty bowling evening
  *
@@ -95,5 +371,87 @@ export const createEmptyKegelabend = (datum = new Date().toISOString().split('T'
   datum, // Date of the bowling evening
   spieler: [], // Empty player list
   notizen: '', // Optional notes
-  abgeschlossen: false, // Not yet completed
+  abgeschlossen: false, // Not yet completed (closed evenings are locked)
+  abgeschlossenAm: null, // ISO timestamp of the last closing
+  archiviert: false, // Archived evenings are hidden from the evenings list, but still counted
+  preise: null, // Price snapshot (see createPreisSnapshot), set when the evening is started
+  historie: [], // Log of the evening (see createHistorieEintrag)
+  ereignisse: null, // Live penalties (see createEreignis), null = never captured live
+  live: false, // Penalties are captured live right now (counts are read-only in the table)
+  wuerfe: [], // Throws booked on the pin board (see createWurf)
+  zahlungenErfasst: true, // Payments are recorded, false = evening from before payment tracking
+});
+
+/**
+ * Creates a live event: one tap on "+1 <penalty>" in the live mode
+ *
+ * Once an evening is captured live, the penalty counts of its players are
+ * derived from these events (see liveService).
+ *
+ * @param {string} spielerId - Id of the player row
+ * @param {string} strafeId - Id of the penalty
+ * @param {boolean} nachgetragen - Converted from a count typed in before the live mode
+ * @returns {Object} - New event
+ */
+export const createEreignis = (spielerId, strafeId, nachgetragen = false) => ({
+  id: crypto.randomUUID(), // Unique ID (removing a tap, merging two devices)
+  zeitpunkt: new Date().toISOString(), // When it was tapped
+  spielerId,
+  strafeId,
+  nachgetragen,
+});
+
+/**
+ * Creates a throw booked on the pin board (see kegelbildService)
+ *
+ * The throw keeps what it added to the evening, so it can be taken back later.
+ *
+ * @param {string} spielerId - Id of the player row who threw
+ * @param {string} spielId - Game type the pins counted for ('' = penalties only)
+ * @param {Array} gefallen - Numbers of the fallen pins (see KEGEL)
+ * @param {string|null} strafeId - Penalty of the pin picture, null if none matched
+ * @param {string|null} ereignisId - Live event of the penalty (see createEreignis)
+ * @returns {Object} - New throw
+ */
+export const createWurf = (spielerId, spielId, gefallen, strafeId = null, ereignisId = null) => ({
+  id: crypto.randomUUID(), // Unique ID (taking a throw back, merging two devices)
+  zeitpunkt: new Date().toISOString(), // When it was booked
+  spielerId,
+  spielId,
+  gefallen: [...gefallen].sort((a, b) => a - b),
+  strafeId,
+  ereignisId,
+});
+
+/**
+ * Kinds of entries in the log of an evening (kegelabend.historie)
+ * Each kind has:
+ * - id: Stored in eintrag.aktion
+ * - label: Displayed in the log filter
+ */
+export const HISTORIE_AKTIONEN = [
+  { id: 'strafe', label: 'Strafen' },
+  { id: 'spiel', label: 'Spiele' },
+  { id: 'spieler', label: 'Spieler' },
+  { id: 'zahlung', label: 'Zahlungen' },
+  { id: 'abend', label: 'Datum & Notizen' },
+  { id: 'preise', label: 'Preise' },
+  { id: 'abschluss', label: 'Abschluss' },
+  { id: 'wiedereroeffnung', label: 'Wiedereröffnung' },
+  { id: 'archiv', label: 'Archiv' },
+  { id: 'rueckgaengig', label: 'Rückgängig / Wiederholt' },
+];
+
+/**
+ * Creates an entry for the log of an evening (kegelabend.historie)
+ *
+ * @param {string} aktion - What happened (see HISTORIE_AKTIONEN)
+ * @param {string} text - Description shown to the user, e.g. "Abend abgeschlossen"
+ * @returns {Object} - New log entry
+ */
+export const createHistorieEintrag = (aktion, text) => ({
+  id: crypto.randomUUID(), // Unique ID (entries of two devices can be merged)
+  zeitpunkt: new Date().toISOString(), // When it happened
+  aktion,
+  text,
 });
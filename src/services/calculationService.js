@@ -0,0 +1,502 @@
+/**
+ * calculationService.js - Money calculations for the Kegelbuch
+ *
+ * This service handles:
+ * - The prices an evening was played with (price snapshot and history)
+ * - The total amount a player owes for one bowling evening
+ * - The money game (Geldspiel): stakes, pot and payouts
+ * - The total of a whole evening
+ * - Closing an evening: validation and final settlement
+ * - Running balances (Kassenstand) per member across all evenings
+ * - The club treasury ledger (Vereinskasse) with monthly movements
+ *
+ * All functions are pure: they only read the passed data and never
+ * touch storage, so they can be used by the table, dialogs and exports.
+ */
+
+import { isValidErgebnis } from '../config/defaultConfig';
+import { getSpielerKey } from './mitgliederService';
+
+// ============================================
+// PRICES PER EVENING
+// ============================================
+
+/**
+ * Returns the configuration an evening is calculated with
+ *
+ * The price snapshot of the evening (entry fee, penalties, money game)
+ * replaces the current prices. Evenings without snapshot use the current ones.
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - The current configuration
+ * @returns {Object} - Configuration with the evening's prices
+ */
+export const getAbendConfig = (kegelabend, config) => {
+  return kegelabend?.preise ? { ...config, ...kegelabend.preise } : config;
+};
+
+/**
+ * Returns the configuration for evaluations across several evenings
+ *
+ * Penalties and game types that only remain in the price snapshots of the
+ * evenings (deleted since, or the copied money game type) are added after the
+ * current ones, so every penalty that went into a total gets its own column.
+ *
+ * @param {Array} kegelabende - The evenings to evaluate
+ * @param {Object} config - The current configuration
+ * @returns {Object} - The configuration with all penalties and game types
+ */
+export const getAuswertungConfig = (kegelabende, config) => {
+  const addFehlende = (aktuell, weitere) =>
+    weitere.reduce(
+      (liste, eintrag) =>
+        liste.some(vorhanden => vorhanden.id === eintrag.id) ? liste : [...liste, eintrag],
+      aktuell
+    );
+  const preise = kegelabende.map(abend => abend.preise).filter(Boolean);
+
+  return {
+    ...config,
+    strafen: addFehlende(
+      config.strafen,
+      preise.flatMap(snapshot => snapshot.strafen || [])
+    ),
+    spielarten: addFehlende(
+      config.spielarten,
+      preise.map(snapshot => snapshot.geldspiel?.spielart).filter(Boolean)
+    ),
+  };
+};
+
+/**
+ * Builds the price history from the snapshots of all evenings
+ *
+ * Consecutive evenings with the same prices form one period.
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @returns {Array} - Periods, newest first: { von, bis, abende, preise }
+ */
+export const buildPreisHistorie = kegelabende => {
+  const perioden = [];
+
+  [...kegelabende]
+    .filter(abend => abend.preise)
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .forEach(abend => {
+      const last = perioden[perioden.length - 1];
+      if (last && JSON.stringify(last.preise) === JSON.stringify(abend.preise)) {
+        last.bis = abend.datum;
+        last.abende += 1;
+      } else {
+        perioden.push({ von: abend.datum, bis: abend.datum, abende: 1, preise: abend.preise });
+      }
+    });
+
+  return perioden.reverse();
+};
+
+// ============================================
+// GAME RESULTS
+// ============================================
+
+/**
+ * Ranks the results of one game type on one evening
+ *
+ * Only players who were there and have a valid result are ranked.
+ * Stored places (result type 'platz') are ranked lowest first, all other
+ * results highest first (a win before a loss). Equal results share a place
+ * and the next place is skipped (1, 2, 2, 4), so gaps or double places in
+ * the entered placements never pay out more than the pot.
+ *
+ * @param {Array} spieler - All players of the evening
+ * @param {Object} spielart - The game type with `ergebnisTyp`
+ * @returns {Array} - One entry per ranked player: { player, wert, platz }
+ */
+export const rankErgebnisse = (spieler, spielart) => {
+  const entries = spieler
+    .filter(player => player.anwesend !== false)
+    .map(player => {
+      const value = String(player.spiele[spielart.id] ?? '').trim();
+      if (!value || !isValidErgebnis(spielart, value)) return null;
+      const wert =
+        spielart.ergebnisTyp === 'sieg'
+          ? Number(value === 'gewonnen')
+          : Number(value.replace(',', '.'));
+      return { player, wert };
+    })
+    .filter(Boolean);
+
+  // Competition ranking: 1 + number of players with a better result
+  // (a lower place is better, so stored places are normalized as well)
+  const isBetter =
+    spielart.ergebnisTyp === 'platz'
+      ? (other, entry) => other.wert < entry.wert
+      : (other, entry) => other.wert > entry.wert;
+  return entries.map(entry => ({
+    ...entry,
+    platz: 1 + entries.filter(other => isBetter(other, entry)).length,
+  }));
+};
+
+// ============================================
+// GELDSPIEL - Money game
+// ============================================
+
+/**
+ * Calculates the money game (Geldspiel) of one evening
+ *
+ * Everybody with a result in the money game pays the stake into the pot.
+ * Place 1, 2, ... receive their share of the pot (`config.geldspiel.auszahlung`
+ * in percent). Players sharing a place split the shares of the places they
+ * cover. Payouts are rounded down to the cent, the rest stays in the evening's
+ * takings just like shares without a winner.
+ *
+ * @param {Array} allPlayers - All players of the evening
+ * @param {Object} config - The configuration with the money game settings
+ * @returns {Object|null} - null if no money game is configured, otherwise {
+ *   spielart,       // The game type used as money game
+ *   teilnehmer,     // Number of players who paid the stake
+ *   topf,           // Sum of all stakes
+ *   auszahlungen,   // { playerId: payout }, only players who won something
+ * }
+ */
+export const calculateGeldspiel = (allPlayers, config) => {
+  const settings = config.geldspiel;
+  // Price snapshots keep the game type itself (see createPreisSnapshot)
+  const spielart =
+    settings &&
+    (settings.spielart !== undefined
+      ? settings.spielart
+      : config.spielarten.find(spiel => spiel.id === settings.spielId));
+  if (!spielart) return null;
+
+  const ranking = rankErgebnisse(allPlayers, spielart);
+  const topf = ranking.length * settings.einsatz;
+  const auszahlungen = {};
+
+  ranking.forEach(({ player, platz }) => {
+    // Players on the same place cover the places platz ... platz + tied - 1
+    const tied = ranking.filter(other => other.platz === platz).length;
+    const prozent = settings.auszahlung
+      .slice(platz - 1, platz - 1 + tied)
+      .reduce((sum, share) => sum + share, 0);
+    // Small epsilon so float noise (e.g. 229.99999) does not lose a cent
+    const betrag = Math.floor((topf * prozent) / tied + 1e-9) / 100;
+    if (betrag > 0) auszahlungen[player.id] = betrag;
+  });
+
+  return { spielart, teilnehmer: ranking.length, topf, auszahlungen };
+};
+
+/**
+ * Returns what the money game costs a player on one evening
+ *
+ * @param {Object} player - The player
+ * @param {Object} geldspiel - Result of calculateGeldspiel (may be null)
+ * @returns {number} - Stake minus payout (negative if the player won more than the stake)
+ */
+export const calculateGeldspielSaldo = (player, geldspiel) => {
+  if (!geldspiel) return 0;
+  const value = String(player.spiele[geldspiel.spielart.id] ?? '').trim();
+  const nimmtTeil =
+    player.anwesend !== false && value !== '' && isValidErgebnis(geldspiel.spielart, value);
+  if (!nimmtTeil) return 0;
+  return geldspiel.topf / geldspiel.teilnehmer - (geldspiel.auszahlungen[player.id] || 0);
+};
+
+// ============================================
+// SINGLE EVENING
+// ============================================
+
+/**
+ * Returns the fee a player pays for being on the list of the evening
+ *
+ * @param {Object} player - The player
+ * @param {Object} config - The configuration with the evening's prices
+ * @returns {number} - The entry fee, or the absence fee (Fehlgeld) if the player was absent
+ */
+export const getGrundgebuehr = (player, config) =>
+  player.anwesend === false ? config.fehlgeld : config.startgebuehr;
+
+/**
+ * Returns the penalty counts that count for a player
+ *
+ * Absent players keep their counts on the row, so marking them present again
+ * brings them back, but while absent they count for nothing.
+ *
+ * @param {Object} player - The player
+ * @returns {Object} - { strafeId: count }, empty if the player was absent
+ */
+export const getStrafen = player => (player.anwesend === false ? {} : player.strafen);
+
+/**
+ * Returns the game results that count for a player (none while absent, see getStrafen)
+ * @param {Object} player - The player
+ * @returns {Object} - { spielId: result }
+ */
+export const getSpiele = player => (player.anwesend === false ? {} : player.spiele);
+
+/**
+ * Calculates the total amount for a single player
+ *
+ * Formula: Entry Fee + Normal Penalties + Inverted Penalties from others
+ *          + Geldspiel stake - Geldspiel payout
+ *
+ * Normal penalties: Player pays for their own penalties
+ * Inverted penalties (Kranz, Volle): Player pays when OTHERS throw them
+ * Absent players pay the absence fee instead of the entry fee and no
+ * penalties at all (they take no part in the money game either), the
+ * penalties kept on their row do not count for the others (see getStrafen)
+ *
+ * @param {Object} player - The player with their penalties
+ * @param {Object} config - The configuration with penalty prices
+ * @param {Array} allPlayers - All players (needed for inverted penalties)
+ * @returns {number} - Total amount in Euro
+ */
+export const calculatePlayerTotal = (player, config, allPlayers) => {
+  const geldspiel = calculateGeldspiel(allPlayers, config);
+
+  // Start with entry fee and money game, then add all penalties
+  return config.strafen.reduce((total, strafe) => {
+    if (strafe.inverted) {
+      if (player.anwesend === false) return total;
+      // INVERTED: Sum up penalties from OTHER players
+      const othersCount = allPlayers
+        .filter(p => p.id !== player.id)
+        .reduce((sum, p) => sum + (getStrafen(p)[strafe.id] || 0), 0);
+      return total + othersCount * strafe.preis;
+    }
+    // NORMAL: Player pays for their own penalties
+    return total + (getStrafen(player)[strafe.id] || 0) * strafe.preis;
+  }, getGrundgebuehr(player, config) + calculateGeldspielSaldo(player, geldspiel));
+};
+
+/**
+ * Calculates the grand total of a bowling evening (sum of all players)
+ * Uses the prices the evening was played with (see getAbendConfig).
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - The current configuration
+ * @returns {number} - Total amount in Euro
+ */
+export const calculateAbendTotal = (kegelabend, config) => {
+  const abendConfig = getAbendConfig(kegelabend, config);
+  return kegelabend.spieler.reduce(
+    (sum, player) => sum + calculatePlayerTotal(player, abendConfig, kegelabend.spieler),
+    0
+  );
+};
+
+/**
+ * Returns the amount a player still owes for one evening
+ *
+ * @param {Object} player - The player (with `bezahlt`)
+ * @param {number} total - The player's total for the evening
+ * @returns {number} - Open amount (negative if the player paid too much)
+ */
+export const calculateOpenAmount = (player, total) => {
+  return total - (player.bezahlt || 0);
+};
+
+// ============================================
+// CLOSING AN EVENING - Validation and final settlement
+// ============================================
+
+/**
+ * Checks an evening before it is closed
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - The current configuration
+ * @returns {Array<string>} - Problems that prevent closing (empty = ok)
+ */
+export const validateKegelabend = (kegelabend, config) => {
+  const abendConfig = getAbendConfig(kegelabend, config);
+  const fehler = [];
+
+  if (kegelabend.spieler.length === 0) fehler.push('Es ist kein Spieler eingetragen');
+
+  const ohneName = kegelabend.spieler.filter(player => !player.name.trim()).length;
+  if (ohneName > 0) {
+    fehler.push(
+      ohneName === 1 ? 'Ein Spieler hat keinen Namen' : `${ohneName} Spieler haben keinen Namen`
+    );
+  }
+
+  const namen = kegelabend.spieler.map(player => player.name.trim()).filter(Boolean);
+  [...new Set(namen.filter((name, index) => namen.indexOf(name) !== index))].forEach(name =>
+    fehler.push(`${name} ist doppelt eingetragen`)
+  );
+
+  kegelabend.spieler.forEach((player, index) => {
+    const name = player.name.trim() || `Spieler ${index + 1}`;
+    const strafen = getStrafen(player);
+    const spiele = getSpiele(player);
+    abendConfig.strafen.forEach(strafe => {
+      if ((strafen[strafe.id] || 0) < 0) fehler.push(`${name}: ${strafe.label} ist negativ`);
+    });
+    abendConfig.spielarten.forEach(spiel => {
+      if (!isValidErgebnis(spiel, spiele[spiel.id])) {
+        fehler.push(`${name}: ${spiel.label}-Ergebnis ist ungültig`);
+      }
+    });
+    if ((player.bezahlt || 0) < 0) fehler.push(`${name}: Bezahlt ist negativ`);
+  });
+
+  return fehler;
+};
+
+/**
+ * Final settlement of an evening: who pays how much
+ * Uses the prices the evening was played with (see getAbendConfig).
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - The current configuration
+ * @returns {Object} - {
+ *   zeilen: [{ player, total, bezahlt, offen }],
+ *   summe, bezahlt,
+ *   offen,        // Sum of the amounts still owed
+ *   geldspiel,    // See calculateGeldspiel (null if none)
+ * }
+ */
+export const calculateAbrechnung = (kegelabend, config) => {
+  const abendConfig = getAbendConfig(kegelabend, config);
+  const zeilen = kegelabend.spieler.map(player => {
+    const total = calculatePlayerTotal(player, abendConfig, kegelabend.spieler);
+    return {
+      player,
+      total,
+      bezahlt: player.bezahlt || 0,
+      offen: calculateOpenAmount(player, total),
+    };
+  });
+
+  return {
+    zeilen,
+    summe: zeilen.reduce((sum, zeile) => sum + zeile.total, 0),
+    bezahlt: zeilen.reduce((sum, zeile) => sum + zeile.bezahlt, 0),
+    offen: zeilen.reduce((sum, zeile) => sum + Math.max(0, zeile.offen), 0),
+    geldspiel: calculateGeldspiel(kegelabend.spieler, abendConfig),
+  };
+};
+
+// ============================================
+// KASSENSTAND - Balances across all evenings
+// ============================================
+
+/**
+ * Calculates the running balance per member across all evenings
+ *
+ * Players are matched by member (guests by name, see getSpielerKey) and shown
+ * with their latest name. Evenings are processed in date order, so
+ * `offeneAbende` lists the evenings with open amounts chronologically.
+ * Evenings from before payment tracking (`zahlungenErfasst: false`) are left out,
+ * nobody can owe money for them.
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - The configuration with penalty prices
+ * @returns {Array} - One entry per member, sorted by open balance (highest first):
+ *   { key, name, soll, bezahlt, saldo, abende, offeneAbende: [{ id, datum, offen }] }
+ */
+export const calculateBalances = (kegelabende, config) => {
+  const balances = {};
+
+  kegelabende
+    .filter(abend => abend.zahlungenErfasst !== false)
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .forEach(abend => {
+      abend.spieler.forEach(player => {
+        const name = player.name.trim();
+        if (!name) return;
+        const key = getSpielerKey(player);
+
+        if (!balances[key]) {
+          balances[key] = { key, name, soll: 0, bezahlt: 0, saldo: 0, abende: 0, offeneAbende: [] };
+        }
+
+        const total = calculatePlayerTotal(player, getAbendConfig(abend, config), abend.spieler);
+        const offen = calculateOpenAmount(player, total);
+        const entry = balances[key];
+
+        entry.name = name;
+
+        entry.soll += total;
+        entry.bezahlt += player.bezahlt || 0;
+        entry.saldo += offen;
+        entry.abende += 1;
+
+        // Ignore rounding noise from floating point prices
+        if (offen > 0.005) {
+          entry.offeneAbende.push({ id: abend.id, datum: abend.datum, offen });
+        }
+      });
+    });
+
+  return Object.values(balances).sort((a, b) => b.saldo - a.saldo || a.name.localeCompare(b.name));
+};
+
+// ============================================
+// VEREINSKASSE - Club treasury ledger
+// ============================================
+
+/**
+ * Builds the treasury ledger from the evenings and the manual bookings
+ *
+ * Every evening with payments becomes an automatic income booking
+ * (category 'kegelabend') with the money actually collected that evening.
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Array} buchungen - Manual bookings
+ * @returns {Array} - All movements sorted by date, each with
+ *   { id, datum, typ, kategorie, betrag, beschreibung, automatisch, kassenstand }
+ *   where `kassenstand` is the running balance after the movement
+ */
+export const calculateKassenbuch = (kegelabende, buchungen) => {
+  const abendBuchungen = kegelabende
+    .map(abend => ({
+      id: `abend_${abend.id}`,
+      datum: abend.datum,
+      typ: 'einnahme',
+      kategorie: 'kegelabend',
+      betrag: abend.spieler.reduce((sum, player) => sum + (player.bezahlt || 0), 0),
+      beschreibung: `Kegelabend vom ${new Date(abend.datum).toLocaleDateString('de-DE')}`,
+      automatisch: true,
+    }))
+    .filter(buchung => buchung.betrag > 0);
+
+  let kassenstand = 0;
+  return [...abendBuchungen, ...buchungen.map(b => ({ ...b, automatisch: false }))]
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .map(buchung => {
+      kassenstand += buchung.typ === 'einnahme' ? buchung.betrag : -buchung.betrag;
+      return { ...buchung, kassenstand };
+    });
+};
+
+/**
+ * Groups ledger movements by month
+ *
+ * @param {Array} kassenbuch - Result of calculateKassenbuch
+ * @returns {Array} - One entry per month, newest first:
+ *   { monat: 'YYYY-MM', einnahmen, ausgaben, saldo, kassenstand }
+ */
+export const groupKassenbuchByMonth = kassenbuch => {
+  const months = {};
+
+  kassenbuch.forEach(buchung => {
+    const monat = buchung.datum.slice(0, 7);
+    if (!months[monat]) {
+      months[monat] = { monat, einnahmen: 0, ausgaben: 0, saldo: 0, kassenstand: 0 };
+    }
+    const entry = months[monat];
+    if (buchung.typ === 'einnahme') {
+      entry.einnahmen += buchung.betrag;
+    } else {
+      entry.ausgaben += buchung.betrag;
+    }
+    entry.saldo = entry.einnahmen - entry.ausgaben;
+    // Ledger is sorted by date, so the last movement holds the month-end balance
+    entry.kassenstand = buchung.kassenstand;
+  });
+
+  return Object.values(months).sort((a, b) => b.monat.localeCompare(a.monat));
+};
@@ -0,0 +1,98 @@
+/**
+ * databaseService.js - Small promise wrapper around IndexedDB
+ *
+ * The Kegelbuch stores its data in one IndexedDB database:
+ * - Store "kegelabende": one record per evening (key: kegelabend.id),
+ *   so saving an evening only writes that evening
+ * - Store "daten": everything else under fixed keys (config, players,
+ *   bookings, schema version)
+ *
+ * IndexedDB itself works with callbacks; these helpers turn requests and
+ * transactions into promises. The storageService builds on them.
+ */
+
+/** Name and structure version of the database (not the data schema version) */
+const DB_NAME = 'kegelbuch';
+const DB_VERSION = 1;
+
+/** Names of the object stores */
+export const STORES = {
+  KEGELABENDE: 'kegelabende',
+  DATEN: 'daten',
+};
+
+/**
+ * Turns an IndexedDB request into a promise
+ * @param {IDBRequest} request - Any request (get, getAll, open, ...)
+ * @returns {Promise} - Resolves with the request result
+ */
+const requestToPromise = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Opens the database and creates the stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB wird von diesem Browser nicht unterstützt'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORES.KEGELABENDE)) {
+      db.createObjectStore(STORES.KEGELABENDE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(STORES.DATEN)) {
+      db.createObjectStore(STORES.DATEN);
+    }
+  };
+  request.onblocked = () => console.warn('Database upgrade blocked by another tab');
+
+  return requestToPromise(request).then(db => {
+    // Let a newer app version in another tab upgrade the database
+    db.onversionchange = () => db.close();
+    return db;
+  });
+};
+
+/**
+ * Reads one record
+ * @param {IDBDatabase} db - The open database
+ * @param {string} storeName - Name of the object store
+ * @param {string} key - Key of the record
+ * @returns {Promise} - The record, or undefined
+ */
+export const readRecord = (db, storeName, key) =>
+  requestToPromise(db.transaction(storeName).objectStore(storeName).get(key));
+
+/**
+ * Reads all records of a store
+ * @param {IDBDatabase} db - The open database
+ * @param {string} storeName - Name of the object store
+ * @returns {Promise<Array>}
+ */
+export const readAllRecords = (db, storeName) =>
+  requestToPromise(db.transaction(storeName).objectStore(storeName).getAll());
+
+/**
+ * Runs writes in one transaction (all or nothing)
+ *
+ * @param {IDBDatabase} db - The open database
+ * @param {Array<string>} storeNames - Stores the transaction may write
+ * @param {Function} callback - Receives the transaction and issues the writes
+ * @returns {Promise} - Resolves when the transaction is committed
+ */
+export const writeRecords = (db, storeNames, callback) =>
+  new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    transaction.oncomplete = () => resolve();
+    // A full disk aborts the transaction, the error is on the transaction
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaktion abgebrochen'));
+    callback(transaction);
+  });
@@ -0,0 +1,303 @@
+/**
+ * historieService.js - Change log of an evening (kegelabend.historie)
+ *
+ * Every change of an evening is logged with a timestamp and a short German
+ * description, e.g. "Stina für Peter: 1 → 2". The entries are built by
+ * comparing the evening before and after the change, so every edit in the
+ * table is covered no matter which field it came from.
+ *
+ * The log is append-only: undo and redo do not remove entries but add
+ * "Rückgängig: ..." entries, so disputes at the end of the evening can be
+ * settled from the log.
+ *
+ * Value changes carry structured fields besides the text:
+ * - schluessel: What was changed, e.g. 'p1:strafen.stina'
+ * - feld / name: Label of the field and name of the player (null for the evening)
+ * - alt / neu: Displayed values before and after the change
+ *
+ * Typing "12" into a field is two changes and both are logged. For display,
+ * collapseHistorie combines changes of the same field that follow each other
+ * within a few seconds into one entry that keeps the first old value; the
+ * stored log itself is never rewritten.
+ *
+ * logChanges and logUndo are called by App.jsx for every edit, the log entries
+ * are stored with the evening.
+ */
+
+import { createHistorieEintrag, ZAHLUNGSARTEN, SIEG_WERTE } from '../config/defaultConfig';
+import { getAbendConfig } from './calculationService';
+
+/** Changes of the same field within this time are shown as one entry (ms) */
+const MERGE_WINDOW_MS = 10 * 1000;
+
+/**
+ * Formats a logged value, empty values are shown as a dash
+ * @param {*} wert - The value
+ * @returns {string}
+ */
+const formatWert = wert =>
+  wert === '' || wert === null || wert === undefined ? '–' : String(wert);
+
+/**
+ * Builds the text of a value change
+ *
+ * @param {Object} aenderung - { feld, name, alt, neu }
+ * @returns {string} - e.g. "Stina für Peter: 1 → 2" or "Name: Pete → Peter"
+ */
+const describeAenderung = ({ feld, name, alt, neu }) => {
+  const werte = `${formatWert(alt)} → ${formatWert(neu)}`;
+  if (name === null) return `${feld}: ${werte}`;
+  return `${feld} für ${name || 'Spieler ohne Namen'}: ${werte}`;
+};
+
+/**
+ * Creates a log entry for a changed value
+ *
+ * @param {string} aktion - Kind of entry (see HISTORIE_AKTIONEN)
+ * @param {string} schluessel - Identifies the changed field (entries with the same key are merged)
+ * @param {Object} aenderung - { feld, name, alt, neu }
+ * @returns {Object} - New log entry
+ */
+const createAenderung = (aktion, schluessel, aenderung) => ({
+  ...createHistorieEintrag(aktion, describeAenderung(aenderung)),
+  schluessel,
+  ...aenderung,
+});
+
+/**
+ * Describes all differences between two versions of an evening
+ *
+ * Only the data edited in the table, the date and the notes are compared.
+ * Closing, reopening and prices are logged where they happen.
+ *
+ * @param {Object} vorher - The evening before the change
+ * @param {Object} nachher - The evening after the change
+ * @param {Object} config - Current configuration (labels of penalties and games)
+ * @returns {Array} - New log entries (not yet added to the evening)
+ */
+export const describeChanges = (vorher, nachher, config) => {
+  const abendConfig = getAbendConfig(nachher, config);
+  const betrag = wert => `${(wert || 0).toFixed(2)}${config.waehrung}`;
+  const zahlungsart = id => ZAHLUNGSARTEN.find(art => art.id === id)?.label || '';
+  const eintraege = [];
+
+  if (vorher.datum !== nachher.datum) {
+    const datum = wert => (wert ? new Date(wert).toLocaleDateString('de-DE') : '');
+    eintraege.push(
+      createAenderung('abend', 'datum', {
+        feld: 'Datum',
+        name: null,
+        alt: datum(vorher.datum),
+        neu: datum(nachher.datum),
+      })
+    );
+  }
+  if ((vorher.notizen || '') !== (nachher.notizen || '')) {
+    eintraege.push({
+      ...createHistorieEintrag('abend', 'Notizen geändert'),
+      schluessel: 'notizen',
+    });
+  }
+
+  const vorherById = new Map(vorher.spieler.map(player => [player.id, player]));
+  const nachherIds = new Set(nachher.spieler.map(player => player.id));
+
+  vorher.spieler
+    .filter(player => !nachherIds.has(player.id))
+    .forEach(player => {
+      eintraege.push(createHistorieEintrag('spieler', `${player.name || 'Spieler'} entfernt`));
+    });
+
+  nachher.spieler.forEach(player => {
+    const previous = vorherById.get(player.id);
+    if (!previous) {
+      eintraege.push(createHistorieEintrag('spieler', `${player.name || 'Spieler'} hinzugefügt`));
+      return;
+    }
+    if (previous === player) return;
+
+    const name = player.name;
+    const aenderung = (aktion, feld, label, alt, neu) => {
+      if (formatWert(alt) === formatWert(neu)) return;
+      eintraege.push(
+        createAenderung(aktion, `${player.id}:${feld}`, { feld: label, name, alt, neu })
+      );
+    };
+
+    if (previous.name !== player.name) {
+      eintraege.push(
+        createAenderung('spieler', `${player.id}:name`, {
+          feld: 'Name',
+          name: null,
+          alt: previous.name,
+          neu: player.name,
+        })
+      );
+    }
+
+    const anwesend = wert => (wert === false ? 'nein' : 'ja');
+    aenderung(
+      'spieler',
+      'anwesend',
+      'Anwesend',
+      anwesend(previous.anwesend),
+      anwesend(player.anwesend)
+    );
+
+    Object.keys({ ...previous.strafen, ...player.strafen }).forEach(strafeId => {
+      const label = abendConfig.strafen.find(s => s.id === strafeId)?.label || strafeId;
+      aenderung(
+        'strafe',
+        `strafen.${strafeId}`,
+        label,
+        previous.strafen[strafeId] || 0,
+        player.strafen[strafeId] || 0
+      );
+    });
+
+    Object.keys({ ...previous.spiele, ...player.spiele }).forEach(spielId => {
+      const label = config.spielarten.find(s => s.id === spielId)?.label || spielId;
+      const ergebnis = wert => SIEG_WERTE.find(s => s.id === wert)?.label ?? wert;
+      aenderung(
+        'spiel',
+        `spiele.${spielId}`,
+        label,
+        ergebnis(previous.spiele[spielId]),
+        ergebnis(player.spiele[spielId])
+      );
+    });
+
+    aenderung('zahlung', 'bezahlt', 'Bezahlt', betrag(previous.bezahlt), betrag(player.bezahlt));
+    aenderung(
+      'zahlung',
+      'zahlungsart',
+      'Zahlungsart',
+      zahlungsart(previous.zahlungsart),
+      zahlungsart(player.zahlungsart)
+    );
+  });
+
+  return eintraege;
+};
+
+/**
+ * Appends an entry to the log of an evening
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} eintrag - The new entry
+ * @returns {Object} - The evening with the updated log
+ */
+export const addHistorieEintrag = (kegelabend, eintrag) => ({
+  ...kegelabend,
+  historie: [...(kegelabend.historie || []), eintrag],
+});
+
+/**
+ * Combines the log for display
+ *
+ * Changes of the same field that follow each other within a few seconds
+ * become one entry with the first old value and the last new value, e.g.
+ * typing "12" shows as one change "– → 12". Nothing is left out: a field
+ * that ends at its old value still shows, and `anzahl` tells how many
+ * stored entries an entry stands for.
+ *
+ * @param {Array} historie - The stored log
+ * @returns {Array} - Entries oldest first, combined entries carry `anzahl`
+ */
+export const collapseHistorie = historie =>
+  [...historie]
+    .sort((a, b) => a.zeitpunkt.localeCompare(b.zeitpunkt))
+    .reduce((result, eintrag) => {
+      const letzter = result[result.length - 1];
+      const merge =
+        eintrag.schluessel &&
+        letzter?.schluessel === eintrag.schluessel &&
+        Date.parse(eintrag.zeitpunkt) - Date.parse(letzter.zeitpunkt) < MERGE_WINDOW_MS;
+      if (!merge) return [...result, eintrag];
+
+      // Entries without values (notes) keep the newer text
+      const zusammengefasst =
+        eintrag.feld === undefined
+          ? eintrag
+          : {
+              ...eintrag,
+              alt: letzter.alt,
+              text: describeAenderung({ ...eintrag, alt: letzter.alt }),
+            };
+      return [...result.slice(0, -1), { ...zusammengefasst, anzahl: (letzter.anzahl || 1) + 1 }];
+    }, []);
+
+/**
+ * Logs an edit of the evening
+ *
+ * @param {Object} vorher - The evening before the edit
+ * @param {Object} nachher - The evening after the edit
+ * @param {Object} config - Current configuration
+ * @returns {Object} - The edited evening with the updated log
+ */
+export const logChanges = (vorher, nachher, config) =>
+  describeChanges(vorher, nachher, config).reduce(addHistorieEintrag, {
+    ...nachher,
+    historie: vorher.historie || [],
+  });
+
+/**
+ * Logs an undo or redo step
+ *
+ * The restored version has an older or newer log. The log of the current
+ * version is kept and one entry describing the step is added, e.g.
+ * "Rückgängig: Kalle für Peter: 2 → 1".
+ *
+ * @param {Object} aktuell - The evening before the undo/redo
+ * @param {Object} wiederhergestellt - The version restored by undo/redo
+ * @param {Object} config - Current configuration
+ * @param {boolean} redo - false for undo, true for redo
+ * @returns {Object} - The restored version with the continued log
+ */
+export const logUndo = (aktuell, wiederhergestellt, config, redo) => {
+  const texte = describeChanges(aktuell, wiederhergestellt, config).map(eintrag => eintrag.text);
+  const text = `${redo ? 'Wiederholt' : 'Rückgängig'}: ${texte.join(', ') || 'letzte Änderung'}`;
+  return {
+    ...wiederhergestellt,
+    historie: [...(aktuell.historie || []), createHistorieEintrag('rueckgaengig', text)],
+  };
+};
+
+/**
+ * Describes a change of the price snapshot of an evening
+ *
+ * @param {Object|null} alt - The previous snapshot (see createPreisSnapshot), null if none
+ * @param {Object} neu - The new snapshot
+ * @param {string} waehrung - Currency symbol
+ * @returns {Object} - Log entry, e.g. "Preise geändert: Kalle 0.50€ → 1.00€"
+ */
+export const createPreisEintrag = (alt, neu, waehrung) => {
+  if (!alt) return createHistorieEintrag('preise', 'Aktuelle Preise übernommen');
+  const betrag = wert => (typeof wert === 'number' ? `${wert.toFixed(2)}${waehrung}` : '–');
+  const aenderungen = [];
+
+  if (alt.startgebuehr !== neu.startgebuehr) {
+    aenderungen.push(`Startgebühr ${betrag(alt.startgebuehr)} → ${betrag(neu.startgebuehr)}`);
+  }
+  if (alt.fehlgeld !== neu.fehlgeld) {
+    aenderungen.push(`Fehlgeld ${betrag(alt.fehlgeld)} → ${betrag(neu.fehlgeld)}`);
+  }
+  neu.strafen.forEach(strafe => {
+    const vorher = alt.strafen.find(s => s.id === strafe.id);
+    if (vorher?.preis !== strafe.preis) {
+      aenderungen.push(`${strafe.label} ${betrag(vorher?.preis)} → ${betrag(strafe.preis)}`);
+    }
+  });
+  if (alt.geldspiel?.einsatz !== neu.geldspiel?.einsatz) {
+    aenderungen.push(
+      `Geldspiel-Einsatz ${betrag(alt.geldspiel?.einsatz)} → ${betrag(neu.geldspiel?.einsatz)}`
+    );
+  }
+
+  return createHistorieEintrag(
+    'preise',
+    aenderungen.length > 0
+      ? `Preise geändert: ${aenderungen.join(', ')}`
+      : 'Aktuelle Preise übernommen'
+  );
+};
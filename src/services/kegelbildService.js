@@ -0,0 +1,147 @@
+/**
+ * kegelbildService.js - Pin board: throws, pin pictures and game score
+ *
+ * On the pin board the pins that fell are tapped for every throw. A throw
+ * (Wurf) always starts with all nine pins standing ("in die Vollen"):
+ * - The fallen pins (Holz) are added to the player's result of the chosen
+ *   game type in `player.spiele`
+ * - A pin picture of KEGELBILDER (Volle, Kranz, Stina) counts the matching
+ *   penalty; in the live mode as a live event (see liveService), otherwise
+ *   directly in `player.strafen`
+ *
+ * Every throw is stored in `kegelabend.wuerfe` (see createWurf), so the
+ * booking can be checked later. removeWurf takes a throw back, e.g. when the
+ * wrong pins were tapped, also after the pin board was closed.
+ *
+ * addWurf and removeWurf take an evening and return a changed copy, which
+ * the pin board dialog hands back to the table as a normal edit.
+ */
+
+import { KEGELBILDER, createWurf } from '../config/defaultConfig';
+import { isLive, addEreignis, removeEreignis } from './liveService';
+
+/**
+ * Reads a stored points result, invalid or empty results count as 0
+ * @param {string} value - Result from player.spiele
+ * @returns {number}
+ */
+export const readPunkte = value => {
+  const number = Number(String(value ?? '').replace(',', '.'));
+  return Number.isNaN(number) ? 0 : number;
+};
+
+/**
+ * Finds the penalty for the pins that fell
+ *
+ * @param {Array} gefallen - Numbers of the fallen pins (see KEGEL)
+ * @param {Object} config - Configuration with the evening's penalties
+ * @returns {Object|null} - The configured penalty, null if no pin picture matches
+ */
+export const detectKegelbild = (gefallen, config) => {
+  const bild = KEGELBILDER.find(
+    kegelbild =>
+      kegelbild.gefallen.length === gefallen.length &&
+      kegelbild.gefallen.every(nr => gefallen.includes(nr)) &&
+      config.strafen.some(strafe => strafe.id === kegelbild.strafeId)
+  );
+  return bild ? config.strafen.find(strafe => strafe.id === bild.strafeId) : null;
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Changes one player row of an evening
+ * @param {Object} kegelabend - The bowling evening
+ * @param {string} spielerId - Id of the player row
+ * @param {Function} updateFn - Receives the player, returns the changed player
+ * @returns {Object} - The changed evening
+ */
+const updateSpieler = (kegelabend, spielerId, updateFn) => ({
+  ...kegelabend,
+  spieler: kegelabend.spieler.map(player => (player.id === spielerId ? updateFn(player) : player)),
+});
+
+/** Adds to a penalty count (never below 0) */
+const changeStrafe = (kegelabend, spielerId, strafeId, delta) =>
+  updateSpieler(kegelabend, spielerId, player => ({
+    ...player,
+    strafen: {
+      ...player.strafen,
+      [strafeId]: Math.max(0, (player.strafen[strafeId] || 0) + delta),
+    },
+  }));
+
+/** Adds pins to a points result */
+const changePunkte = (kegelabend, spielerId, spielId, delta) =>
+  updateSpieler(kegelabend, spielerId, player => ({
+    ...player,
+    spiele: {
+      ...player.spiele,
+      [spielId]: String(readPunkte(player.spiele[spielId]) + delta),
+    },
+  }));
+
+// ============================================
+// THROWS
+// ============================================
+
+/**
+ * Books one throw into the evening
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Configuration with the evening's penalties
+ * @param {string} spielerId - Id of the player row who threw
+ * @param {string} spielId - Game type the pins count for ('' = penalties only)
+ * @param {Array} gefallen - Numbers of the fallen pins
+ * @returns {Object} - The changed evening with the throw in `wuerfe`
+ */
+export const addWurf = (kegelabend, config, spielerId, spielId, gefallen) => {
+  const strafe = detectKegelbild(gefallen, config);
+  let abend = kegelabend;
+  let ereignisId = null;
+
+  if (strafe && isLive(abend)) {
+    abend = addEreignis(abend, spielerId, strafe.id);
+    ereignisId = abend.ereignisse[abend.ereignisse.length - 1].id;
+  } else if (strafe) {
+    abend = changeStrafe(abend, spielerId, strafe.id, 1);
+  }
+  if (spielId) abend = changePunkte(abend, spielerId, spielId, gefallen.length);
+
+  const wurf = createWurf(spielerId, spielId, gefallen, strafe?.id ?? null, ereignisId);
+  return { ...abend, wuerfe: [...(abend.wuerfe || []), wurf] };
+};
+
+/**
+ * Takes a throw back: removes its pins from the result and its penalty
+ *
+ * In the live mode the throw's event is removed (or the latest event of the
+ * same penalty, if the live mode was started after the throw).
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} wurf - A throw of `kegelabend.wuerfe`
+ * @returns {Object} - The changed evening without the throw
+ */
+export const removeWurf = (kegelabend, wurf) => {
+  let abend = {
+    ...kegelabend,
+    wuerfe: (kegelabend.wuerfe || []).filter(w => w.id !== wurf.id),
+  };
+
+  if (wurf.strafeId && isLive(abend)) {
+    const ereignis =
+      abend.ereignisse.find(e => e.id === wurf.ereignisId) ||
+      [...abend.ereignisse]
+        .reverse()
+        .find(e => e.spielerId === wurf.spielerId && e.strafeId === wurf.strafeId);
+    if (ereignis) abend = removeEreignis(abend, ereignis.id);
+  } else if (wurf.strafeId) {
+    abend = changeStrafe(abend, wurf.spielerId, wurf.strafeId, -1);
+  }
+  if (wurf.spielId) {
+    abend = changePunkte(abend, wurf.spielerId, wurf.spielId, -wurf.gefallen.length);
+  }
+  return abend;
+};
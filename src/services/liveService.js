@@ -0,0 +1,190 @@
+/**
+ * liveService.js - Live mode: penalties tapped while bowling
+ *
+ * In the live mode every "+1 Kalle" is stored as a timestamped event in
+ * `kegelabend.ereignisse` (see createEreignis). The penalty counts of the
+ * players are derived from this list, so calculatePlayerTotal and all
+ * evaluations keep working with `player.strafen` as before. A wrong tap is
+ * fixed by removing its event, the count follows.
+ *
+ * `kegelabend.live` tells whether the evening is captured live right now,
+ * `ereignisse` is null for evenings that were never live. Starting the live
+ * mode converts counts typed in so far into events marked `nachgetragen`, so
+ * no penalty is lost. Ending it keeps the events, the counts can then be
+ * typed in the table again and are reconciled when the live mode restarts.
+ *
+ * The functions take an evening and return a changed copy; the table and the
+ * live dialog hand it on like any other edit (undo and log included).
+ */
+
+import { createEreignis } from '../config/defaultConfig';
+
+/**
+ * Whether the penalties of an evening are captured live
+ * @param {Object} kegelabend - The bowling evening
+ * @returns {boolean}
+ */
+export const isLive = kegelabend => kegelabend?.live === true;
+
+// ============================================
+// DERIVED COUNTS
+// ============================================
+
+/**
+ * Counts the events of one player per penalty
+ *
+ * @param {Array} ereignisse - Live events
+ * @param {string} spielerId - Id of the player row
+ * @returns {Object} - { strafeId: count }, penalties without events are left out
+ */
+export const countEreignisse = (ereignisse, spielerId) =>
+  ereignisse
+    .filter(ereignis => ereignis.spielerId === spielerId)
+    .reduce(
+      (strafen, ereignis) => ({
+        ...strafen,
+        [ereignis.strafeId]: (strafen[ereignis.strafeId] || 0) + 1,
+      }),
+      {}
+    );
+
+/**
+ * Checks whether two penalty objects hold the same counts (missing = 0)
+ * @param {Object} a - { strafeId: count }
+ * @param {Object} b - { strafeId: count }
+ * @returns {boolean}
+ */
+const isSameCount = (a, b) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].every(
+    strafeId => (a[strafeId] || 0) === (b[strafeId] || 0)
+  );
+
+/**
+ * Sets the penalty counts of all players from the events
+ *
+ * Players whose counts did not change keep their identity, so the change log
+ * only notes the players that were tapped.
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @returns {Object} - The evening with derived counts (unchanged if not live)
+ */
+export const applyEreignisse = kegelabend => {
+  if (!isLive(kegelabend)) return kegelabend;
+
+  const spieler = kegelabend.spieler.map(player => {
+    const strafen = countEreignisse(kegelabend.ereignisse, player.id);
+    return isSameCount(player.strafen, strafen) ? player : { ...player, strafen };
+  });
+  return spieler.some((player, index) => player !== kegelabend.spieler[index])
+    ? { ...kegelabend, spieler }
+    : kegelabend;
+};
+
+// ============================================
+// EDITING
+// ============================================
+
+/**
+ * Reconciles the events of one player with the counts in the table
+ *
+ * Counts typed in above the events become events marked `nachgetragen`,
+ * counts lowered in the table drop the latest events of that penalty.
+ *
+ * @param {Object} player - The player row
+ * @param {Array} ereignisse - The player's events so far
+ * @returns {Array} - The player's events matching `player.strafen`
+ */
+const reconcileEreignisse = (player, ereignisse) => {
+  if (isSameCount(player.strafen, countEreignisse(ereignisse, player.id))) return ereignisse;
+
+  const strafeIds = new Set([
+    ...Object.keys(player.strafen),
+    ...ereignisse.map(ereignis => ereignis.strafeId),
+  ]);
+  return [...strafeIds].flatMap(strafeId => {
+    const anzahl = Math.max(0, player.strafen[strafeId] || 0);
+    const bisher = ereignisse.filter(ereignis => ereignis.strafeId === strafeId);
+    return [
+      ...bisher.slice(0, anzahl),
+      ...Array.from({ length: Math.max(0, anzahl - bisher.length) }, () =>
+        createEreignis(player.id, strafeId, true)
+      ),
+    ];
+  });
+};
+
+/**
+ * Switches an evening to the live mode
+ * Counts typed in so far become events marked `nachgetragen`, the events of an
+ * earlier live session are kept (see reconcileEreignisse).
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @returns {Object} - The live evening (unchanged if already live)
+ */
+export const startLive = kegelabend => {
+  if (isLive(kegelabend)) return kegelabend;
+
+  const bisher = kegelabend.ereignisse || [];
+  const ereignisse = kegelabend.spieler
+    .flatMap(player =>
+      reconcileEreignisse(
+        player,
+        bisher.filter(ereignis => ereignis.spielerId === player.id)
+      )
+    )
+    .sort((a, b) => a.zeitpunkt.localeCompare(b.zeitpunkt));
+  return { ...kegelabend, live: true, ereignisse };
+};
+
+/**
+ * Adds one tapped penalty (starts the live mode if needed)
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {string} spielerId - Id of the player row
+ * @param {string} strafeId - Id of the penalty
+ * @returns {Object} - The evening with the new event and derived counts
+ */
+export const addEreignis = (kegelabend, spielerId, strafeId) => {
+  const live = startLive(kegelabend);
+  return applyEreignisse({
+    ...live,
+    ereignisse: [...live.ereignisse, createEreignis(spielerId, strafeId)],
+  });
+};
+
+/**
+ * Removes one event, e.g. an accidental tap
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {string} ereignisId - Id of the event
+ * @returns {Object} - The evening without the event and with derived counts
+ */
+export const removeEreignis = (kegelabend, ereignisId) =>
+  applyEreignisse({
+    ...kegelabend,
+    ereignisse: kegelabend.ereignisse.filter(ereignis => ereignis.id !== ereignisId),
+  });
+
+/**
+ * Removes all events of a player (player removed)
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {string} spielerId - Id of the player row
+ * @returns {Object} - The evening without the player's events
+ */
+export const removeSpielerEreignisse = (kegelabend, spielerId) =>
+  kegelabend.ereignisse
+    ? {
+        ...kegelabend,
+        ereignisse: kegelabend.ereignisse.filter(ereignis => ereignis.spielerId !== spielerId),
+      }
+    : kegelabend;
+
+/**
+ * Ends the live mode, the derived counts stay and can be typed in the table again
+ * The events are kept as a record of the evening.
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @returns {Object} - The evening that is no longer live
+ */
+export const stopLive = kegelabend => ({ ...kegelabend, live: false });
@@ -0,0 +1,325 @@
+/**
+ * mergeService.js - Merge an imported backup into the local data
+ *
+ * Two members keep the book on different tablets. Instead of overwriting,
+ * a backup can be merged:
+ * - Evenings are matched by `kegelabend.id`
+ * - Players within an evening are matched by member id, guests by name (see
+ *   findPartner, the rows are linked to the local master data afterwards)
+ * - Evenings only in the backup are added
+ * - Players only on one side are kept (no conflict)
+ * - The same player or evening field with different values is a conflict,
+ *   the user decides per conflict which version wins
+ * - The change logs (historie) of both sides are combined, entries are
+ *   matched by id
+ * - Live events (see liveService) follow the chosen side, players only on
+ *   the other side keep theirs; the penalty counts are derived again
+ * - Throws of the pin board (see kegelbildService) follow the chosen side
+ *
+ * diffKegelabende lists the conflicts for the preview, mergeKegelabende
+ * applies the user's choices. All merge functions return new lists, which
+ * App.jsx then stores.
+ */
+
+import { isLive, applyEreignisse, startLive } from './liveService';
+
+/** Evening fields that are compared (players are compared one by one) */
+const ABEND_FELDER = [
+  'datum',
+  'notizen',
+  'abgeschlossen',
+  'archiviert',
+  'preise',
+  'ereignisse',
+  'wuerfe',
+];
+
+/** Fields that are taken together with a compared field */
+const ZUGEHOERIGE_FELDER = { abgeschlossen: ['abgeschlossenAm'] };
+
+/**
+ * Stable JSON representation (object keys sorted), used for comparisons
+ * @param {any} value - Any JSON value
+ * @returns {string}
+ */
+const canonical = value => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/** Compares two players without their ids (ids differ between devices) */
+const isSamePlayer = (a, b) =>
+  canonical({ ...a, id: null, mitgliedId: null }) ===
+  canonical({ ...b, id: null, mitgliedId: null });
+
+/**
+ * Finds the row of the same player in the other version of an evening
+ *
+ * Members are matched by member id. Member ids can differ between devices,
+ * so a member row with the same name is the fallback. Guests are only
+ * matched with guests of the same name, never with a member.
+ *
+ * @param {Array} spieler - Player rows of the other version
+ * @param {Object} player - The player row to find
+ * @returns {Object|undefined} - The matching row
+ */
+const findPartner = (spieler, player) => {
+  const name = player.name.trim();
+  if (!player.mitgliedId) {
+    return spieler.find(p => !p.mitgliedId && p.name.trim() === name);
+  }
+  return (
+    spieler.find(p => p.mitgliedId === player.mitgliedId) ||
+    spieler.find(p => p.mitgliedId && p.name.trim() === name)
+  );
+};
+
+/**
+ * Points events or throws of one version to the rows of the merged evening
+ *
+ * @param {Object} abend - The merged evening (players already merged)
+ * @param {Object} quelle - The version the entries come from
+ * @param {Array} eintraege - Entries with `spielerId`
+ * @returns {Array} - The entries with the ids of the merged rows
+ */
+const umschreiben = (abend, quelle, eintraege) =>
+  eintraege.map(eintrag => {
+    const player = quelle.spieler.find(p => p.id === eintrag.spielerId);
+    return {
+      ...eintrag,
+      spielerId: (player && findPartner(abend.spieler, player)?.id) ?? eintrag.spielerId,
+    };
+  });
+
+// ============================================
+// DIFF
+// ============================================
+
+/**
+ * Compares the local evenings with the evenings of a backup
+ *
+ * @param {Array} lokal - Local evenings
+ * @param {Array} importiert - Evenings of the backup
+ * @returns {Object} - {
+ *   neu: [abend],                  // Only in the backup, will be added
+ *   unveraendert: number,          // In both and equal
+ *   geaendert: [{
+ *     lokal, importiert,           // Both versions of the evening
+ *     hinzugefuegt: [name],        // Players only in the backup (added)
+ *     historie: [eintrag],         // Log entries only in the backup (added)
+ *     konflikte: [{
+ *       id,                        // Unique key for the user's choice
+ *       abendId,
+ *       feld,                      // Evening field, or 'spieler'
+ *       lokalId, name,             // Local player row and name (feld 'spieler')
+ *       lokal, importiert,         // Both values
+ *     }],
+ *   }],
+ * }
+ */
+export const diffKegelabende = (lokal, importiert) => {
+  const lokalById = new Map(lokal.map(abend => [abend.id, abend]));
+  const diff = { neu: [], unveraendert: 0, geaendert: [] };
+
+  importiert.forEach(imp => {
+    const lok = lokalById.get(imp.id);
+    if (!lok) {
+      diff.neu.push(imp);
+      return;
+    }
+
+    const konflikte = ABEND_FELDER.filter(
+      feld => canonical(lok[feld]) !== canonical(imp[feld])
+    ).map(feld => ({
+      id: `${lok.id}:${feld}`,
+      abendId: lok.id,
+      feld,
+      lokal: lok[feld],
+      importiert: imp[feld],
+    }));
+
+    const hinzugefuegt = [];
+    imp.spieler.forEach(player => {
+      const lokalPlayer = findPartner(lok.spieler, player);
+      if (!lokalPlayer) {
+        hinzugefuegt.push(player.name.trim());
+      } else if (!isSamePlayer(lokalPlayer, player)) {
+        konflikte.push({
+          id: `${lok.id}:spieler:${lokalPlayer.id}`,
+          abendId: lok.id,
+          feld: 'spieler',
+          lokalId: lokalPlayer.id,
+          name: lokalPlayer.name.trim(),
+          lokal: lokalPlayer,
+          importiert: player,
+        });
+      }
+    });
+
+    const lokalEintraege = new Set((lok.historie || []).map(eintrag => eintrag.id));
+    const historie = (imp.historie || []).filter(eintrag => !lokalEintraege.has(eintrag.id));
+
+    if (konflikte.length === 0 && hinzugefuegt.length === 0 && historie.length === 0) {
+      diff.unveraendert += 1;
+    } else {
+      diff.geaendert.push({ lokal: lok, importiert: imp, hinzugefuegt, historie, konflikte });
+    }
+  });
+
+  return diff;
+};
+
+// ============================================
+// MERGE
+// ============================================
+
+/**
+ * Live events of a merged evening
+ *
+ * The events and the live flag of the chosen side are kept. Players that are
+ * only on the other side keep their events (typed counts become events if the
+ * evening stays live, see startLive). Events point to the rows of the merged
+ * evening, which are matched with findPartner.
+ *
+ * @param {Object} abend - The merged evening (players already merged)
+ * @param {Object} gewinner - The evening whose events were chosen
+ * @param {Object} andere - The other version of the evening
+ * @returns {Object} - The evening with events and derived counts
+ */
+const mergeEreignisse = (abend, gewinner, andere) => {
+  if (!gewinner.ereignisse) return { ...abend, live: false, ereignisse: null };
+
+  const quelle = isLive(gewinner) ? startLive(andere) : andere;
+  const nurAndere = (quelle.ereignisse || []).filter(ereignis => {
+    const player = andere.spieler.find(p => p.id === ereignis.spielerId);
+    return player && !findPartner(gewinner.spieler, player);
+  });
+
+  return applyEreignisse({
+    ...abend,
+    live: isLive(gewinner),
+    ereignisse: [
+      ...umschreiben(abend, gewinner, gewinner.ereignisse),
+      ...umschreiben(abend, andere, nurAndere),
+    ].sort((a, b) => a.zeitpunkt.localeCompare(b.zeitpunkt)),
+  });
+};
+
+/**
+ * Merges the evenings using the user's choice per conflict
+ *
+ * @param {Array} lokal - Local evenings
+ * @param {Object} diff - Result of diffKegelabende
+ * @param {Object} auswahl - { conflictId: 'lokal' | 'importiert' }, default 'lokal'
+ * @returns {Array} - Merged evenings, sorted by date
+ */
+export const mergeKegelabende = (lokal, diff, auswahl) => {
+  const geaendertById = new Map(diff.geaendert.map(entry => [entry.lokal.id, entry]));
+  const nimmtImport = konflikt => auswahl[konflikt.id] === 'importiert';
+
+  const merged = lokal.map(abend => {
+    const entry = geaendertById.get(abend.id);
+    if (!entry) return abend;
+
+    const result = { ...abend };
+    entry.konflikte
+      .filter(konflikt => konflikt.feld !== 'spieler' && nimmtImport(konflikt))
+      .forEach(konflikt => {
+        result[konflikt.feld] = konflikt.importiert;
+        (ZUGEHOERIGE_FELDER[konflikt.feld] || []).forEach(feld => {
+          result[feld] = entry.importiert[feld];
+        });
+      });
+
+    // Local players (replaced where the backup wins), then players only in the backup
+    result.spieler = [
+      ...abend.spieler.map(player => {
+        const konflikt = entry.konflikte.find(k => k.feld === 'spieler' && k.lokalId === player.id);
+        return konflikt && nimmtImport(konflikt)
+          ? { ...konflikt.importiert, id: player.id, mitgliedId: player.mitgliedId }
+          : player;
+      }),
+      ...entry.importiert.spieler.filter(player => !findPartner(abend.spieler, player)),
+    ];
+    result.historie = [...(abend.historie || []), ...entry.historie].sort((a, b) =>
+      a.zeitpunkt.localeCompare(b.zeitpunkt)
+    );
+
+    const wurfKonflikt = entry.konflikte.find(konflikt => konflikt.feld === 'wuerfe');
+    if (wurfKonflikt && nimmtImport(wurfKonflikt)) {
+      result.wuerfe = umschreiben(result, entry.importiert, entry.importiert.wuerfe || []);
+    }
+
+    const ereignisKonflikt = entry.konflikte.find(konflikt => konflikt.feld === 'ereignisse');
+    return ereignisKonflikt && nimmtImport(ereignisKonflikt)
+      ? mergeEreignisse(result, entry.importiert, abend)
+      : mergeEreignisse(result, abend, entry.importiert);
+  });
+
+  return [...merged, ...diff.neu].sort((a, b) => a.datum.localeCompare(b.datum));
+};
+
+/**
+ * Merges two lists of records by id (local records win)
+ * @param {Array} lokal - Local records
+ * @param {Array} importiert - Records of the backup
+ * @returns {Array} - Local records plus records only in the backup
+ */
+const mergeById = (lokal, importiert) => {
+  const ids = new Set(lokal.map(eintrag => eintrag.id));
+  return [...lokal, ...importiert.filter(eintrag => !ids.has(eintrag.id))];
+};
+
+/**
+ * Merges the treasury bookings by id (local bookings win)
+ *
+ * @param {Array} lokal - Local bookings
+ * @param {Array} importiert - Bookings of the backup
+ * @returns {Array} - Local bookings plus bookings only in the backup
+ */
+export const mergeBuchungen = (lokal, importiert) => mergeById(lokal, importiert);
+
+/**
+ * Merges the stored seasons by id (local seasons win)
+ *
+ * Seasons of the backup that overlap a local season are left out, every
+ * evening must belong to exactly one season.
+ *
+ * @param {Array} lokal - Local seasons
+ * @param {Array} importiert - Seasons of the backup
+ * @returns {Array} - Local seasons plus non-overlapping seasons only in the backup
+ */
+export const mergeSaisons = (lokal, importiert) =>
+  mergeById(
+    lokal,
+    importiert.filter(
+      saison =>
+        !lokal.some(
+          andere => andere.id !== saison.id && andere.von <= saison.bis && saison.von <= andere.bis
+        )
+    )
+  );
+
+/**
+ * Merges the player master data by id (local members win)
+ *
+ * Members of the backup with the name of a local member are left out, their
+ * evening rows are linked to the local member (see linkMitglieder).
+ *
+ * @param {Array} lokal - Local members
+ * @param {Array} importiert - Members of the backup
+ * @returns {Array} - Local members plus members only in the backup, sorted by name
+ */
+export const mergeMitglieder = (lokal, importiert) =>
+  mergeById(
+    lokal,
+    importiert.filter(
+      mitglied => !lokal.some(andere => andere.id !== mitglied.id && andere.name === mitglied.name)
+    )
+  ).sort((a, b) => a.name.localeCompare(b.name, 'de'));
@@ -0,0 +1,321 @@
+/**
+ * migrationService.js - Versioned data schema with migrations
+ *
+ * The stored data (LocalStorage and JSON backups) carries a schema version.
+ * When older data is loaded or imported, every migration step newer than
+ * the data's version runs once, in order. This way custom configuration
+ * survives app updates and old backups still load correctly.
+ *
+ * Adding a new step:
+ * 1. Increase SCHEMA_VERSION
+ * 2. Append a step with that version to MIGRATIONS
+ * Steps must never be changed afterwards, data in the wild depends on them.
+ * Each step gets the data and the version it was stored with.
+ *
+ * storageService runs the pipeline when the stored data is loaded and when a
+ * backup is read; the steps only reshape the data they are given.
+ */
+
+import {
+  defaultConfig,
+  createPreisSnapshot,
+  createMitglied,
+  copyGeldspielArt,
+} from '../config/defaultConfig';
+
+/** Current schema version of the stored data */
+export const SCHEMA_VERSION = 13;
+
+/**
+ * Reads a stored version number
+ * Data from before versioning has no version (or the export string '1.0').
+ *
+ * @param {number|string|undefined} version - The stored version
+ * @returns {number} - The schema version, 1 for unversioned data
+ */
+export const parseVersion = version => {
+  const number = parseInt(String(version ?? ''), 10);
+  return Number.isNaN(number) ? 1 : number;
+};
+
+// ============================================
+// MIGRATION STEPS
+// ============================================
+
+/**
+ * Version 2: Everything added before the schema was versioned
+ * - Penalties are kept (they used to be replaced by the defaults on every start),
+ *   only default penalties that are missing by id are added
+ * - Game types get a result type
+ * - Money game and championship settings
+ * - Players get payment fields, evenings get a price snapshot
+ */
+const migrateToV2 = data => {
+  const config = data.config && {
+    ...defaultConfig,
+    ...data.config,
+    strafen: [
+      ...(data.config.strafen || []),
+      ...defaultConfig.strafen.filter(
+        strafe => !(data.config.strafen || []).some(s => s.id === strafe.id)
+      ),
+    ],
+    spielarten: (data.config.spielarten || defaultConfig.spielarten).map(spiel => ({
+      ergebnisTyp: defaultConfig.spielarten.find(d => d.id === spiel.id)?.ergebnisTyp || 'punkte',
+      ...spiel,
+    })),
+    geldspiel: { ...defaultConfig.geldspiel, ...data.config.geldspiel },
+    meisterschaft: { ...defaultConfig.meisterschaft, ...data.config.meisterschaft },
+  };
+
+  // Old evenings are frozen with the prices known at the time of the update
+  const preise = createPreisSnapshot(config || defaultConfig);
+
+  return {
+    ...data,
+    config,
+    kegelabende: data.kegelabende.map(abend => ({
+      notizen: '',
+      abgeschlossen: false,
+      preise,
+      ...abend,
+      spieler: abend.spieler.map(player => ({
+        anwesend: true,
+        strafen: {},
+        spiele: {},
+        bezahlt: 0,
+        zahlungsart: '',
+        ...player,
+      })),
+    })),
+  };
+};
+
+/**
+ * Version 3: Closing evenings
+ * - Evenings get the closing timestamp and a log (historie)
+ */
+const migrateToV3 = data => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend => ({
+    abgeschlossenAm: null,
+    historie: [],
+    ...abend,
+  })),
+});
+
+/**
+ * Version 4: Archive
+ * - Evenings get the archive flag (archived evenings are hidden from the evenings list)
+ */
+const migrateToV4 = data => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend => ({ archiviert: false, ...abend })),
+});
+
+/**
+ * Version 5: Player master data as records
+ * - The saved player names become member records with a stable id
+ * - Names that only appear on evenings get an inactive member
+ * - Player rows link to their member by `mitgliedId`
+ */
+const migrateToV5 = data => {
+  const gespeichert = data.spieler.map(name => String(name).trim()).filter(Boolean);
+  const namen = [
+    ...new Set([
+      ...gespeichert,
+      ...data.kegelabende.flatMap(abend => abend.spieler.map(player => player.name.trim())),
+    ]),
+  ].filter(Boolean);
+  const spieler = namen
+    .map(name => ({ ...createMitglied(name), aktiv: gespeichert.includes(name) }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+  const byName = new Map(spieler.map(mitglied => [mitglied.name, mitglied.id]));
+
+  return {
+    ...data,
+    spieler,
+    kegelabende: data.kegelabende.map(abend => ({
+      ...abend,
+      spieler: abend.spieler.map(player => ({
+        ...player,
+        mitgliedId: byName.get(player.name.trim()) ?? null,
+      })),
+    })),
+  };
+};
+
+/**
+ * Version 6: Absence fee
+ * - The configuration gets the absence fee (Fehlgeld)
+ * - Evening snapshots get the entry fee as absence fee, so players that were
+ *   already marked absent (e.g. by the CSV import) keep paying the same
+ */
+const migrateToV6 = data => ({
+  ...data,
+  config: data.config && { fehlgeld: defaultConfig.fehlgeld, ...data.config },
+  kegelabende: data.kegelabende.map(abend => {
+    if (!abend.preise) return abend;
+    // Same key order as createPreisSnapshot, snapshots are compared as JSON
+    const { startgebuehr, ...preise } = abend.preise;
+    return { ...abend, preise: { startgebuehr, fehlgeld: startgebuehr, ...preise } };
+  }),
+});
+
+/**
+ * Version 7: Live mode
+ * - Evenings get the live event list (null = penalties are typed in the table)
+ */
+const migrateToV7 = data => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend => ({ ereignisse: null, ...abend })),
+});
+
+/**
+ * Version 8: Ending the live mode keeps the events
+ * - Evenings get the live flag, evenings with an event list were live
+ */
+const migrateToV8 = data => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend => ({
+    live: Array.isArray(abend.ereignisse),
+    ...abend,
+  })),
+});
+
+/**
+ * Version 9: Throws of the pin board
+ * - Evenings get the list of booked throws (wuerfe)
+ */
+const migrateToV9 = data => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend => ({ wuerfe: [], ...abend })),
+});
+
+/**
+ * Version 10: Money game type in the price snapshot
+ * - Evening snapshots get a copy of the money game's game type, taken from the
+ *   configuration at the time of the update
+ */
+const migrateToV10 = data => {
+  const spielarten = (data.config || defaultConfig).spielarten;
+  return {
+    ...data,
+    kegelabende: data.kegelabende.map(abend => {
+      const geldspiel = abend.preise?.geldspiel;
+      if (!geldspiel || geldspiel.spielart !== undefined) return abend;
+      const spielart = copyGeldspielArt({ spielarten, geldspiel });
+      return { ...abend, preise: { ...abend.preise, geldspiel: { ...geldspiel, spielart } } };
+    }),
+  };
+};
+
+/**
+ * Version 11: Season balances per member id
+ * - The frozen balances of closed seasons are keyed by member id, names
+ *   without a member become guest keys (`gast:<name>`, see getSpielerKey)
+ */
+const migrateToV11 = data => {
+  const byName = new Map(data.spieler.map(mitglied => [mitglied.name.trim(), mitglied.id]));
+  const toKey = name => byName.get(name.trim()) || `gast:${name.trim()}`;
+
+  return {
+    ...data,
+    saisons: data.saisons.map(saison =>
+      saison.salden
+        ? {
+            ...saison,
+            salden: Object.entries(saison.salden).reduce(
+              (salden, [name, betrag]) => ({
+                ...salden,
+                [toKey(name)]: (salden[toKey(name)] || 0) + betrag,
+              }),
+              {}
+            ),
+          }
+        : saison
+    ),
+  };
+};
+
+/**
+ * Version 12: Evenings from before payment tracking
+ * - Evenings of data older than version 2 had no payments recorded (version 2
+ *   set them to 0), they are marked and left out of the Kassenstand
+ */
+const migrateToV12 = (data, fromVersion) => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend => ({ zahlungenErfasst: fromVersion >= 2, ...abend })),
+});
+
+/**
+ * Version 13: Absence fee of migrated snapshots
+ * - For data older than version 6 the snapshots get the entry fee as absence fee.
+ *   Version 6 meant to do this, but snapshots taken by version 2 already carried
+ *   the configured absence fee, which then won.
+ */
+const migrateToV13 = (data, fromVersion) => ({
+  ...data,
+  kegelabende: data.kegelabende.map(abend =>
+    fromVersion < 6 && abend.preise
+      ? { ...abend, preise: { ...abend.preise, fehlgeld: abend.preise.startgebuehr } }
+      : abend
+  ),
+});
+
+/** All migration steps, oldest first */
+const MIGRATIONS = [
+  { version: 2, migrate: migrateToV2 },
+  { version: 3, migrate: migrateToV3 },
+  { version: 4, migrate: migrateToV4 },
+  { version: 5, migrate: migrateToV5 },
+  { version: 6, migrate: migrateToV6 },
+  { version: 7, migrate: migrateToV7 },
+  { version: 8, migrate: migrateToV8 },
+  { version: 9, migrate: migrateToV9 },
+  { version: 10, migrate: migrateToV10 },
+  { version: 11, migrate: migrateToV11 },
+  { version: 12, migrate: migrateToV12 },
+  { version: 13, migrate: migrateToV13 },
+];
+
+// ============================================
+// PIPELINE
+// ============================================
+
+/**
+ * Refuses data of a newer app version, it must neither be read nor overwritten
+ *
+ * @param {number} version - Schema version of the data (see parseVersion)
+ * @throws {Error} - If the data is newer than this app version
+ */
+export const checkVersion = version => {
+  if (version > SCHEMA_VERSION) {
+    throw new Error('Die Daten stammen aus einer neueren Version des Kegelbuchs');
+  }
+};
+
+/**
+ * Brings data of any older version to the current schema
+ *
+ * @param {Object} data - { config (null = not saved), kegelabende, spieler, buchungen, saisons }
+ * @param {number} fromVersion - Schema version of the data
+ * @returns {Object} - The migrated data (same shape)
+ * @throws {Error} - If the data is newer than this app version
+ */
+export const migrateData = (data, fromVersion) => {
+  checkVersion(fromVersion);
+
+  const normalized = {
+    config: data.config || null,
+    kegelabende: data.kegelabende || [],
+    spieler: data.spieler || [],
+    buchungen: data.buchungen || [],
+    saisons: data.saisons || [],
+  };
+
+  return MIGRATIONS.filter(step => step.version > fromVersion).reduce(
+    (current, step) => step.migrate(current, fromVersion),
+    normalized
+  );
+};
@@ -0,0 +1,166 @@
+/**
+ * mitgliederService.js - Player master data (Spieler-Stammdaten)
+ *
+ * Members are records with a stable id (see createMitglied). Each player row
+ * of an evening links to its member by `mitgliedId`; guests have no member.
+ * The row also keeps the name for display, exports and old backups. Renaming a
+ * member therefore rewrites the name in all linked rows. Evaluations group the
+ * rows by getSpielerKey, so a guest who happens to have a member's (old or new)
+ * name is never mixed up with the member.
+ *
+ * Renaming and linking return changed copies of the evenings; App.jsx stores
+ * them together with the member list.
+ */
+
+import { createMitglied, createHistorieEintrag } from '../config/defaultConfig';
+
+/**
+ * Compares names for uniqueness (ignores case and surrounding spaces)
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {boolean}
+ */
+const isSameName = (a, b) => a.trim().toLocaleLowerCase('de') === b.trim().toLocaleLowerCase('de');
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Sorts members by name
+ * @param {Array} mitglieder - Members
+ * @returns {Array} - New sorted array
+ */
+export const sortMitglieder = mitglieder =>
+  [...mitglieder].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+/**
+ * Finds the member with exactly this name
+ * @param {Array} mitglieder - Members
+ * @param {string} name - Name (surrounding spaces are ignored)
+ * @returns {Object|undefined}
+ */
+export const findMitgliedByName = (mitglieder, name) =>
+  mitglieder.find(mitglied => mitglied.name === name.trim());
+
+/**
+ * Identifies the person of a player row across evenings
+ * Members by their member id, guests (rows without member) by their name.
+ *
+ * @param {Object} player - Player row of an evening
+ * @returns {string}
+ */
+export const getSpielerKey = player => player.mitgliedId || `gast:${player.name.trim()}`;
+
+/**
+ * Counts the evenings a member played in
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {string} mitgliedId - Id of the member
+ * @returns {number}
+ */
+export const countMitgliedAbende = (kegelabende, mitgliedId) =>
+  kegelabende.filter(abend => abend.spieler.some(player => player.mitgliedId === mitgliedId))
+    .length;
+
+/**
+ * Checks a new or changed member
+ *
+ * @param {Object} mitglied - The member to check
+ * @param {Array} mitglieder - All members (the member itself is ignored by id)
+ * @returns {Array} - German error messages, empty if the member is fine
+ */
+export const validateMitglied = (mitglied, mitglieder) => {
+  const fehler = [];
+  if (!mitglied.name.trim()) {
+    fehler.push('Bitte einen Namen eingeben');
+  } else if (
+    mitglieder.some(andere => andere.id !== mitglied.id && isSameName(andere.name, mitglied.name))
+  ) {
+    fehler.push('Es gibt schon einen Spieler mit diesem Namen');
+  }
+  if (mitglied.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(mitglied.email.trim())) {
+    fehler.push('Die E-Mail-Adresse ist ungültig');
+  }
+  return fehler;
+};
+
+// ============================================
+// LINKING EVENINGS
+// ============================================
+
+/**
+ * Adds members for names that are not in the master data yet
+ * (e.g. players of imported or merged evenings)
+ *
+ * @param {Array} mitglieder - Members
+ * @param {Array} namen - Player names
+ * @returns {Array} - Members plus the new ones, sorted by name
+ */
+export const addMitglieder = (mitglieder, namen) => {
+  const neu = [...new Set(namen.map(name => name.trim()))]
+    .filter(name => name && !findMitgliedByName(mitglieder, name))
+    .map(name => createMitglied(name));
+  return neu.length > 0 ? sortMitglieder([...mitglieder, ...neu]) : mitglieder;
+};
+
+/**
+ * Links player rows to the master data by name
+ *
+ * Rows that already link to a known member are kept. All other rows get the
+ * member with the same name (or null), e.g. rows of a merged backup whose
+ * members have other ids.
+ *
+ * @param {Array} kegelabende - Bowling evenings
+ * @param {Array} mitglieder - Members
+ * @returns {Array} - The evenings, unchanged evenings keep their identity
+ */
+export const linkMitglieder = (kegelabende, mitglieder) => {
+  const ids = new Set(mitglieder.map(mitglied => mitglied.id));
+  return kegelabende.map(abend => {
+    const unverknuepft = abend.spieler.some(player => !ids.has(player.mitgliedId));
+    if (!unverknuepft) return abend;
+
+    const spieler = abend.spieler.map(player => {
+      if (ids.has(player.mitgliedId)) return player;
+      const mitgliedId = findMitgliedByName(mitglieder, player.name)?.id ?? null;
+      return mitgliedId === (player.mitgliedId ?? null) ? player : { ...player, mitgliedId };
+    });
+    return spieler.some((player, index) => player !== abend.spieler[index])
+      ? { ...abend, spieler }
+      : abend;
+  });
+};
+
+// ============================================
+// RENAMING
+// ============================================
+
+/**
+ * Renames a member in all evenings
+ *
+ * Every linked row gets the new name and the evening's log notes the rename.
+ * Closed evenings are renamed too, the name is not part of the settlement.
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {string} mitgliedId - Id of the member
+ * @param {string} name - The new name
+ * @returns {Array} - Only the evenings that changed
+ */
+export const renameMitgliedInAbenden = (kegelabende, mitgliedId, name) =>
+  kegelabende
+    .filter(abend =>
+      abend.spieler.some(player => player.mitgliedId === mitgliedId && player.name !== name)
+    )
+    .map(abend => {
+      const alt = abend.spieler.find(player => player.mitgliedId === mitgliedId).name;
+      return {
+        ...abend,
+        spieler: abend.spieler.map(player =>
+          player.mitgliedId === mitgliedId ? { ...player, name } : player
+        ),
+        historie: [
+          ...(abend.historie || []),
+          createHistorieEintrag('spieler', `Umbenannt: ${alt} → ${name}`),
+        ],
+      };
+    });
@@ -0,0 +1,183 @@
+/**
+ * pdfService.js - PDF export of a bowling evening
+ *
+ * This service creates a PDF of a single bowling evening for the club archive:
+ * - Title with the date of the evening
+ * - The same columns as the table (Nr, Name, Start, penalties, games, Summe, Bezahlt)
+ * - Grand total
+ * - Notes of the evening
+ * - Signature line for the treasurer (Kassenwart)
+ * - Change log of the evening on its own page (if there is one)
+ *
+ * The PDF is generated completely in the browser (jsPDF), so it also
+ * works offline at the bowling alley.
+ */
+
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import {
+  calculatePlayerTotal,
+  calculateAbendTotal,
+  getGrundgebuehr,
+  getStrafen,
+  getSpiele,
+} from './calculationService';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Formats an amount with currency, e.g. "6.50€"
+ * @param {number} value - The amount
+ * @param {string} waehrung - Currency symbol
+ * @returns {string}
+ */
+const formatBetrag = (value, waehrung) => `${value.toFixed(2)}${waehrung}`;
+
+/**
+ * Builds head and body rows of the evening table
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Configuration (penalties, game types, fees)
+ * @returns {Object} - { head: [[...]], body: [[...]], foot: [[...]] }
+ */
+const buildTableRows = (kegelabend, config) => {
+  const head = [
+    'Nr.',
+    'Name',
+    `Start (${formatBetrag(config.startgebuehr, config.waehrung)})`,
+    ...config.strafen.map(strafe => strafe.label),
+    ...config.spielarten.map(spiel => spiel.label),
+    'Summe',
+    'Bezahlt',
+  ];
+
+  const body = kegelabend.spieler.map((player, index) => [
+    index + 1,
+    player.anwesend === false ? `${player.name} (abwesend)` : player.name,
+    formatBetrag(getGrundgebuehr(player, config), config.waehrung),
+    // Empty cells instead of zeros, like in the table
+    ...config.strafen.map(strafe => getStrafen(player)[strafe.id] || ''),
+    ...config.spielarten.map(spiel => getSpiele(player)[spiel.id] || ''),
+    formatBetrag(calculatePlayerTotal(player, config, kegelabend.spieler), config.waehrung),
+    player.bezahlt ? formatBetrag(player.bezahlt, config.waehrung) : '',
+  ]);
+
+  const paidTotal = kegelabend.spieler.reduce((sum, player) => sum + (player.bezahlt || 0), 0);
+  const foot = [
+    [
+      { content: 'Gesamt', colSpan: head.length - 2 },
+      formatBetrag(calculateAbendTotal(kegelabend, config), config.waehrung),
+      formatBetrag(paidTotal, config.waehrung),
+    ],
+  ];
+
+  return { head: [head], body, foot };
+};
+
+// ============================================
+// PDF EXPORT
+// ============================================
+
+/**
+ * Creates the PDF document of a bowling evening
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Configuration (penalties, game types, fees)
+ * @returns {jsPDF} - The PDF document
+ */
+export const createAbendPDF = (kegelabend, config) => {
+  // Landscape, because there is one column per penalty and game type
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const datum = new Date(kegelabend.datum).toLocaleDateString('de-DE');
+
+  // Title
+  doc.setFontSize(18);
+  doc.text(`Kegelabend vom ${datum}`, 14, 18);
+  doc.setFontSize(9);
+  doc.setTextColor(120);
+  doc.text(`Erstellt am ${new Date().toLocaleString('de-DE')}`, pageWidth - 14, 18, {
+    align: 'right',
+  });
+  doc.setTextColor(0);
+
+  // Table
+  const { head, body, foot } = buildTableRows(kegelabend, config);
+  const moneyColumns = [2, head[0].length - 2, head[0].length - 1];
+  autoTable(doc, {
+    head,
+    body,
+    foot,
+    startY: 24,
+    theme: 'grid',
+    styles: { fontSize: 9, halign: 'center' },
+    headStyles: { fillColor: [25, 118, 210] },
+    footStyles: { fillColor: [21, 101, 192], halign: 'right' },
+    columnStyles: {
+      1: { halign: 'left', cellWidth: 40 },
+      ...Object.fromEntries(moneyColumns.map(index => [index, { halign: 'right' }])),
+    },
+  });
+
+  let y = doc.lastAutoTable.finalY + 10;
+
+  // Notes
+  if (kegelabend.notizen?.trim()) {
+    doc.setFontSize(11);
+    doc.text('Notizen', 14, y);
+    doc.setFontSize(9);
+    const lines = doc.splitTextToSize(kegelabend.notizen.trim(), pageWidth - 28);
+    doc.text(lines, 14, y + 6);
+    y += 6 + lines.length * 4 + 6;
+  }
+
+  // Signature line for the treasurer, on a new page if it does not fit
+  if (y > doc.internal.pageSize.getHeight() - 30) {
+    doc.addPage();
+    y = 30;
+  }
+  y += 15;
+  doc.line(14, y, 100, y);
+  doc.line(pageWidth - 100, y, pageWidth - 14, y);
+  doc.setFontSize(9);
+  doc.text('Ort, Datum', 14, y + 5);
+  doc.text('Unterschrift Kassenwart', pageWidth - 100, y + 5);
+
+  // Change log as appendix, so disputes can be settled from the printout
+  if (kegelabend.historie?.length > 0) {
+    doc.addPage();
+    doc.setFontSize(14);
+    doc.text('Verlauf', 14, 18);
+    autoTable(doc, {
+      head: [['Zeitpunkt', 'Änderung']],
+      body: [...kegelabend.historie]
+        .sort((a, b) => a.zeitpunkt.localeCompare(b.zeitpunkt))
+        .map(eintrag => [
+          new Date(eintrag.zeitpunkt).toLocaleString('de-DE'),
+          // The standard PDF fonts have no arrow character
+          eintrag.text.replace(/→/g, '->'),
+        ]),
+      startY: 24,
+      theme: 'grid',
+      styles: { fontSize: 9 },
+      headStyles: { fillColor: [25, 118, 210] },
+      columnStyles: { 0: { cellWidth: 40 } },
+    });
+  }
+
+  return doc;
+};
+
+/**
+ * Exports a bowling evening as PDF file for download
+ *
+ * Creates a file named: kegelabend_YYYY-MM-DD.pdf
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} config - Configuration (penalties, game types, fees)
+ */
+export const exportAbendToPDF = (kegelabend, config) => {
+  createAbendPDF(kegelabend, config).save(`kegelabend_${kegelabend.datum}.pdf`);
+};
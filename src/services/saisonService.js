@@ -0,0 +1,309 @@
+/**
+ * saisonService.js - Seasons (Saisons) and the season summary
+ *
+ * A season is a named date range (see createSaison). Every evening belongs
+ * to exactly one season:
+ * - The stored season whose range contains the date, or
+ * - The calendar year of the date, if no stored season covers it
+ *   (so without any stored season, every year is a season)
+ *
+ * Open balances are carried from one season into the next: the balance of a
+ * member at the start of a season is their balance at the end of the
+ * previous one. Closing a season freezes its end balances (`salden`), later
+ * seasons start from the frozen values. Balances are kept per member id and
+ * per guest name (see getSpielerKey), so renaming a member keeps them.
+ *
+ * Stored seasons only keep name, range and the frozen balances; the calendar
+ * years and all summary figures are calculated from the evenings when needed.
+ */
+
+import { calculateBalances, getAuswertungConfig } from './calculationService';
+import { calculatePlayerStatistics, collectPlayers } from './statisticsService';
+import { createSaison } from '../config/defaultConfig';
+
+/** Differences below this amount are rounding noise */
+const CENT = 0.005;
+
+// ============================================
+// SEASON LIST
+// ============================================
+
+/**
+ * Creates the calendar-year season of a year (not stored until it is closed)
+ * @param {number} jahr - The year
+ * @returns {Object} - Season with `automatisch: true`
+ */
+const createJahresSaison = jahr => ({
+  id: `jahr-${jahr}`,
+  name: `Saison ${jahr}`,
+  von: `${jahr}-01-01`,
+  bis: `${jahr}-12-31`,
+  abgeschlossenAm: null,
+  salden: null,
+  automatisch: true,
+});
+
+/**
+ * Finds the stored season that contains a date
+ * @param {Array} saisons - Stored seasons
+ * @param {string} datum - Date 'YYYY-MM-DD'
+ * @returns {Object|undefined}
+ */
+const findGespeicherteSaison = (saisons, datum) =>
+  saisons.find(saison => saison.von <= datum && datum <= saison.bis);
+
+/**
+ * Returns all seasons that are stored or have evenings, oldest first
+ *
+ * @param {Array} saisons - Stored seasons
+ * @param {Array} kegelabende - All bowling evenings
+ * @returns {Array} - Stored seasons plus calendar-year seasons for evenings
+ *   that no stored season covers
+ */
+export const getSaisons = (saisons, kegelabende) => {
+  const jahre = new Set(
+    kegelabende
+      .filter(abend => !findGespeicherteSaison(saisons, abend.datum))
+      .map(abend => Number(abend.datum.slice(0, 4)))
+  );
+  return [...saisons, ...[...jahre].map(createJahresSaison)].sort(
+    (a, b) => a.von.localeCompare(b.von) || a.bis.localeCompare(b.bis)
+  );
+};
+
+/**
+ * Finds the season an evening date belongs to
+ *
+ * @param {Array} saisonListe - Result of getSaisons
+ * @param {string} datum - Date 'YYYY-MM-DD'
+ * @returns {Object|null} - The season, or null if the list has none for this date
+ */
+export const findSaison = (saisonListe, datum) => {
+  const gespeichert = findGespeicherteSaison(
+    saisonListe.filter(saison => !saison.automatisch),
+    datum
+  );
+  return (
+    gespeichert || saisonListe.find(saison => saison.id === `jahr-${datum.slice(0, 4)}`) || null
+  );
+};
+
+/**
+ * Returns the evenings of a season, sorted by date
+ *
+ * @param {Array} saisonListe - Result of getSaisons
+ * @param {Object} saison - The season
+ * @param {Array} kegelabende - All bowling evenings
+ * @returns {Array}
+ */
+export const getSaisonAbende = (saisonListe, saison, kegelabende) =>
+  kegelabende
+    .filter(abend => findSaison(saisonListe, abend.datum)?.id === saison.id)
+    .sort((a, b) => a.datum.localeCompare(b.datum));
+
+/**
+ * Checks a new or changed season
+ *
+ * @param {Object} saison - The season to check ({ id, name, von, bis })
+ * @param {Array} saisons - Stored seasons (the season itself is ignored by id)
+ * @returns {Array} - German error messages, empty if the season is fine
+ */
+export const validateSaison = (saison, saisons) => {
+  const fehler = [];
+  if (!saison.name.trim()) fehler.push('Bitte einen Namen eingeben');
+  if (!saison.von || !saison.bis) {
+    fehler.push('Bitte Beginn und Ende angeben');
+  } else if (saison.von > saison.bis) {
+    fehler.push('Das Ende liegt vor dem Beginn');
+  } else {
+    saisons
+      .filter(andere => andere.id !== saison.id)
+      .filter(andere => andere.von <= saison.bis && saison.von <= andere.bis)
+      .forEach(andere => fehler.push(`Überschneidet sich mit ${andere.name}`));
+  }
+  return fehler;
+};
+
+// ============================================
+// BALANCES AND CARRY-OVER
+// ============================================
+
+/**
+ * Adds balances per member ({ key: amount }, see getSpielerKey)
+ * @param {Object} a - Balances
+ * @param {Object} b - Balances
+ * @returns {Object} - Sum, members with a zero balance are left out
+ */
+const addSalden = (a, b) => {
+  const summe = { ...a };
+  Object.entries(b).forEach(([key, betrag]) => {
+    summe[key] = (summe[key] || 0) + betrag;
+  });
+  return Object.fromEntries(Object.entries(summe).filter(([, betrag]) => Math.abs(betrag) > CENT));
+};
+
+/**
+ * Balances per member at the start of a season (carry-over of the previous season)
+ *
+ * @param {Array} saisonListe - Result of getSaisons
+ * @param {number} index - Position of the season in the list
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (prices)
+ * @returns {Object} - { key: amount }
+ */
+const getUebertrag = (saisonListe, index, kegelabende, config) => {
+  if (index <= 0) return {};
+  const vorherige = saisonListe[index - 1];
+  if (vorherige.salden) return vorherige.salden;
+  return getEndSalden(saisonListe, index - 1, kegelabende, config);
+};
+
+/**
+ * Balances per member at the end of a season, calculated from the evenings
+ *
+ * @param {Array} saisonListe - Result of getSaisons
+ * @param {number} index - Position of the season in the list
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (prices)
+ * @returns {Object} - { key: amount }
+ */
+const getEndSalden = (saisonListe, index, kegelabende, config) => {
+  const abende = getSaisonAbende(saisonListe, saisonListe[index], kegelabende);
+  const saldenDerSaison = Object.fromEntries(
+    calculateBalances(abende, config).map(entry => [entry.key, entry.saldo])
+  );
+  return addSalden(getUebertrag(saisonListe, index, kegelabende, config), saldenDerSaison);
+};
+
+// ============================================
+// SUMMARY
+// ============================================
+
+/**
+ * Calculates the summary of a season
+ *
+ * @param {Array} saisonListe - Result of getSaisons
+ * @param {Object} saison - The season
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (penalties, prices)
+ * @returns {Object} - {
+ *   abende: [abend],                  // Evenings of the season, sorted by date
+ *   offeneAbende: [abend],            // Evenings that are not closed yet
+ *   einnahmen, bezahlt,               // Sum of all member totals and of all payments
+ *   anwesenheit: [{ key, name, abende, quote }], // Sorted by attendance
+ *   strafenKoenige: [{ strafe, namen, anzahl }], // Most penalties per penalty type
+ *   salden: [{ key, name, uebertrag, soll, bezahlt, saldo }], // saldo = balance at the end
+ *   geaendertSeitAbschluss,           // Closed, but the evenings changed afterwards
+ * }
+ */
+export const calculateSaisonUebersicht = (saisonListe, saison, kegelabende, config) => {
+  const index = saisonListe.findIndex(s => s.id === saison.id);
+  const abende = getSaisonAbende(saisonListe, saison, kegelabende);
+  const statistik = calculatePlayerStatistics(abende, config);
+  const balances = calculateBalances(abende, config);
+
+  const einnahmen = balances.reduce((sum, entry) => sum + entry.soll, 0);
+  const bezahlt = balances.reduce((sum, entry) => sum + entry.bezahlt, 0);
+
+  const anwesenheit = statistik
+    .map(entry => ({
+      key: entry.key,
+      name: entry.name,
+      abende: entry.abende,
+      quote: abende.length > 0 ? entry.abende / abende.length : 0,
+    }))
+    .sort((a, b) => b.abende - a.abende || a.name.localeCompare(b.name));
+
+  const strafenKoenige = getAuswertungConfig(abende, config)
+    .strafen.map(strafe => {
+      const anzahl = Math.max(0, ...statistik.map(entry => entry.strafen[strafe.id] || 0));
+      const namen = statistik
+        .filter(entry => anzahl > 0 && entry.strafen[strafe.id] === anzahl)
+        .map(entry => entry.name)
+        .sort();
+      return { strafe, namen, anzahl };
+    })
+    .filter(koenig => koenig.anzahl > 0);
+
+  // Balances: carry-over from the previous season plus this season's evenings
+  const uebertrag = getUebertrag(saisonListe, index, kegelabende, config);
+  // Members only in the carry-over are shown with their latest name
+  const namen = new Map(collectPlayers(kegelabende).map(player => [player.key, player.name]));
+  const keys = [...new Set([...Object.keys(uebertrag), ...balances.map(b => b.key)])];
+  const salden = keys
+    .map(key => {
+      const balance = balances.find(b => b.key === key);
+      return {
+        key,
+        name: balance?.name || namen.get(key) || key.replace(/^gast:/, ''),
+        uebertrag: uebertrag[key] || 0,
+        soll: balance?.soll || 0,
+        bezahlt: balance?.bezahlt || 0,
+        saldo: (uebertrag[key] || 0) + (balance?.saldo || 0),
+      };
+    })
+    .sort((a, b) => b.saldo - a.saldo || a.name.localeCompare(b.name));
+
+  const endSalden = addSalden({}, Object.fromEntries(salden.map(s => [s.key, s.saldo])));
+  const geaendertSeitAbschluss =
+    Boolean(saison.salden) &&
+    Object.keys({ ...saison.salden, ...endSalden }).some(
+      key => Math.abs((saison.salden[key] || 0) - (endSalden[key] || 0)) > CENT
+    );
+
+  return {
+    abende,
+    offeneAbende: abende.filter(abend => !abend.abgeschlossen),
+    einnahmen,
+    bezahlt,
+    anwesenheit,
+    strafenKoenige,
+    salden,
+    geaendertSeitAbschluss,
+  };
+};
+
+// ============================================
+// CLOSING A SEASON
+// ============================================
+
+/**
+ * Checks whether a season can be closed
+ *
+ * @param {Object} saison - The season
+ * @param {Object} uebersicht - Result of calculateSaisonUebersicht
+ * @param {Array} saisons - Stored seasons (a calendar-year season is stored when closed)
+ * @returns {Array} - German error messages, empty if the season can be closed
+ */
+export const validateSaisonAbschluss = (saison, uebersicht, saisons) => {
+  const fehler = [];
+  if (saison.abgeschlossenAm) fehler.push('Die Saison ist bereits abgeschlossen');
+  if (saison.automatisch) fehler.push(...validateSaison(saison, saisons));
+  if (uebersicht.abende.length === 0) fehler.push('Die Saison hat keine Kegelabende');
+  uebersicht.offeneAbende.forEach(abend => {
+    fehler.push(
+      `Der Kegelabend vom ${new Date(abend.datum).toLocaleDateString(
+        'de-DE'
+      )} ist noch nicht abgeschlossen`
+    );
+  });
+  return fehler;
+};
+
+/**
+ * Closes a season: freezes the balances at its end for the next season
+ *
+ * Calendar-year seasons are stored from now on.
+ *
+ * @param {Object} saison - The season
+ * @param {Object} uebersicht - Result of calculateSaisonUebersicht
+ * @returns {Object} - The closed season to store
+ */
+export const closeSaison = (saison, uebersicht) => {
+  const basis = saison.automatisch ? createSaison(saison.name, saison.von, saison.bis) : saison;
+  return {
+    ...basis,
+    abgeschlossenAm: new Date().toISOString(),
+    salden: addSalden({}, Object.fromEntries(uebersicht.salden.map(s => [s.key, s.saldo]))),
+  };
+};
@@ -0,0 +1,477 @@
+/**
+ * spreadsheetService.js - Spreadsheet export (CSV & XLSX) and CSV import
+ *
+ * This service handles:
+ * - One row per player per evening (date, name, attendance, penalties,
+ *   game results, entry fee, total, payment)
+ * - One aggregated row per player across all evenings
+ * - One row per change log entry (kegelabend.historie)
+ * - Writing these rows as CSV (for any spreadsheet) or XLSX (Excel)
+ * - Reading historical evenings from CSV files (import wizard)
+ *
+ * Totals are calculated with calculatePlayerTotal, exactly like in the table,
+ * so inverted penalties (Kranz, Volle) are included. The columns cover the
+ * penalties and game types of all exported evenings (see getAuswertungConfig),
+ * so the rows still add up after a penalty was added or deleted.
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  calculatePlayerTotal,
+  getAbendConfig,
+  getAuswertungConfig,
+  getGrundgebuehr,
+  getStrafen,
+  getSpiele,
+} from './calculationService';
+import { calculatePlayerStatistics } from './statisticsService';
+import { downloadFile } from './storageService';
+import {
+  ZAHLUNGSARTEN,
+  HISTORIE_AKTIONEN,
+  createEmptyKegelabend,
+  createEmptyPlayer,
+  isValidErgebnis,
+  withPreisSnapshot,
+} from '../config/defaultConfig';
+
+// ============================================
+// ROWS
+// ============================================
+
+/**
+ * Builds one row per player per evening
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (penalties, game types, fees)
+ * @returns {Array} - Array of row objects (column label -> value)
+ */
+export const buildAbendRows = (kegelabende, config) => {
+  const { strafen, spielarten } = getAuswertungConfig(kegelabende, config);
+  return [...kegelabende]
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .flatMap(abend => {
+      const abendConfig = getAbendConfig(abend, config);
+      return abend.spieler.map(player => {
+        const row = {
+          Datum: abend.datum,
+          Name: player.name,
+          Anwesend: player.anwesend !== false ? 'ja' : 'nein',
+        };
+        strafen.forEach(strafe => {
+          row[strafe.label] = getStrafen(player)[strafe.id] || 0;
+        });
+        spielarten.forEach(spiel => {
+          row[spiel.label] = getSpiele(player)[spiel.id] || '';
+        });
+        // Absent players: the absence fee (Fehlgeld)
+        row['Startgebühr'] = getGrundgebuehr(player, abendConfig);
+        row.Summe = calculatePlayerTotal(player, abendConfig, abend.spieler);
+        row.Bezahlt = player.bezahlt || 0;
+        row.Zahlungsart = ZAHLUNGSARTEN.find(art => art.id === player.zahlungsart)?.label || '';
+        return row;
+      });
+    });
+};
+
+/**
+ * Builds one aggregated row per player across all evenings
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration (penalties, game types, fees)
+ * @returns {Array} - Array of row objects (column label -> value), sorted by name
+ */
+export const buildSpielerRows = (kegelabende, config) => {
+  const { strafen } = getAuswertungConfig(kegelabende, config);
+  return calculatePlayerStatistics(kegelabende, config)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(entry => {
+      const row = { Name: entry.name, Abende: entry.abende };
+      strafen.forEach(strafe => {
+        row[strafe.label] = entry.strafen[strafe.id] || 0;
+      });
+      row.Summe = entry.summe;
+      row.Bezahlt = entry.bezahlt;
+      row.Offen = entry.summe - entry.bezahlt;
+      return row;
+    });
+};
+
+/**
+ * Builds one row per change log entry, grouped by evening
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @returns {Array} - Array of row objects (column label -> value)
+ */
+export const buildVerlaufRows = kegelabende => {
+  return [...kegelabende]
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .flatMap(abend =>
+      [...(abend.historie || [])]
+        .sort((a, b) => a.zeitpunkt.localeCompare(b.zeitpunkt))
+        .map(eintrag => ({
+          Datum: abend.datum,
+          Zeitpunkt: new Date(eintrag.zeitpunkt).toLocaleString('de-DE'),
+          Bereich: HISTORIE_AKTIONEN.find(aktion => aktion.id === eintrag.aktion)?.label || '',
+          Änderung: eintrag.text,
+        }))
+    );
+};
+
+// ============================================
+// CSV EXPORT
+// ============================================
+
+/**
+ * Converts rows to CSV in the German Excel dialect
+ * (semicolon separator, decimal comma, quoted text if needed)
+ *
+ * @param {Array} rows - Array of row objects
+ * @returns {string} - CSV content
+ */
+export const rowsToCSV = rows => {
+  if (rows.length === 0) return '';
+
+  const formatCell = value => {
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? String(value) : value.toFixed(2).replace('.', ',');
+    }
+    const text = String(value ?? '');
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.map(formatCell).join(';'),
+    ...rows.map(row => columns.map(column => formatCell(row[column])).join(';')),
+  ].join('\r\n');
+};
+
+/**
+ * Exports rows as CSV file for download
+ *
+ * The file starts with a byte order mark, so Excel detects UTF-8 (Umlaute).
+ *
+ * @param {Array} rows - Array of row objects
+ * @param {string} filename - File name
+ */
+const downloadCSV = (rows, filename) => {
+  downloadFile(new Blob(['\uFEFF', rowsToCSV(rows)], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+/**
+ * Exports all evenings as CSV (one row per player per evening)
+ * Creates a file named: kegelbuch_abende_YYYY-MM-DD.csv
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration
+ */
+export const exportAbendeToCSV = (kegelabende, config) => {
+  const today = new Date().toISOString().split('T')[0];
+  downloadCSV(buildAbendRows(kegelabende, config), `kegelbuch_abende_${today}.csv`);
+};
+
+/**
+ * Exports the totals per player as CSV
+ * Creates a file named: kegelbuch_spieler_YYYY-MM-DD.csv
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration
+ */
+export const exportSpielerToCSV = (kegelabende, config) => {
+  const today = new Date().toISOString().split('T')[0];
+  downloadCSV(buildSpielerRows(kegelabende, config), `kegelbuch_spieler_${today}.csv`);
+};
+
+/**
+ * Exports the change logs of all evenings as CSV
+ * Creates a file named: kegelbuch_verlauf_YYYY-MM-DD.csv
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ */
+export const exportVerlaufToCSV = kegelabende => {
+  const today = new Date().toISOString().split('T')[0];
+  downloadCSV(buildVerlaufRows(kegelabende), `kegelbuch_verlauf_${today}.csv`);
+};
+
+// ============================================
+// XLSX EXPORT
+// ============================================
+
+/**
+ * Exports everything as Excel workbook with three sheets:
+ * - "Kegelabende": one row per player per evening
+ * - "Spieler": totals per player
+ * - "Verlauf": change log of all evenings
+ *
+ * Creates a file named: kegelbuch_YYYY-MM-DD.xlsx
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {Object} config - Configuration
+ */
+export const exportToXLSX = (kegelabende, config) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.json_to_sheet(buildAbendRows(kegelabende, config)),
+    'Kegelabende'
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.json_to_sheet(buildSpielerRows(kegelabende, config)),
+    'Spieler'
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.json_to_sheet(buildVerlaufRows(kegelabende)),
+    'Verlauf'
+  );
+
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadFile(
+    new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    `kegelbuch_${new Date().toISOString().split('T')[0]}.xlsx`
+  );
+};
+
+// ============================================
+// CSV IMPORT - Historical evenings
+// ============================================
+
+/**
+ * Parses CSV text into header and rows
+ *
+ * The separator (semicolon, comma or tab) is detected from the header line.
+ * Quoted cells may contain separators, line breaks and "" for quotes.
+ *
+ * @param {string} text - CSV file content
+ * @returns {Object} - { headers: [...], rows: [[...], ...] }
+ */
+export const parseCSV = text => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/)[0];
+  const separator = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Skip completely empty lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  return {
+    headers: (nonEmpty[0] || []).map(header => header.trim()),
+    rows: nonEmpty.slice(1),
+  };
+};
+
+/**
+ * Parses a date in one of the usual spreadsheet formats
+ * Supported: 'YYYY-MM-DD', 'DD.MM.YYYY', 'DD.MM.YY'
+ *
+ * @param {string} value - Date as text
+ * @returns {string|null} - Date as 'YYYY-MM-DD', or null if invalid
+ */
+export const parseDatum = value => {
+  const text = (value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+
+  if (!match) {
+    match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = [match[1], match[2], match[3]];
+    if (year.length === 2) year = `20${year}`;
+  }
+
+  const datum = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const date = new Date(datum);
+  // Reject dates like 31.02., which Date silently rolls over
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(datum) ? datum : null;
+};
+
+/**
+ * Parses a number with decimal comma or point (e.g. "6,50")
+ * @param {string} value - Number as text
+ * @returns {number|null} - The number, 0 for empty cells, null if invalid
+ */
+const parseZahl = value => {
+  const text = (value || '').trim().replace(/\s|€/g, '');
+  if (text === '') return 0;
+  const number = Number(text.replace(',', '.'));
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Targets a CSV column can be mapped to
+ *
+ * @param {Object} config - Configuration (penalties, game types)
+ * @returns {Array} - Array of { id, label }. Ids: 'ignorieren', 'datum', 'name',
+ *   'anwesend', 'bezahlt', 'strafe:<id>', 'spiel:<id>'
+ */
+export const getImportTargets = config => [
+  { id: 'ignorieren', label: '– ignorieren –' },
+  { id: 'datum', label: 'Datum' },
+  { id: 'name', label: 'Name' },
+  { id: 'anwesend', label: 'Anwesend' },
+  { id: 'bezahlt', label: 'Bezahlt' },
+  ...config.strafen.map(strafe => ({
+    id: `strafe:${strafe.id}`,
+    label: `Strafe: ${strafe.label}`,
+  })),
+  ...config.spielarten.map(spiel => ({ id: `spiel:${spiel.id}`, label: `Spiel: ${spiel.label}` })),
+];
+
+/**
+ * Guesses the mapping of CSV columns by comparing the headers with the
+ * target names, so files from our own CSV export map automatically
+ *
+ * @param {Array} headers - CSV header cells
+ * @param {Object} config - Configuration (penalties, game types)
+ * @returns {Array} - One target id per column
+ */
+export const guessColumnMapping = (headers, config) => {
+  const normalize = text => text.toLowerCase().replace(/[^a-z0-9äöüß]/g, '');
+  const candidates = [
+    ...getImportTargets(config)
+      .filter(target => target.id !== 'ignorieren')
+      .map(target => ({ id: target.id, name: normalize(target.label.split(': ').pop()) })),
+    ...config.strafen.map(strafe => ({ id: `strafe:${strafe.id}`, name: normalize(strafe.id) })),
+    ...config.spielarten.map(spiel => ({ id: `spiel:${spiel.id}`, name: normalize(spiel.id) })),
+  ];
+
+  const used = new Set();
+  return headers.map(header => {
+    const match = candidates.find(c => c.name === normalize(header) && !used.has(c.id));
+    if (!match) return 'ignorieren';
+    used.add(match.id);
+    return match.id;
+  });
+};
+
+/**
+ * Creates bowling evenings from mapped CSV rows
+ *
+ * Rows with the same date form one evening. Penalties and payments must be
+ * numbers, game results must fit the result type. Rows that cannot be parsed are
+ * reported instead of imported. Evenings on dates that already exist are
+ * skipped, so importing the same file twice does not duplicate history.
+ *
+ * @param {Array} rows - CSV rows (arrays of cells)
+ * @param {Array} mapping - Target id per column (see getImportTargets)
+ * @param {Object} config - Configuration (game types with result types)
+ * @param {Array} existingAbende - Evenings already stored
+ * @returns {Object} - {
+ *   kegelabende: [...],                         // New evenings, sorted by date
+ *   fehler: [{ zeile, grund }],                 // Rows that could not be parsed
+ *   uebersprungen: ['YYYY-MM-DD', ...],         // Dates that already exist
+ * }
+ */
+export const buildKegelabendeFromCSV = (rows, mapping, config, existingAbende = []) => {
+  const existingDates = new Set(existingAbende.map(abend => abend.datum));
+  const abendeByDatum = {};
+  const fehler = [];
+  const uebersprungen = new Set();
+
+  rows.forEach((row, index) => {
+    // Line numbers as shown in a spreadsheet (header is line 1)
+    const zeile = index + 2;
+    const cell = target => {
+      const column = mapping.indexOf(target);
+      return column >= 0 ? (row[column] || '').trim() : '';
+    };
+
+    const datum = parseDatum(cell('datum'));
+    if (!datum) {
+      fehler.push({ zeile, grund: `Ungültiges Datum "${cell('datum')}"` });
+      return;
+    }
+    const name = cell('name');
+    if (!name) {
+      fehler.push({ zeile, grund: 'Name fehlt' });
+      return;
+    }
+    if (existingDates.has(datum)) {
+      uebersprungen.add(datum);
+      return;
+    }
+
+    const player = createEmptyPlayer(name);
+    const anwesend = cell('anwesend').toLowerCase();
+    player.anwesend = !['nein', 'n', '0', 'false'].includes(anwesend);
+
+    // Penalties and payment must be numbers, results must fit the game type
+    const invalid = [];
+    mapping.forEach((target, column) => {
+      const value = row[column] || '';
+      if (target.startsWith('strafe:')) {
+        const count = parseZahl(value);
+        if (count === null || count < 0 || !Number.isInteger(count)) invalid.push(value);
+        else if (count > 0) player.strafen[target.slice(7)] = count;
+      } else if (target.startsWith('spiel:') && value.trim()) {
+        const spielart = config.spielarten.find(spiel => spiel.id === target.slice(6));
+        const ergebnis =
+          spielart.ergebnisTyp === 'sieg' ? value.trim().toLowerCase() : value.trim();
+        if (isValidErgebnis(spielart, ergebnis)) player.spiele[spielart.id] = ergebnis;
+        else invalid.push(value);
+      } else if (target === 'bezahlt') {
+        const betrag = parseZahl(value);
+        if (betrag === null) invalid.push(value);
+        else player.bezahlt = betrag;
+      }
+    });
+    if (invalid.length > 0) {
+      fehler.push({ zeile, grund: `Ungültige Werte: ${invalid.map(v => `"${v}"`).join(', ')}` });
+      return;
+    }
+
+    if (!abendeByDatum[datum]) {
+      abendeByDatum[datum] = withPreisSnapshot(createEmptyKegelabend(datum), config);
+    }
+    const abend = abendeByDatum[datum];
+    if (abend.spieler.some(p => p.name === name)) {
+      fehler.push({ zeile, grund: `${name} ist am ${datum} doppelt eingetragen` });
+      return;
+    }
+    abend.spieler.push(player);
+  });
+
+  return {
+    kegelabende: Object.values(abendeByDatum).sort((a, b) => a.datum.localeCompare(b.datum)),
+    fehler,
+    uebersprungen: [...uebersprungen].sort(),
+  };
+};
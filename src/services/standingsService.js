@@ -0,0 +1,162 @@
+/**
+ * standingsService.js - Championship standings (WM table) for a season
+ *
+ * This service handles:
+ * - Scoring one evening of a game type (raw points or points by placement)
+ * - Summing the evenings of a season into a standings table
+ * - Minimum attendance and tie-breakers
+ * - Movement in the table since the previous evening
+ *
+ * Members are counted by their member id, guests by name (see getSpielerKey).
+ *
+ * The standings are calculated from the evenings whenever the championship
+ * dialog shows them, nothing of them is stored.
+ */
+
+import { rankErgebnisse } from './calculationService';
+import { getSpielerKey } from './mitgliederService';
+
+// ============================================
+// SCORING OF ONE EVENING
+// ============================================
+
+/**
+ * Scores the results of one evening for one game type
+ *
+ * Players are ranked with rankErgebnisse (see calculationService).
+ * Placements cannot be added up, so they are always scored by placement.
+ *
+ * @param {Object} kegelabend - The bowling evening
+ * @param {Object} spielart - The game type with `ergebnisTyp`
+ * @param {Object} settings - The championship settings (config.meisterschaft)
+ * @returns {Array} - One entry per player: { key, name, platz, punkte }
+ */
+export const scoreAbend = (kegelabend, spielart, settings) => {
+  const byPlatzierung = spielart.ergebnisTyp === 'platz' || settings.wertung === 'platzierung';
+
+  return rankErgebnisse(
+    kegelabend.spieler.filter(player => player.name.trim()),
+    spielart
+  ).map(({ player, wert, platz }) => ({
+    key: getSpielerKey(player),
+    name: player.name.trim(),
+    platz,
+    punkte: byPlatzierung ? settings.platzPunkte[platz - 1] || 0 : wert,
+  }));
+};
+
+// ============================================
+// STANDINGS
+// ============================================
+
+/**
+ * Compares two table rows by the configured tie-breakers
+ * @returns {number} - Negative if `a` is ahead, positive if `b` is ahead, 0 if still tied
+ */
+const compareTiebreaker = (a, b, tiebreaker) => {
+  for (const id of tiebreaker) {
+    const diff = b[id] - a[id];
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Sums the scored evenings into a sorted table
+ *
+ * Players below the minimum attendance are listed last without a rank.
+ * Players with equal points and equal tie-breakers share a rank.
+ * The scored evenings are in date order, so a renamed member shows the latest name.
+ */
+const buildTabelle = (scoredAbende, settings) => {
+  const rows = {};
+
+  scoredAbende.forEach(scores => {
+    scores.forEach(({ key, name, platz, punkte }) => {
+      if (!rows[key]) {
+        rows[key] = { key, name, punkte: 0, abende: 0, siege: 0, bestwert: -Infinity };
+      }
+      const row = rows[key];
+      row.name = name;
+      row.punkte += punkte;
+      row.abende += 1;
+      if (platz === 1) row.siege += 1;
+      row.bestwert = Math.max(row.bestwert, punkte);
+    });
+  });
+
+  const tabelle = Object.values(rows).map(row => ({
+    ...row,
+    schnitt: row.punkte / row.abende,
+    gewertet: row.abende >= settings.mindestAbende,
+  }));
+
+  const compare = (a, b) => b.punkte - a.punkte || compareTiebreaker(a, b, settings.tiebreaker);
+
+  tabelle.sort(
+    (a, b) =>
+      Number(b.gewertet) - Number(a.gewertet) || compare(a, b) || a.name.localeCompare(b.name)
+  );
+
+  // Ranks: tied players share the rank of the first one
+  tabelle.forEach((row, index) => {
+    if (!row.gewertet) {
+      row.rang = null;
+    } else if (index > 0 && compare(tabelle[index - 1], row) === 0) {
+      row.rang = tabelle[index - 1].rang;
+    } else {
+      row.rang = index + 1;
+    }
+  });
+
+  return tabelle;
+};
+
+/**
+ * Calculates the championship standings of a season
+ *
+ * @param {Array} kegelabende - The evenings of the season (any order)
+ * @param {Object} config - Configuration with spielarten and meisterschaft settings
+ * @returns {Object|null} - null if the configured game type does not exist, otherwise {
+ *   tabelle: [{
+ *     key, name, rang, // rang is null below the minimum attendance
+ *     punkte, abende, siege, bestwert, schnitt,
+ *     gewertet,        // Minimum attendance reached
+ *     bewegung,        // Places gained (+) or lost (-) since the previous evening,
+ *                      // null if the player was not ranked before
+ *   }],
+ *   abende,            // Number of evenings with results
+ *   letzterAbend,      // Date of the last evening with results
+ * }
+ */
+export const calculateStandings = (kegelabende, config) => {
+  const settings = config.meisterschaft;
+  const spielart = config.spielarten.find(spiel => spiel.id === settings.spielId);
+  if (!spielart) return null;
+
+  const scored = [...kegelabende]
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .map(abend => ({ datum: abend.datum, scores: scoreAbend(abend, spielart, settings) }))
+    .filter(abend => abend.scores.length > 0);
+
+  const tabelle = buildTabelle(
+    scored.map(abend => abend.scores),
+    settings
+  );
+
+  // Movement: compare with the table before the last evening
+  const vorher = buildTabelle(
+    scored.slice(0, -1).map(abend => abend.scores),
+    settings
+  );
+  tabelle.forEach(row => {
+    const previous = vorher.find(v => v.key === row.key);
+    row.bewegung = row.rang && previous?.rang ? previous.rang - row.rang : null;
+  });
+
+  return {
+    tabelle,
+    abende: scored.length,
+    letzterAbend: scored.length > 0 ? scored[scored.length - 1].datum : null,
+  };
+};
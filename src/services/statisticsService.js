@@ -0,0 +1,223 @@
+/**
+ * statisticsService.js - Statistics across all bowling evenings
+ *
+ * This service handles:
+ * - Filtering evenings by date range
+ * - Aggregating penalties, money and attendance per player
+ * - Time series for trend charts
+ *
+ * Like the calculationService, all functions are pure and never touch storage.
+ */
+
+import {
+  calculatePlayerTotal,
+  getAbendConfig,
+  getAuswertungConfig,
+  getStrafen,
+  getSpiele,
+} from './calculationService';
+import { getSpielerKey } from './mitgliederService';
+
+// ============================================
+// FILTERS
+// ============================================
+
+/**
+ * Returns the evenings within a date range (both ends inclusive)
+ *
+ * @param {Array} kegelabende - All bowling evenings
+ * @param {string} von - Start date 'YYYY-MM-DD' (empty = no lower limit)
+ * @param {string} bis - End date 'YYYY-MM-DD' (empty = no upper limit)
+ * @returns {Array} - The matching evenings, sorted by date
+ */
+export const filterAbendeByDate = (kegelabende, von = '', bis = '') => {
+  return kegelabende
+    .filter(abend => (!von || abend.datum >= von) && (!bis || abend.datum <= bis))
+    .sort((a, b) => a.datum.localeCompare(b.datum));
+};
+
+/**
+ * Parses a game result as number (e.g. "120" or "7,5")
+ * @param {string} value - The stored result
+ * @returns {number|null} - The number, or null if the result is not numeric
+ */
+export const parseErgebnis = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return Number.isNaN(number) ? null : number;
+};
+
+// ============================================
+// PLAYER STATISTICS
+// ============================================
+
+/**
+ * Aggregates all evenings per player
+ *
+ * Players are matched by member (guests by name, see getSpielerKey) and
+ * shown with their name on the latest evening.
+ *
+ * @param {Array} kegelabende - The evenings to include (already filtered)
+ * @param {Object} config - The configuration with penalties and game types
+ * @returns {Array} - One entry per player:
+ *   {
+ *     key,             // See getSpielerKey
+ *     name,
+ *     abende,          // Evenings attended (anwesend)
+ *     strafen,         // { penaltyId: count }
+ *     strafenGesamt,   // Sum of all penalty counts
+ *     summe,           // Sum of all evening totals
+ *     bezahlt,         // Money actually paid
+ *     bestErgebnisse,  // { gameId: best points / best placement / number of wins }
+ *     strafenSchnitt,  // Penalties per evening
+ *     summeSchnitt,    // Total per evening
+ *   }
+ */
+export const calculatePlayerStatistics = (kegelabende, config) => {
+  // Penalties and game types of all evenings, also those deleted since
+  const { strafen: alleStrafen, spielarten } = getAuswertungConfig(kegelabende, config);
+  const stats = {};
+  const sortiert = [...kegelabende].sort((a, b) => a.datum.localeCompare(b.datum));
+
+  sortiert.forEach(abend => {
+    abend.spieler.forEach(player => {
+      const name = player.name.trim();
+      if (!name) return;
+      const key = getSpielerKey(player);
+
+      if (!stats[key]) {
+        stats[key] = {
+          key,
+          name,
+          abende: 0,
+          strafen: {},
+          strafenGesamt: 0,
+          summe: 0,
+          bezahlt: 0,
+          bestErgebnisse: {},
+        };
+      }
+      const entry = stats[key];
+      entry.name = name;
+
+      // Players without the flag (older data) count as present
+      if (player.anwesend !== false) entry.abende += 1;
+
+      // Penalties and results kept on an absent row do not count
+      const strafen = getStrafen(player);
+      const spiele = getSpiele(player);
+
+      alleStrafen.forEach(strafe => {
+        const count = strafen[strafe.id] || 0;
+        entry.strafen[strafe.id] = (entry.strafen[strafe.id] || 0) + count;
+        entry.strafenGesamt += count;
+      });
+
+      spielarten.forEach(spiel => {
+        const value = spiele[spiel.id];
+        const best = entry.bestErgebnisse[spiel.id];
+
+        // Won/lost: count the wins
+        if (spiel.ergebnisTyp === 'sieg') {
+          if (value === 'gewonnen') entry.bestErgebnisse[spiel.id] = (best || 0) + 1;
+          return;
+        }
+
+        const ergebnis = parseErgebnis(value);
+        if (ergebnis === null) return;
+        // Placement: lower is better, points: higher is better
+        const better = spiel.ergebnisTyp === 'platz' ? Math.min : Math.max;
+        entry.bestErgebnisse[spiel.id] = best === undefined ? ergebnis : better(best, ergebnis);
+      });
+
+      entry.summe += calculatePlayerTotal(player, getAbendConfig(abend, config), abend.spieler);
+      entry.bezahlt += player.bezahlt || 0;
+    });
+  });
+
+  return Object.values(stats).map(entry => ({
+    ...entry,
+    strafenSchnitt: entry.abende > 0 ? entry.strafenGesamt / entry.abende : 0,
+    summeSchnitt: entry.abende > 0 ? entry.summe / entry.abende : 0,
+  }));
+};
+
+// ============================================
+// TRENDS - Time series per evening
+// ============================================
+
+/**
+ * Game types that can be drawn as trend (won/lost has no numeric value)
+ * @param {Object} config - The configuration with game types
+ * @returns {Array} - Game types with numeric results
+ */
+export const getNumericSpielarten = config =>
+  config.spielarten.filter(spiel => spiel.ergebnisTyp !== 'sieg');
+
+/**
+ * Metrics available for trend charts
+ * - summe: Amount per evening (calculated like in the table)
+ * - strafe: Count of one penalty per evening
+ * - spiel: Numeric result of one game type per evening
+ */
+export const TREND_METRIKEN = [
+  { id: 'summe', label: 'Betrag pro Abend' },
+  { id: 'strafe', label: 'Strafen pro Abend' },
+  { id: 'spiel', label: 'Spielergebnisse' },
+];
+
+/**
+ * Builds time series for trend charts, one value per evening and player
+ *
+ * @param {Array} kegelabende - The evenings to include (sorted by date)
+ * @param {Object} config - The configuration with penalties and game types
+ * @param {Object} options
+ * @param {string} options.metrik - One of TREND_METRIKEN ids
+ * @param {string} options.strafeId - Penalty id (for metrik 'strafe')
+ * @param {string} options.spielId - Game type id (for metrik 'spiel')
+ * @param {Array} options.spieler - Players to build series for (see collectPlayers)
+ * @returns {Object} - { labels: ['YYYY-MM-DD', ...], series: [{ key, name, values: [number|null] }] }
+ *   A value is null if the player was not there or has no numeric result.
+ */
+export const buildTrendSeries = (kegelabende, config, { metrik, strafeId, spielId, spieler }) => {
+  const getValue = (player, abend) => {
+    if (metrik === 'summe') {
+      return calculatePlayerTotal(player, getAbendConfig(abend, config), abend.spieler);
+    }
+    if (metrik === 'strafe') return getStrafen(player)[strafeId] || 0;
+    return parseErgebnis(getSpiele(player)[spielId]);
+  };
+
+  return {
+    labels: kegelabende.map(abend => abend.datum),
+    series: spieler.map(({ key, name }) => ({
+      key,
+      name,
+      values: kegelabende.map(abend => {
+        const player = abend.spieler.find(p => p.name.trim() && getSpielerKey(p) === key);
+        return player ? getValue(player, abend) : null;
+      }),
+    })),
+  };
+};
+
+/**
+ * Returns all players that appear in the given evenings, sorted by name
+ * Members are listed once with their latest name, guests by name (see getSpielerKey).
+ *
+ * @param {Array} kegelabende - The evenings
+ * @returns {Array} - Unique players: [{ key, name }]
+ */
+export const collectPlayers = kegelabende => {
+  const players = new Map();
+  [...kegelabende]
+    .sort((a, b) => a.datum.localeCompare(b.datum))
+    .forEach(abend =>
+      abend.spieler.forEach(player => {
+        if (player.name.trim()) players.set(getSpielerKey(player), player.name.trim());
+      })
+    );
+  return [...players]
+    .map(([key, name]) => ({ key, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
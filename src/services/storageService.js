@@ -2,29 +2,80 @@
  * storageService.js - Data storage for the Kegelbuch
  *
  * This service handles:
- * - Saving and loading data to/from browser (LocalStorage)
+ * - Saving and loading data to/from the browser (IndexedDB, see databaseService)
+ * - Moving data of older app versions out of LocalStorage (once, on first start)
  * - Exporting all data as JSON file (for backups)
- * - Importing JSON files (for restoration)
+ * - Importing JSON files (for restoration or merging)
+ * - Running the schema migrations on old data (see migrationService)
+ * - Reporting storage failures to the app (see setStorageErrorHandler)
  *
- * NOTE: LocalStorage only stores data in the current browser!
- * For data safety, regular JSON exports should be made.
+ * All load and save functions are async. Every evening is its own record,
+ * so saving the current evening does not rewrite the whole book.
  *
- * Storage limit: LocalStorage has ~5-10 MB storage (varies by browser).
- * This is enough for many hundreds of bowling evenings.
+ * NOTE: IndexedDB only stores data in the current browser!
+ * For data safety, regular JSON exports should be made.
  */
 
+import { SCHEMA_VERSION, parseVersion, checkVersion, migrateData } from './migrationService';
+import { STORES, openDatabase, readRecord, readAllRecords, writeRecords } from './databaseService';
+
 // ============================================
-// STORAGE KEYS - Keys for LocalStorage
+// STORAGE KEYS
 // ============================================
 
 /**
- * The keys under which data is stored in LocalStorage.
+ * Keys of the records in the "daten" store
+ */
+const DATEN_KEYS = {
+  CONFIG: 'config', // Configuration (penalties, fees)
+  SPIELER: 'spieler', // Known players (master data)
+  BUCHUNGEN: 'buchungen', // Manual treasury bookings (Vereinskasse)
+  SAISONS: 'saisons', // Stored seasons with their closing balances
+  VERSION: 'version', // Schema version of the stored data
+};
+
+/**
+ * The LocalStorage keys used by older app versions.
  * All start with 'kegelbuch_' to avoid conflicts with other apps.
  */
-const STORAGE_KEYS = {
-  KEGELABENDE: 'kegelbuch_kegelabende', // All bowling evenings
-  CONFIG: 'kegelbuch_config', // Configuration (penalties, fees)
-  SPIELER: 'kegelbuch_spieler', // Known players (for autocomplete, later)
+const LEGACY_KEYS = {
+  KEGELABENDE: 'kegelbuch_kegelabende',
+  CONFIG: 'kegelbuch_config',
+  SPIELER: 'kegelbuch_spieler',
+  BUCHUNGEN: 'kegelbuch_buchungen',
+  VERSION: 'kegelbuch_version',
+};
+
+// ============================================
+// ERROR REPORTING
+// ============================================
+
+/** Callback of the app that shows storage failures (null = console only) */
+let errorHandler = null;
+
+/** Error of a failed migration, saving is blocked while it is set */
+let migrationError = null;
+
+/**
+ * Registers the callback that shows storage failures in the UI
+ * @param {Function|null} handler - Called with a German error message
+ */
+export const setStorageErrorHandler = handler => {
+  errorHandler = handler;
+};
+
+/**
+ * Logs a storage failure and reports it to the app
+ * @param {string} aktion - What failed, e.g. 'Speichern fehlgeschlagen'
+ * @param {Error} error - The error of IndexedDB
+ */
+const reportError = (aktion, error) => {
+  console.error(`${aktion}:`, error);
+  const grund =
+    error?.name === 'QuotaExceededError'
+      ? 'Der Speicher des Browsers ist voll'
+      : error?.message || 'Unbekannter Fehler';
+  if (errorHandler) errorHandler(`${aktion}: ${grund}`);
 };
 
 // ============================================
@@ -32,40 +83,211 @@ const STORAGE_KEYS = {
 // ============================================
 
 /**
- * Saves any data to LocalStorage
+ * Offers a file for download in the browser
+ *
+ * Used by all exports (JSON, CSV, XLSX).
+ *
+ * @param {Blob} blob - The file content (Blob = Binary Large Object)
+ * @param {string} filename - Suggested file name
+ */
+export const downloadFile = (blob, filename) => {
+  // Create download URL
+  const url = URL.createObjectURL(blob);
+
+  // Create invisible link and click it (starts download)
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// ============================================
+// DATABASE - Open once, move old data, migrate
+// ============================================
+
+/**
+ * Writes a complete data set, replacing all stored evenings
+ * Used by the migrations and the JSON import.
  *
- * @param {string} key - The storage key
- * @param {any} data - The data to save (will be converted to JSON)
- * @returns {boolean} - true if successful, false on error
+ * @param {IDBDatabase} db - The open database
+ * @param {Object} data - { config (null = keep), kegelabende, spieler, buchungen, saisons }
+ * @param {number} version - Schema version of the data
+ */
+const writeAllData = (db, data, version) =>
+  writeRecords(db, [STORES.KEGELABENDE, STORES.DATEN], transaction => {
+    const abende = transaction.objectStore(STORES.KEGELABENDE);
+    const daten = transaction.objectStore(STORES.DATEN);
+    abende.clear();
+    data.kegelabende.forEach(abend => abende.put(abend));
+    if (data.config) daten.put(data.config, DATEN_KEYS.CONFIG);
+    daten.put(data.spieler, DATEN_KEYS.SPIELER);
+    daten.put(data.buchungen, DATEN_KEYS.BUCHUNGEN);
+    daten.put(data.saisons, DATEN_KEYS.SAISONS);
+    daten.put(version, DATEN_KEYS.VERSION);
+  });
+
+/**
+ * Reads a LocalStorage key of an older app version
+ * @param {string} key - The LocalStorage key
+ * @returns {any} - The parsed value, or undefined
  */
-export const saveToStorage = (key, data) => {
+const loadLegacy = key => {
   try {
-    // Convert data to JSON string and save
-    localStorage.setItem(key, JSON.stringify(data));
-    return true;
+    const data = localStorage.getItem(key);
+    return data === null ? undefined : JSON.parse(data);
   } catch (error) {
-    // Error can occur if LocalStorage is full
-    console.error('Error saving to storage:', error);
-    return false;
+    console.error('Error loading from LocalStorage:', error);
+    return undefined;
   }
 };
 
 /**
- * Loads data from LocalStorage
+ * Moves the data of older app versions from LocalStorage into the database
  *
- * @param {string} key - The storage key
- * @param {any} defaultValue - Returned if nothing is saved
- * @returns {any} - The loaded data or default value
+ * Runs only while the database is still empty. The LocalStorage keys are
+ * removed after the data was written successfully.
  */
-export const loadFromStorage = (key, defaultValue = null) => {
+const moveFromLocalStorage = async db => {
+  if ((await readRecord(db, STORES.DATEN, DATEN_KEYS.VERSION)) !== undefined) return;
+
+  const kegelabende = loadLegacy(LEGACY_KEYS.KEGELABENDE);
+  const config = loadLegacy(LEGACY_KEYS.CONFIG);
+  if (kegelabende === undefined && config === undefined) return;
+
+  await writeAllData(
+    db,
+    {
+      config,
+      kegelabende: kegelabende || [],
+      spieler: loadLegacy(LEGACY_KEYS.SPIELER) || [],
+      buchungen: loadLegacy(LEGACY_KEYS.BUCHUNGEN) || [],
+      saisons: [],
+    },
+    parseVersion(loadLegacy(LEGACY_KEYS.VERSION))
+  );
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+};
+
+/**
+ * Migrates the stored data once if it has an older schema version
+ * A database without any data (first start) is simply marked as current.
+ *
+ * If the data is from a newer app version or a migration step fails, the
+ * error is reported and saving is blocked (see save), so data is never
+ * written back in a format that does not match its schema version.
+ */
+const ensureMigrated = async db => {
+  const storedVersion = await readRecord(db, STORES.DATEN, DATEN_KEYS.VERSION);
+  if (storedVersion === SCHEMA_VERSION) return;
+
+  const config = (await readRecord(db, STORES.DATEN, DATEN_KEYS.CONFIG)) || null;
+  const kegelabende = await readAllRecords(db, STORES.KEGELABENDE);
+  if (!config && kegelabende.length === 0) {
+    await writeRecords(db, [STORES.DATEN], transaction =>
+      transaction.objectStore(STORES.DATEN).put(SCHEMA_VERSION, DATEN_KEYS.VERSION)
+    );
+    return;
+  }
+
   try {
-    const data = localStorage.getItem(key);
-    // If data exists: parse JSON, otherwise return default
-    return data ? JSON.parse(data) : defaultValue;
+    const migrated = migrateData(
+      {
+        config,
+        kegelabende,
+        spieler: await readRecord(db, STORES.DATEN, DATEN_KEYS.SPIELER),
+        buchungen: await readRecord(db, STORES.DATEN, DATEN_KEYS.BUCHUNGEN),
+        saisons: await readRecord(db, STORES.DATEN, DATEN_KEYS.SAISONS),
+      },
+      parseVersion(storedVersion)
+    );
+    await writeAllData(db, migrated, SCHEMA_VERSION);
   } catch (error) {
-    console.error('Error loading from storage:', error);
-    return defaultValue;
+    migrationError = error;
+    reportError('Daten konnten nicht aktualisiert werden', error);
+  }
+};
+
+/** The open and migrated database (opened on first use) */
+let databasePromise = null;
+
+/**
+ * Opens the database on first use, moves old data and runs the migrations
+ *
+ * Called by every load and save function, so it does not matter which one
+ * runs first. If opening fails, the next call tries again.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase()
+      .then(async db => {
+        await moveFromLocalStorage(db);
+        await ensureMigrated(db);
+        // Ask the browser not to evict the data when disk space gets low
+        if (navigator.storage?.persist) navigator.storage.persist().catch(() => {});
+        return db;
+      })
+      .catch(error => {
+        databasePromise = null;
+        throw error;
+      });
   }
+  return databasePromise;
+};
+
+/**
+ * Runs a write and reports failures to the app
+ *
+ * Refuses to write while the stored data could not be migrated, or once a tab
+ * of a newer app version has upgraded it (e.g. this tab was open during an update).
+ *
+ * @param {Array<string>} storeNames - Stores the write needs
+ * @param {Function} callback - Receives the transaction and issues the writes
+ * @returns {Promise<boolean>} - true if successful, false on error
+ */
+const save = async (storeNames, callback) => {
+  try {
+    const db = await getDatabase();
+    if (!migrationError) {
+      try {
+        checkVersion(parseVersion(await readRecord(db, STORES.DATEN, DATEN_KEYS.VERSION)));
+      } catch (error) {
+        migrationError = error;
+      }
+    }
+    if (migrationError) throw migrationError;
+    await writeRecords(db, storeNames, callback);
+    return true;
+  } catch (error) {
+    reportError('Speichern fehlgeschlagen', error);
+    return false;
+  }
+};
+
+/**
+ * Saves one record of the "daten" store
+ * @param {string} key - One of DATEN_KEYS
+ * @param {any} value - The value to store
+ * @returns {Promise<boolean>}
+ */
+const saveDaten = (key, value) =>
+  save([STORES.DATEN], transaction => transaction.objectStore(STORES.DATEN).put(value, key));
+
+/**
+ * Loads one record of the "daten" store
+ * @param {string} key - One of DATEN_KEYS
+ * @param {any} defaultValue - Returned if nothing is saved
+ * @returns {Promise} - The value or default value
+ */
+const loadDaten = async (key, defaultValue) => {
+  const value = await readRecord(await getDatabase(), STORES.DATEN, key);
+  return value === undefined ? defaultValue : value;
 };
 
 // ============================================
@@ -73,19 +295,44 @@ export const loadFromStorage = (key, defaultValue = null) => {
 // ============================================
 
 /**
- * Saves all bowling evenings
- * @param {Array} kegelabende - Array of all bowling evening objects
+ * Saves one bowling evening (only this record is written)
+ * @param {Object} kegelabend - The bowling evening
+ * @returns {Promise<boolean>} - true if successful
  */
-export const saveKegelabende = kegelabende => {
-  return saveToStorage(STORAGE_KEYS.KEGELABENDE, kegelabende);
-};
+export const saveKegelabend = kegelabend =>
+  save([STORES.KEGELABENDE], transaction =>
+    transaction.objectStore(STORES.KEGELABENDE).put(kegelabend)
+  );
+
+/**
+ * Saves several bowling evenings in one transaction
+ * Evenings that are not passed stay untouched.
+ * @param {Array} kegelabende - The evenings to save
+ * @returns {Promise<boolean>} - true if successful
+ */
+export const saveKegelabende = kegelabende =>
+  save([STORES.KEGELABENDE], transaction => {
+    const store = transaction.objectStore(STORES.KEGELABENDE);
+    kegelabende.forEach(abend => store.put(abend));
+  });
+
+/**
+ * Deletes one bowling evening
+ * @param {string} id - ID of the evening
+ * @returns {Promise<boolean>} - true if successful
+ */
+export const deleteKegelabend = id =>
+  save([STORES.KEGELABENDE], transaction =>
+    transaction.objectStore(STORES.KEGELABENDE).delete(id)
+  );
 
 /**
  * Loads all saved bowling evenings
- * @returns {Array} - Array of all evenings (or empty array)
+ * @returns {Promise<Array>} - All evenings sorted by date (or empty array)
  */
-export const loadKegelabende = () => {
-  return loadFromStorage(STORAGE_KEYS.KEGELABENDE, []);
+export const loadKegelabende = async () => {
+  const kegelabende = await readAllRecords(await getDatabase(), STORES.KEGELABENDE);
+  return kegelabende.sort((a, b) => a.datum.localeCompare(b.datum));
 };
 
 // ============================================
@@ -95,39 +342,69 @@ export const loadKegelabende = () => {
 /**
  * Saves the configuration (penalties, fees, etc.)
  * @param {Object} config - The configuration object
+ * @returns {Promise<boolean>} - true if successful
  */
-export const saveConfig = config => {
-  return saveToStorage(STORAGE_KEYS.CONFIG, config);
-};
+export const saveConfig = config => saveDaten(DATEN_KEYS.CONFIG, config);
 
 /**
  * Loads the saved configuration
  * @param {Object} defaultConfig - Default values if nothing is saved
- * @returns {Object} - The configuration
+ * @returns {Promise<Object>} - The configuration
  */
-export const loadConfig = defaultConfig => {
-  return loadFromStorage(STORAGE_KEYS.CONFIG, defaultConfig);
-};
+export const loadConfig = defaultConfig => loadDaten(DATEN_KEYS.CONFIG, defaultConfig);
 
 // ============================================
-// PLAYER MASTER DATA - For future features
+// PLAYER MASTER DATA
 // ============================================
 
 /**
- * Saves known players (for autocomplete feature)
- * @param {Array} spieler - Array of player objects
+ * Saves the player master data (member records, see createMitglied)
+ * @param {Array} spieler - Array of member objects
+ * @returns {Promise<boolean>} - true if successful
  */
-export const saveSpieler = spieler => {
-  return saveToStorage(STORAGE_KEYS.SPIELER, spieler);
-};
+export const saveSpieler = spieler => saveDaten(DATEN_KEYS.SPIELER, spieler);
 
 /**
- * Loads known players
- * @returns {Array} - Array of players (or empty array)
+ * Loads the player master data
+ * @returns {Promise<Array>} - Array of member objects (or empty array)
  */
-export const loadSpieler = () => {
-  return loadFromStorage(STORAGE_KEYS.SPIELER, []);
-};
+export const loadSpieler = () => loadDaten(DATEN_KEYS.SPIELER, []);
+
+// ============================================
+// TREASURY BOOKINGS (Vereinskasse) - Save/Load
+// ============================================
+
+/**
+ * Saves all manual treasury bookings
+ * Evening takings are not stored here, they are derived from the evenings.
+ * @param {Array} buchungen - Array of booking objects
+ * @returns {Promise<boolean>} - true if successful
+ */
+export const saveBuchungen = buchungen => saveDaten(DATEN_KEYS.BUCHUNGEN, buchungen);
+
+/**
+ * Loads all manual treasury bookings
+ * @returns {Promise<Array>} - Array of bookings (or empty array)
+ */
+export const loadBuchungen = () => loadDaten(DATEN_KEYS.BUCHUNGEN, []);
+
+// ============================================
+// SEASONS (Saisons) - Save/Load
+// ============================================
+
+/**
+ * Saves the stored seasons
+ * Calendar-year seasons are not stored until they are closed.
+ * @param {Array} saisons - Array of season objects
+ * @returns {Promise<boolean>} - true if successful
+ */
+export const saveSaisons = saisons => saveDaten(DATEN_KEYS.SAISONS, saisons);
+
+/**
+ * Loads the stored seasons
+ * @returns {Promise<Array>} - Array of seasons (or empty array)
+ */
+export const loadSaisons = () => loadDaten(DATEN_KEYS.SAISONS, []);
 
 // ============================================
 // JSON EXPORT - Create backup
@@ -141,39 +418,35 @@ export const loadSpieler = () => {
  * - All bowling evenings
  * - The configuration
  * - Known players
- * - Export date and version
+ * - Treasury bookings
+ * - Seasons
+ * - Export date and schema version
  *
  * This file can be imported again later.
+ * The data is passed in by the app (not read from the database), so a
+ * backup still works when saving has failed.
+ *
+ * @param {Object} daten - { kegelabende, config, spieler, buchungen, saisons }
  */
-export const exportToJSON = () => {
+export const exportToJSON = ({ kegelabende, config, spieler, buchungen, saisons }) => {
   // Gather all data
   const data = {
-    kegelabende: loadKegelabende(),
-    config: loadFromStorage(STORAGE_KEYS.CONFIG),
-    spieler: loadSpieler(),
+    kegelabende,
+    config,
+    spieler,
+    buchungen,
+    saisons,
     exportDatum: new Date().toISOString(), // When was it exported?
-    version: '1.0', // Data format version (for future compatibility)
+    version: SCHEMA_VERSION, // Schema version, old backups are migrated on import
   };
 
   // Create JSON string (with indentation for readability)
   const jsonString = JSON.stringify(data, null, 2);
 
-  // Create Blob (Binary Large Object)
-  const blob = new Blob([jsonString], { type: 'application/json' });
-
-  // Create download URL
-  const url = URL.createObjectURL(blob);
-
-  // Create invisible link and click it (starts download)
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `kegelbuch_export_${new Date().toISOString().split('T')[0]}.json`;
-  document.body.appendChild(link);
-  link.click();
-
-  // Cleanup
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  downloadFile(
+    new Blob([jsonString], { type: 'application/json' }),
+    `kegelbuch_export_${new Date().toISOString().split('T')[0]}.json`
+  );
 };
 
 // ============================================
@@ -181,51 +454,66 @@ export const exportToJSON = () => {
 // ============================================
 
 /**
- * Imports data from a JSON file
+ * Reads a backup file without saving anything
  *
- * WARNING: Overwrites all existing data!
+ * Backups of older versions are migrated to the current schema.
+ * Used by the merge import, which shows a preview first.
  *
  * @param {File} file - The JSON file from file input
- * @returns {Promise} - Resolves with the imported data
+ * @returns {Promise} - Resolves with { config, kegelabende, spieler, buchungen, saisons }
  */
-export const importFromJSON = file => {
+export const readBackup = file => {
   return new Promise((resolve, reject) => {
     // FileReader for reading the file
     const reader = new FileReader();
 
     // When file is read...
     reader.onload = event => {
+      // Parse JSON
+      let data;
+      try {
+        data = JSON.parse(event.target.result);
+      } catch (error) {
+        reject(new Error('Ungültige JSON-Datei'));
+        return;
+      }
+
       try {
-        // Parse JSON
-        const data = JSON.parse(event.target.result);
-
-        // Save data to LocalStorage (if present)
-        if (data.kegelabende) {
-          saveKegelabende(data.kegelabende);
-        }
-        if (data.config) {
-          saveConfig(data.config);
-        }
-        if (data.spieler) {
-          saveSpieler(data.spieler);
-        }
-
-        // Success! Return data
-        resolve(data);
+        // Bring old backups to the current schema (throws for newer versions)
+        resolve(migrateData(data, parseVersion(data.version)));
       } catch (error) {
-        // Invalid JSON
-        reject(new Error('Invalid JSON file'));
+        reject(error);
       }
     };
 
     // On read error
-    reader.onerror = () => reject(new Error('Error reading file'));
+    reader.onerror = () => reject(new Error('Datei konnte nicht gelesen werden'));
 
     // Read file as text (starts the process)
     reader.readAsText(file);
   });
 };
 
+/**
+ * Imports data from a JSON file
+ *
+ * Backups of older versions are migrated to the current schema first.
+ *
+ * WARNING: Overwrites all existing data!
+ *
+ * @param {File} file - The JSON file from file input
+ * @returns {Promise} - Resolves with the imported data
+ */
+export const importFromJSON = async file => {
+  const data = await readBackup(file);
+
+  // Replace the stored data (config only if the backup has one)
+  await writeAllData(await getDatabase(), data, SCHEMA_VERSION);
+  // The failed data is replaced, saving works again
+  migrationError = null;
+  return data;
+};
+
 // ============================================
 // DELETE DATA
 // ============================================
@@ -235,10 +523,11 @@ export const importFromJSON = file => {
  *
  * WARNING: This function permanently deletes all data!
  * Should only be called with user confirmation.
+ *
+ * @returns {Promise<boolean>} - true if successful
  */
-export const clearAllData = () => {
-  // Delete each storage key individually
-  Object.values(STORAGE_KEYS).forEach(key => {
-    localStorage.removeItem(key);
+export const clearAllData = () =>
+  save([STORES.KEGELABENDE, STORES.DATEN], transaction => {
+    transaction.objectStore(STORES.KEGELABENDE).clear();
+    transaction.objectStore(STORES.DATEN).clear();
   });
-};
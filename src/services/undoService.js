@@ -0,0 +1,145 @@
+/**
+ * undoService.js - Undo/redo history for the current evening
+ *
+ * Every edit in the table replaces the whole evening object, so the history
+ * simply keeps earlier versions of the evening:
+ * - past: versions before the current one (newest last)
+ * - future: versions that were undone (next redo last)
+ *
+ * Typing "Kalle" into a name field calls onUpdate five times. Edits of the
+ * same field that follow each other quickly are therefore merged into one
+ * step. Adding or removing players is always a step of its own. The change
+ * log (historie) grows with every edit and is ignored for this comparison.
+ *
+ * A history is a plain object that is replaced on every change, so it can be
+ * kept in React state; it is never stored.
+ */
+
+/** Maximum number of undo steps kept per evening */
+const MAX_STEPS = 100;
+
+/** Edits of the same field within this time become one step (ms) */
+const MERGE_WINDOW_MS = 1000;
+
+/**
+ * Creates an empty history
+ * @param {string|null} abendId - The evening the history belongs to
+ * @returns {Object} - { abendId, past, future, lastChange }
+ */
+export const createUndoHistory = (abendId = null) => ({
+  abendId,
+  past: [],
+  future: [],
+  lastChange: null, // { key, time } of the last recorded edit
+});
+
+/**
+ * Describes which single field an edit changed, so typing can be merged
+ *
+ * @param {Object} before - The evening before the edit
+ * @param {Object} after - The evening after the edit
+ * @returns {string|null} - e.g. 'notizen', 'p1:name', 'p1:strafen.kalle'; null if
+ *   players were added/removed or several fields changed
+ */
+const getChangeKey = (before, after) => {
+  const abendFields = Object.keys(after).filter(
+    key => key !== 'spieler' && key !== 'historie' && before[key] !== after[key]
+  );
+  if (before.spieler === after.spieler) {
+    return abendFields.length === 1 ? abendFields[0] : null;
+  }
+  if (abendFields.length > 0 || before.spieler.length !== after.spieler.length) return null;
+
+  const changed = after.spieler.filter((player, index) => player !== before.spieler[index]);
+  if (changed.length !== 1) return null;
+  const player = changed[0];
+  const previous = before.spieler.find(p => p.id === player.id);
+  if (!previous) return null;
+
+  const fields = Object.keys(player).flatMap(field => {
+    if (previous[field] === player[field]) return [];
+    if (field === 'strafen' || field === 'spiele') {
+      return Object.keys({ ...previous[field], ...player[field] })
+        .filter(id => previous[field][id] !== player[field][id])
+        .map(id => `${field}.${id}`);
+    }
+    return [field];
+  });
+  return fields.length === 1 ? `${player.id}:${fields[0]}` : null;
+};
+
+/**
+ * Records an edit of the evening
+ *
+ * @param {Object} history - The current history
+ * @param {Object} before - The evening before the edit
+ * @param {Object} after - The evening after the edit
+ * @param {number} time - Timestamp of the edit (Date.now())
+ * @returns {Object} - The new history (redo steps are dropped)
+ */
+export const recordChange = (history, before, after, time) => {
+  // Another evening was selected in the meantime: start over
+  const current = history.abendId === after.id ? history : createUndoHistory(after.id);
+  const key = getChangeKey(before, after);
+  const last = current.lastChange;
+
+  const merge =
+    key !== null &&
+    last !== null &&
+    last.key === key &&
+    time - last.time < MERGE_WINDOW_MS &&
+    current.past.length > 0;
+
+  return {
+    abendId: after.id,
+    past: merge ? current.past : [...current.past, before].slice(-MAX_STEPS),
+    future: [],
+    lastChange: { key, time },
+  };
+};
+
+/**
+ * Whether an undo or redo step is available for this evening
+ * @param {Object} history - The current history
+ * @param {Object|null} kegelabend - The current evening
+ * @returns {Object} - { canUndo, canRedo }
+ */
+export const getUndoStatus = (history, kegelabend) => {
+  const matches = Boolean(kegelabend) && history.abendId === kegelabend.id;
+  return {
+    canUndo: matches && history.past.length > 0,
+    canRedo: matches && history.future.length > 0,
+  };
+};
+
+/**
+ * Goes one step back
+ * @param {Object} history - The current history
+ * @param {Object} kegelabend - The current evening
+ * @returns {Object} - { history, kegelabend } after the undo
+ */
+export const undoChange = (history, kegelabend) => ({
+  history: {
+    ...history,
+    past: history.past.slice(0, -1),
+    future: [...history.future, kegelabend],
+    lastChange: null,
+  },
+  kegelabend: history.past[history.past.length - 1],
+});
+
+/**
+ * Goes one step forward again
+ * @param {Object} history - The current history
+ * @param {Object} kegelabend - The current evening
+ * @returns {Object} - { history, kegelabend } after the redo
+ */
+export const redoChange = (history, kegelabend) => ({
+  history: {
+    ...history,
+    past: [...history.past, kegelabend],
+    future: history.future.slice(0, -1),
+    lastChange: null,
+  },
+  kegelabend: history.future[history.future.length - 1],
+});
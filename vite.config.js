@@ -1,8 +1,51 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { VitePWA } from 'vite-plugin-pwa';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable PWA: manifest, icons and a service worker that precaches the app shell,
+    // so the app starts offline at the bowling alley. New builds are offered via a prompt.
+    VitePWA({
+      registerType: 'prompt',
+      includeAssets: ['favicon.svg', 'apple-touch-icon-180x180.png'],
+      manifest: {
+        name: 'Kegelbuch',
+        short_name: 'Kegelbuch',
+        description: 'Digitales Kegelbuch für Strafen, Spiele und Kasse',
+        lang: 'de',
+        theme_color: '#1976d2',
+        background_color: '#f5f5f5',
+        display: 'standalone',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          {
+            src: 'maskable-icon-512x512.png',
+            sizes: '512x512',
+            type: 'image/png',
+            purpose: 'maskable',
+          },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png}'],
+        // The Roboto font comes from Google Fonts, keep it for offline starts
+        runtimeCaching: [
+          {
+            urlPattern: /^https:\/\/fonts\.(googleapis|gstatic)\.com\/.*/,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'google-fonts',
+              expiration: { maxEntries: 20, maxAgeSeconds: 60 * 60 * 24 * 365 },
+              cacheableResponse: { statuses: [0, 200] },
+            },
+          },
+        ],
+      },
+    }),
+  ],
   base: process.env.NODE_ENV === 'production' ? '/Kegelbuch/' : '/',
   build: {
     outDir: 'dist',
@@ -13,6 +56,8 @@ export default defineConfig({
       output: {
         manualChunks: {
           react: ['react', 'react-dom'],
+          pdf: ['jspdf', 'jspdf-autotable'],
+          xlsx: ['xlsx'],
         },
       },
     },